@@ -17,6 +17,11 @@ const nextConfig = {
 
   // Generate folder-based routes so nested pages (e.g. /meetings) work on GitHub Pages
   trailingSlash: true,
+
+  // Client code fetching files from docs/data needs the base path too
+  env: {
+    NEXT_PUBLIC_BASE_PATH: basePath,
+  },
 };
 
 export default nextConfig;
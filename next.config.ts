@@ -10,6 +10,9 @@ const nextConfig: NextConfig = {
   basePath: isProd ? repoBasePath : undefined,
   assetPrefix: isProd ? repoBasePath : undefined,
   trailingSlash: true,
+  env: {
+    NEXT_PUBLIC_BASE_PATH: isProd ? repoBasePath : '',
+  },
   typescript: {
     ignoreBuildErrors: true,
   },
@@ -0,0 +1,316 @@
+// scripts/build-calendars.js
+// Publishes iCalendar (RFC 5545) feeds built from docs/data/all.json:
+//   - docs/data/all.ics, house.ics, senate.ics
+//   - docs/data/committee-<chamber>-<slug>.ics (one per committee)
+//   - docs/data/calendars.json (index of the feeds above)
+// The legislative periods in src/lib/legislative-calendar.json are included as all-day events
+// in the combined feed and in the feed of each chamber they apply to.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatCongress } from '../src/lib/congress.js';
+import { buildPeriods } from '../src/lib/legislative-periods.js';
+import { HEARING_DURATION_MINUTES, MANILA_TIMEZONE, normalizeManilaIso } from '../src/lib/manila-time.js';
+import { meetingUrl } from '../src/lib/site-url.js';
+import { slugify } from '../src/lib/slugify.js';
+import { committeeTitle, isCancelled, norm, readJson, writeJson } from './lib/common.js';
+import { describeStatus } from './lib/status.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'docs', 'data');
+const LEGISLATIVE_CALENDAR_PATH = path.join(ROOT_DIR, 'src', 'lib', 'legislative-calendar.json');
+
+const PRODID = '-//PH Congress Committee Schedules//Committee Calendar//EN';
+const UID_DOMAIN = 'ph-congress-committee-schedules';
+const TIMEZONE = MANILA_TIMEZONE;
+
+const CHAMBER_SLUGS = {
+  'House of Representatives': 'house',
+  Senate: 'senate'
+};
+
+// The Philippines has not observed daylight saving time since 1978.
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  `X-LIC-LOCATION:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0800',
+  'TZOFFSETTO:+0800',
+  'TZNAME:PST',
+  'DTSTART:19700101T000000',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// ---------------- iCalendar formatting ----------------
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,');
+}
+
+// Content lines are limited to 75 octets; continuation lines start with a single space.
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf-8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf-8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toUtcStamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDateValue(ymd) {
+  return ymd.replace(/-/g, '');
+}
+
+function addDays(ymd, days) {
+  const [year, month, day] = ymd.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Record timestamps carry Manila's +08:00 offset; read the wall-clock fields directly rather
+// than going through Date so the build machine's timezone never leaks in.
+function parseLocalDateTime(isoDate) {
+  const match = normalizeManilaIso(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    hour: hour === undefined ? null : Number(hour),
+    minute: minute === undefined ? null : Number(minute)
+  };
+}
+
+function formatLocalDateTime(date, hour, minute) {
+  return `${formatDateValue(date)}T${pad(hour)}${pad(minute)}00`;
+}
+
+function hearingEvent(record, dtstamp) {
+  const start = parseLocalDateTime(record.isoDate) || parseLocalDateTime(record.date);
+  if (!start) return null;
+
+  const lines = ['BEGIN:VEVENT', `UID:${record.id}@${UID_DOMAIN}`, `DTSTAMP:${dtstamp}`];
+
+  const hasTime = Boolean(norm(record.time)) && start.hour !== null;
+  if (hasTime) {
+    const startMinutes = start.hour * 60 + start.minute;
+    const endMinutes = Math.min(startMinutes + HEARING_DURATION_MINUTES, 23 * 60 + 59);
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${formatLocalDateTime(start.date, start.hour, start.minute)}`);
+    lines.push(
+      `DTEND;TZID=${TIMEZONE}:${formatLocalDateTime(start.date, Math.floor(endMinutes / 60), endMinutes % 60)}`
+    );
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(start.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDateValue(addDays(start.date, 1))}`);
+  }
+
+  const chamber = record.branch === 'Senate' ? 'Senate' : 'House';
+  lines.push(`SUMMARY:${escapeText(`${summaryPrefix(record)}${committeeTitle(record)} (${chamber})`)}`);
+  if (norm(record.venue)) {
+    lines.push(`LOCATION:${escapeText(norm(record.venue))}`);
+  }
+
+  const description = [
+    norm(record.agenda) && `Agenda: ${norm(record.agenda)}`,
+    `Status: ${describeStatus(record)}`,
+    norm(record.notes) && `Notes: ${norm(record.notes)}`,
+    norm(record.source) && `Source: ${norm(record.source)}`
+  ].filter(Boolean);
+  if (description.length) {
+    lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+  }
+
+  lines.push(`URL:${meetingUrl(record.id)}`);
+  lines.push(`CATEGORIES:${escapeText(record.branch)}`);
+  lines.push(`STATUS:${icsStatus(record)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function summaryPrefix(record) {
+  if (isCancelled(record)) return 'CANCELLED: ';
+  if (record.status === 'postponed') return 'POSTPONED: ';
+  return '';
+}
+
+function icsStatus(record) {
+  if (isCancelled(record)) return 'CANCELLED';
+  if (record.status === 'postponed' || record.status === 'tentative') return 'TENTATIVE';
+  return 'CONFIRMED';
+}
+
+function describeBranches(branches) {
+  if (branches.length > 1) return 'Applies to both the House and the Senate.';
+  return `Applies to the ${branches[0]}.`;
+}
+
+function periodEvent(period, dtstamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${period.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${formatDateValue(period.start)}`,
+    // DTEND is exclusive for all-day events
+    `DTEND;VALUE=DATE:${formatDateValue(addDays(period.end, 1))}`,
+    `SUMMARY:${escapeText(period.label)}`,
+    `DESCRIPTION:${escapeText(
+      [
+        `Official legislative calendar of the ${formatCongress(period.congress)}.`,
+        describeBranches(period.branches),
+        period.note
+      ]
+        .filter(Boolean)
+        .join(' ')
+    )}`,
+    'CATEGORIES:Legislative Calendar',
+    'TRANSP:TRANSPARENT',
+    'STATUS:CONFIRMED',
+    'END:VEVENT'
+  ];
+  return lines;
+}
+
+function buildCalendar(name, description, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-CALDESC:${escapeText(description)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...VTIMEZONE,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// ---------------- Main ----------------
+async function removeStaleCommitteeFeeds() {
+  const entries = await fs.readdir(DATA_DIR);
+  await Promise.all(
+    entries
+      .filter((name) => name.startsWith('committee-') && name.endsWith('.ics'))
+      .map((name) => fs.rm(path.join(DATA_DIR, name), { force: true }))
+  );
+}
+
+async function main() {
+  const records = await readJson(path.join(DATA_DIR, 'all.json'));
+  if (!Array.isArray(records)) {
+    console.warn('[build-calendars] docs/data/all.json not found. Run build:data first.');
+    return;
+  }
+  const metadata = await readJson(path.join(DATA_DIR, 'metadata.json'));
+  const periods = buildPeriods((await readJson(LEGISLATIVE_CALENDAR_PATH))?.calendars);
+  const dtstamp = toUtcStamp(metadata?.generatedAt || new Date().toISOString());
+
+  const periodEvents = (branch = null) =>
+    periods
+      .filter((period) => !branch || period.branches.includes(branch))
+      .map((period) => periodEvent(period, dtstamp));
+  const feeds = [];
+
+  const writeFeed = async ({ file, name, description, chamber = null, committee = null }, items, extra = []) => {
+    const events = items.map((record) => hearingEvent(record, dtstamp)).filter(Boolean);
+    await fs.writeFile(path.join(DATA_DIR, file), buildCalendar(name, description, [...extra, ...events]), 'utf-8');
+    feeds.push({ file, name, chamber, committee, count: events.length });
+  };
+
+  await writeFeed(
+    {
+      file: 'all.ics',
+      name: 'PH Congress Committee Hearings',
+      description: 'Committee hearings of the Philippine House of Representatives and Senate.'
+    },
+    records,
+    periodEvents()
+  );
+
+  for (const [branch, slug] of Object.entries(CHAMBER_SLUGS)) {
+    await writeFeed(
+      {
+        file: `${slug}.ics`,
+        name: `${branch} Committee Hearings`,
+        description: `Committee hearings of the Philippine ${branch}.`,
+        chamber: branch
+      },
+      records.filter((record) => record.branch === branch),
+      periodEvents(branch)
+    );
+  }
+
+  // Joint hearings go into the feed of every participating committee.
+  const committees = new Map();
+  for (const record of records) {
+    const chamberSlug = CHAMBER_SLUGS[record.branch];
+    if (!chamberSlug) continue;
+    const participants = Array.isArray(record.committees) && record.committees.length
+      ? record.committees
+      : [{ name: norm(record.committee), slug: `${chamberSlug}-${slugify(record.committee)}`, chamber: chamberSlug }];
+    for (const { name, slug, chamber } of participants) {
+      if (!slug) continue;
+      if (!committees.has(slug)) {
+        const branch = chamber === 'senate' ? 'Senate' : 'House of Representatives';
+        committees.set(slug, { branch, committee: name, records: [] });
+      }
+      committees.get(slug).records.push(record);
+    }
+  }
+
+  await removeStaleCommitteeFeeds();
+  for (const [key, { branch, committee, records: items }] of [...committees.entries()].sort()) {
+    await writeFeed(
+      {
+        file: `committee-${key}.ics`,
+        name: `${committee} (${branch === 'Senate' ? 'Senate' : 'House'})`,
+        description: `Hearings of the ${branch} committee on ${committee}.`,
+        chamber: branch,
+        committee
+      },
+      items
+    );
+  }
+
+  await writeJson(path.join(DATA_DIR, 'calendars.json'), {
+    generatedAt: metadata?.generatedAt || null,
+    feeds
+  });
+
+  console.log(`[build-calendars] wrote ${feeds.length} feeds (${committees.size} committees)`);
+}
+
+main().catch((error) => {
+  console.error('[build-calendars] failed', error);
+  process.exitCode = 1;
+});
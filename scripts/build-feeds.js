@@ -0,0 +1,177 @@
+// scripts/build-feeds.js
+// Publishes Atom and RSS feeds of upcoming hearings built from docs/data/all.json:
+//   - docs/data/upcoming.atom.xml
+//   - docs/data/upcoming.rss.xml
+//   - docs/data/feed-state.json (first-seen and last-changed time for every hearing)
+// An entry's updated time only moves when something readers care about changes (status,
+// schedule, venue or agenda), so feed readers resurface it exactly then.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatWhen, manilaTimestamp } from '../src/lib/manila-time.js';
+import { SITE_URL, meetingUrl } from '../src/lib/site-url.js';
+import { committeeTitle, isCancelled, norm, readJson, writeJson } from './lib/common.js';
+import { describeStatus } from './lib/status.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'docs', 'data');
+const FEED_STATE_PATH = path.join(DATA_DIR, 'feed-state.json');
+
+const UPCOMING_WINDOW_MS = 1000 * 60 * 60 * 24;
+const MAX_ENTRIES = 500;
+const FEED_TITLE = 'PH Congress Committee Hearings';
+const FEED_SUBTITLE = 'Upcoming committee hearings of the Philippine House of Representatives and Senate.';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function chamberLabel(record) {
+  return record.branch === 'Senate' ? 'Senate' : 'House';
+}
+
+function fingerprint(record) {
+  const watched = [record.rawCommittee || record.committee, record.date, record.time, record.rawVenue || record.venue, record.agenda, describeStatus(record)];
+  return crypto.createHash('sha1').update(watched.map(norm).join('\u0000')).digest('hex');
+}
+
+function updateFeedState(previous, records, now) {
+  const state = {};
+  for (const record of records) {
+    const hash = fingerprint(record);
+    const prior = previous[record.id];
+    if (!prior) {
+      state[record.id] = { hash, published: now, updated: now };
+    } else if (prior.hash !== hash) {
+      state[record.id] = { hash, published: prior.published, updated: now };
+    } else {
+      state[record.id] = prior;
+    }
+  }
+  return state;
+}
+
+function entryTitle(record) {
+  const prefix = isCancelled(record) ? '[Cancelled] ' : record.status === 'postponed' ? '[Postponed] ' : '';
+  return `${prefix}${committeeTitle(record)} (${chamberLabel(record)}) – ${formatWhen(record)}`;
+}
+
+function entryHtml(record) {
+  const rows = [
+    ['Committee', `${committeeTitle(record)} (${record.branch})`],
+    ['When', formatWhen(record)],
+    ['Venue', norm(record.venue) || 'To be determined'],
+    ['Status', describeStatus(record)],
+    ['Agenda', norm(record.agenda) || 'Agenda to follow.'],
+    ['Notes', norm(record.notes)]
+  ].filter(([, value]) => value);
+  return rows.map(([label, value]) => `<p><strong>${escapeXml(label)}:</strong> ${escapeXml(value)}</p>`).join('');
+}
+
+function entryId(record, published) {
+  return `tag:${new URL(SITE_URL).host},${published.slice(0, 10)}:${record.id}`;
+}
+
+function buildAtom(entries, updated) {
+  const items = entries.map(({ record, state }) =>
+    [
+      '  <entry>',
+      `    <id>${escapeXml(entryId(record, state.published))}</id>`,
+      `    <title>${escapeXml(entryTitle(record))}</title>`,
+      `    <link href="${escapeXml(meetingUrl(record.id))}"/>`,
+      `    <published>${state.published}</published>`,
+      `    <updated>${state.updated}</updated>`,
+      `    <category term="${escapeXml(record.branch)}"/>`,
+      `    <content type="html">${escapeXml(entryHtml(record))}</content>`,
+      '  </entry>'
+    ].join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(`${SITE_URL}data/upcoming.atom.xml`)}</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(`${SITE_URL}data/upcoming.atom.xml`)}"/>`,
+    `  <link href="${escapeXml(SITE_URL)}"/>`,
+    `  <updated>${updated}</updated>`,
+    '  <author><name>PH Congress Committee Schedules</name></author>',
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function buildRss(entries, updated) {
+  const items = entries.map(({ record, state }) =>
+    [
+      '    <item>',
+      `      <guid isPermaLink="false">${escapeXml(entryId(record, state.published))}</guid>`,
+      `      <title>${escapeXml(entryTitle(record))}</title>`,
+      `      <link>${escapeXml(meetingUrl(record.id))}</link>`,
+      `      <pubDate>${new Date(state.updated).toUTCString()}</pubDate>`,
+      `      <category>${escapeXml(record.branch)}</category>`,
+      `      <description>${escapeXml(entryHtml(record))}</description>`,
+      '    </item>'
+    ].join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(FEED_TITLE)}</title>`,
+    `    <link>${escapeXml(SITE_URL)}</link>`,
+    `    <description>${escapeXml(FEED_SUBTITLE)}</description>`,
+    `    <atom:link href="${escapeXml(`${SITE_URL}data/upcoming.rss.xml`)}" rel="self" type="application/rss+xml"/>`,
+    '    <language>en-ph</language>',
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+async function main() {
+  const records = await readJson(path.join(DATA_DIR, 'all.json'));
+  if (!Array.isArray(records)) {
+    console.warn('[build-feeds] docs/data/all.json not found. Run build:data first.');
+    return;
+  }
+  const metadata = await readJson(path.join(DATA_DIR, 'metadata.json'));
+  const now = metadata?.generatedAt || new Date().toISOString();
+
+  const previous = (await readJson(FEED_STATE_PATH)) || {};
+  const state = updateFeedState(previous, records, now);
+
+  const cutoff = Date.parse(now) - UPCOMING_WINDOW_MS;
+  const entries = records
+    .filter((record) => manilaTimestamp(record.isoDate || record.date) >= cutoff)
+    .map((record) => ({ record, state: state[record.id] }))
+    .sort((a, b) => b.state.updated.localeCompare(a.state.updated))
+    .slice(0, MAX_ENTRIES);
+
+  const updated = entries[0]?.state.updated || now;
+
+  await fs.writeFile(path.join(DATA_DIR, 'upcoming.atom.xml'), buildAtom(entries, updated), 'utf-8');
+  await fs.writeFile(path.join(DATA_DIR, 'upcoming.rss.xml'), buildRss(entries, updated), 'utf-8');
+  await writeJson(FEED_STATE_PATH, state);
+
+  console.log(`[build-feeds] wrote ${entries.length} upcoming entries`);
+}
+
+main().catch((error) => {
+  console.error('[build-feeds] failed', error);
+  process.exitCode = 1;
+});
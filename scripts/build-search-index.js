@@ -0,0 +1,41 @@
+// scripts/build-search-index.js
+// Publishes docs/data/search-index.json, the inverted index the meetings page searches, built
+// from docs/data/all.json. Terms are tokenized and stemmed by src/lib/search-index.js, which the
+// site also uses to analyse queries.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildSearchIndex } from '../src/lib/search-index.js';
+import { readJson } from './lib/common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'docs', 'data');
+const INDEX_PATH = path.join(DATA_DIR, 'search-index.json');
+
+async function main() {
+  const records = await readJson(path.join(DATA_DIR, 'all.json'));
+  if (!Array.isArray(records)) {
+    console.warn('[build-search-index] docs/data/all.json not found. Run build:data first.');
+    return;
+  }
+  const metadata = await readJson(path.join(DATA_DIR, 'metadata.json'));
+  const index = {
+    generatedAt: metadata?.generatedAt || new Date().toISOString(),
+    ...buildSearchIndex(records)
+  };
+
+  // Written without indentation: the postings are long lists of numbers.
+  await fs.writeFile(INDEX_PATH, `${JSON.stringify(index)}\n`, 'utf-8');
+
+  console.log(
+    `[build-search-index] indexed ${index.documents.length} records (${Object.keys(index.terms).length} terms)`
+  );
+}
+
+main().catch((error) => {
+  console.error('[build-search-index] failed', error);
+  process.exitCode = 1;
+});
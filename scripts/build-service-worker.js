@@ -0,0 +1,104 @@
+// scripts/build-service-worker.js
+// Writes docs/sw.js, the service worker that keeps the site usable offline, from
+// scripts/service-worker.js. Runs after sync-docs.js, once docs/ holds the exported site and
+// the published data, and precaches:
+//   - the top-level pages and their client navigation payloads (the app shell)
+//   - every build asset under _next/static
+//   - the icon and web app manifest
+//   - docs/data/*.json, the last-known schedule
+// Paths are relative to the site root, so the worker resolves them against whatever basePath
+// the site was exported with.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DOCS_DIR = path.join(ROOT_DIR, 'docs');
+const DATA_DIR = path.join(DOCS_DIR, 'data');
+const TEMPLATE_PATH = path.join(__dirname, 'service-worker.js');
+const OUTPUT_PATH = path.join(DOCS_DIR, 'sw.js');
+const SHELL_FILES = ['icon.svg', 'manifest.webmanifest'];
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    })
+  );
+  return files.flat();
+}
+
+function toSitePath(file) {
+  return path.relative(DOCS_DIR, file).split(path.sep).join('/');
+}
+
+// '' is the home page; 'meetings/' and the like are the other top-level pages. Detail pages
+// (meetings/<id>/ and so on) are cached as they are visited instead.
+async function shellPages() {
+  const entries = await fs.readdir(DOCS_DIR, { withFileTypes: true });
+  const sections = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('_') || entry.name === 'data' || entry.name === '404') continue;
+    if (await pathExists(path.join(DOCS_DIR, entry.name, 'index.html'))) sections.push(`${entry.name}/`);
+  }
+  const pages = ['', ...sections.sort()];
+  // Client-side navigation fetches index.txt instead of the HTML.
+  const payloads = [];
+  for (const page of pages) {
+    if (await pathExists(path.join(DOCS_DIR, page, 'index.txt'))) payloads.push(`${page}index.txt`);
+  }
+  return [...pages, ...payloads];
+}
+
+async function main() {
+  if (!(await pathExists(path.join(DOCS_DIR, 'index.html')))) {
+    console.warn('[build-service-worker] docs/index.html not found. Run the static export first.');
+    return;
+  }
+
+  const staticFiles = (await listFiles(path.join(DOCS_DIR, '_next', 'static'))).map(toSitePath).sort();
+  const shellFiles = [];
+  for (const file of SHELL_FILES) {
+    if (await pathExists(path.join(DOCS_DIR, file))) shellFiles.push(file);
+  }
+  const dataFiles = (await pathExists(DATA_DIR) ? await fs.readdir(DATA_DIR) : [])
+    // The Senate scraper's debug dump is for maintainers, not readers.
+    .filter((file) => file.endsWith('.json') && !file.endsWith('-debug.json'))
+    .sort()
+    .map((file) => `data/${file}`);
+
+  const precache = [...(await shellPages()), ...shellFiles, ...staticFiles, ...dataFiles];
+
+  // A new version whenever any precached file changes, so browsers install the new worker.
+  const hash = crypto.createHash('sha1');
+  for (const file of precache) {
+    const target = path.join(DOCS_DIR, file.endsWith('/') || file === '' ? path.join(file, 'index.html') : file);
+    hash.update(file).update(await fs.readFile(target));
+  }
+  const version = hash.digest('hex').slice(0, 12);
+
+  const template = await fs.readFile(TEMPLATE_PATH, 'utf8');
+  const header = `// Generated by scripts/build-service-worker.js from scripts/service-worker.js; do not edit.\nself.__SW_MANIFEST = ${JSON.stringify({ version, precache })};\n\n`;
+  await fs.writeFile(OUTPUT_PATH, header + template);
+  console.log(`[build-service-worker] Wrote docs/sw.js (version ${version}, ${precache.length} files to precache).`);
+}
+
+main().catch((error) => {
+  console.error('[build-service-worker] Failed to build the service worker', error);
+  process.exitCode = 1;
+});
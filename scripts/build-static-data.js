@@ -2,6 +2,16 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
+import { congressForDate, resolveCongress } from '../src/lib/congress.js';
+import { isHearingStatus } from '../src/lib/hearing-status.js';
+import { manilaToday, normalizeManilaIso, toManilaIso } from '../src/lib/manila-time.js';
+import { extractAuthors } from './lib/authors.js';
+import { extractBills } from './lib/bills.js';
+import { shortHash } from './lib/common.js';
+import { normalizeCommittee } from './lib/committees.js';
+import { parseSenateDate } from './lib/senate-dates.js';
+import { houseStatus, parseStatusText } from './lib/status.js';
+import { formatVenue, parseVenue } from './lib/venues.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,6 +21,8 @@ const DOCS_DIR = path.join(ROOT_DIR, 'docs');
 const DATA_DIR = path.join(DOCS_DIR, 'data');
 
 const HOUSE_SOURCE = 'House of Representatives (API)';
+const CHANGELOG_RETENTION_MS = 1000 * 60 * 60 * 24 * 90;
+const MOVED_HEARING_WINDOW_MS = 1000 * 60 * 60 * 24 * 14;
 const SENATE_SOURCE = 'Senate Weekly Schedule';
 
 function norm(value) {
@@ -24,35 +36,34 @@ function parseClock(value) {
   return normalized.replace(/\b(a\.m\.|p\.m\.)\b/gi, (match) => match.toUpperCase().replace(/\./g, ''));
 }
 
-function toTwoDigits(input) {
-  return String(input).padStart(2, '0');
+function positiveId(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
 }
 
-function toIso(date, time) {
-  const day = norm(date);
-  if (!/\d{4}-\d{2}-\d{2}/.test(day)) return '';
-  if (!time) {
-    return `${day}T00:00:00`;
-  }
-
-  const match = norm(time).match(/(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?/i);
-  if (!match) {
-    return `${day}T00:00:00`;
-  }
-
-  let [_, hourRaw, minutesRaw, meridiemRaw] = match; // eslint-disable-line no-unused-vars
-  let hour = parseInt(hourRaw, 10);
-  const minutes = minutesRaw ? parseInt(minutesRaw, 10) : 0;
-  const meridiem = meridiemRaw ? meridiemRaw.toUpperCase() : null;
+// Flags from the House API rows; Senate records get the defaults. Records built before these
+// were kept only carry an "Onwards" note.
+function houseFlags(record) {
+  const onwardsNote = typeof record.continuesUntilFinished !== 'boolean' && hasOnwardsNote(record.notes);
+  return {
+    isTechnicalWorkingGroup: record.isTechnicalWorkingGroup === true,
+    isExternalVenue: record.isExternalVenue === true,
+    continuesUntilFinished: record.continuesUntilFinished === true || onwardsNote,
+    isPublished: record.isPublished !== false,
+    venueId: positiveId(record.venueId),
+    houseCommitteeId: positiveId(record.houseCommitteeId)
+  };
+}
 
-  if (meridiem === 'PM' && hour < 12) {
-    hour += 12;
-  }
-  if (meridiem === 'AM' && hour === 12) {
-    hour = 0;
-  }
+function hasOnwardsNote(notes) {
+  return norm(notes).split(' · ').includes('Onwards');
+}
 
-  return `${day}T${toTwoDigits(hour)}:${toTwoDigits(minutes)}:00`;
+function withoutOnwardsNote(notes) {
+  return norm(notes)
+    .split(' · ')
+    .filter((note) => note !== 'Onwards')
+    .join(' · ');
 }
 
 async function readJson(filePath) {
@@ -81,14 +92,20 @@ async function loadExistingDocsRecords(fileName, { branch, idPrefix, source }) {
       return {
         id: item.id || `${idPrefix}-${index + 1}`,
         branch: item.branch || branch,
+        congress: resolveCongress(date, item.congress),
         committee: norm(item.committee || ''),
+        rawCommittee: norm(item.rawCommittee || ''),
         date,
         time,
         venue: norm(item.venue || ''),
+        rawVenue: norm(item.rawVenue || ''),
         agenda: norm(item.agenda || ''),
-        status: norm(item.status || '') || 'Scheduled',
+        status: norm(item.status || '') || 'scheduled',
+        previousDate: norm(item.previousDate || ''),
+        previousTime: norm(item.previousTime || ''),
         notes: norm(item.notes || ''),
-        isoDate: item.isoDate || toIso(date, time),
+        ...houseFlags(item),
+        isoDate: normalizeManilaIso(item.isoDate) || toManilaIso(date, time),
         source: item.source || source,
       };
     })
@@ -108,24 +125,29 @@ function deriveHouseRecords(rows) {
         return null;
       }
 
-      const statusBits = [];
-      if (row.cancelled) statusBits.push('Cancelled');
-      if (row.resched) statusBits.push(`Rescheduled: ${norm(row.resched)}`);
-      if (row.remarks) statusBits.push(norm(row.remarks));
-      if (!statusBits.length) statusBits.push('Scheduled');
+      const { status, previousDate, previousTime, remarks } = houseStatus(row, date, time);
 
-      const isoDate = row.datetime ? `${row.datetime}:00`.replace(/::/g, ':') : toIso(date, time);
+      const isoDate = normalizeManilaIso(row.datetime) || toManilaIso(date, time);
 
       return {
-        id: `house-${row.id || row.record_id || row._id || Math.random().toString(36).slice(2)}`,
+        id: `house-${row.id || row.record_id || row._id || shortHash(`${date}|${time}|${committee}`.toLowerCase())}`,
         branch: 'House of Representatives',
+        congress: resolveCongress(date, row.congress),
         committee,
         date,
         time,
         venue,
         agenda,
-        status: statusBits.join(' · '),
-        notes: norm(row.onwards ? 'Onwards' : ''),
+        status,
+        previousDate,
+        previousTime,
+        notes: remarks,
+        isTechnicalWorkingGroup: Boolean(row.twg),
+        isExternalVenue: Boolean(row.external),
+        continuesUntilFinished: Boolean(row.onwards),
+        isPublished: row.published !== false,
+        venueId: positiveId(row.venue_id),
+        houseCommitteeId: positiveId(row.committee),
         isoDate,
         source: HOUSE_SOURCE
       };
@@ -133,62 +155,6 @@ function deriveHouseRecords(rows) {
     .filter(Boolean);
 }
 
-const MONTH_NAME_MAP = {
-  jan: 'January',
-  january: 'January',
-  feb: 'February',
-  february: 'February',
-  mar: 'March',
-  march: 'March',
-  apr: 'April',
-  april: 'April',
-  may: 'May',
-  jun: 'June',
-  june: 'June',
-  jul: 'July',
-  july: 'July',
-  aug: 'August',
-  august: 'August',
-  sep: 'September',
-  sept: 'September',
-  september: 'September',
-  oct: 'October',
-  october: 'October',
-  nov: 'November',
-  november: 'November',
-  dec: 'December',
-  december: 'December'
-};
-
-function parseSenateDate(headerText) {
-  const cleaned = norm(headerText)
-    .replace(/\s*\([^)]*\)$/, '')
-    .replace(/\b(\d{1,2})(st|nd|rd|th)\b/gi, '$1');
-  if (!cleaned) return '';
-  if (/^\d{4}-\d{2}-\d{2}$/.test(cleaned)) return cleaned;
-
-  const dropWeekday = cleaned.replace(/^[A-Z]+,?\s+/i, '');
-  const match = dropWeekday.match(/([A-Za-z\.]+)\s+(\d{1,2})(?:,?\s*(\d{4}))?/);
-  if (!match) {
-    const fallback = new Date(cleaned);
-    if (Number.isNaN(fallback.getTime())) return '';
-    return fallback.toISOString().slice(0, 10);
-  }
-
-  let [, rawMonth, day, year] = match;
-  const monthKey = rawMonth.replace(/\.$/, '').toLowerCase();
-  const monthName = MONTH_NAME_MAP[monthKey];
-  if (!monthName) return '';
-
-  if (!year) {
-    year = new Date().getFullYear();
-  }
-
-  const parsed = new Date(`${monthName} ${day}, ${year}`);
-  if (Number.isNaN(parsed.getTime())) return '';
-  return parsed.toISOString().slice(0, 10);
-}
-
 function htmlToText(html) {
   const fragment = cheerio.load(`<div>${html}</div>`);
   return norm(fragment('div').text());
@@ -256,21 +222,23 @@ function deriveSenateRecordsFromHtml(html, statsCollector) {
         dropReasons.missingDate += 1;
         continue;
       }
+      // Same key fetch.js uses for the Senate archive, so ids match whichever path built them.
+      const dedupeKey = `${isoDate}|${time}|${committee}`.toLowerCase();
       const record = {
-        id: `senate-${records.length + 1}`,
+        id: `senate-${shortHash(dedupeKey)}`,
         branch: 'Senate',
+        congress: congressForDate(isoDate),
         committee,
         date: isoDate,
         time,
         venue,
         agenda,
-        status: 'Scheduled',
+        status: 'scheduled',
         notes: '',
-        isoDate: toIso(isoDate, time),
+        isoDate: toManilaIso(isoDate, time),
         source: SENATE_SOURCE
       };
 
-      const dedupeKey = `${record.date}|${record.time}|${record.committee}`.toLowerCase();
       if (seen.has(dedupeKey)) {
         dropReasons.duplicate += 1;
         continue;
@@ -315,7 +283,10 @@ function deriveSenateRecords(data, statsCollector) {
   const records = [];
 
   data.forEach((item, index) => {
-    const normalizedDate = parseSenateDate(item.date || '') || norm(item.date || '');
+    // Headers without a year resolve against the day the row was scraped, not today
+    const seenAt = item.lastSeenAt ? new Date(item.lastSeenAt) : null;
+    const reference = seenAt && !Number.isNaN(seenAt.getTime()) ? manilaToday(seenAt) : undefined;
+    const normalizedDate = parseSenateDate(item.date || '', reference) || norm(item.date || '');
     const normalizedTime = parseClock(item.time || '');
     const committee = norm(item.committee || item.title || '');
 
@@ -332,14 +303,15 @@ function deriveSenateRecords(data, statsCollector) {
     records.push({
       id: `senate-${item.id || index + 1}`,
       branch: 'Senate',
+      congress: resolveCongress(normalizedDate, item.congress),
       committee,
       date: normalizedDate,
       time: normalizedTime,
       venue: norm(item.venue || ''),
       agenda: norm(item.agenda || item.subject || ''),
-      status: norm(item.status || 'Scheduled') || 'Scheduled',
+      status: norm(item.status || '') || 'scheduled',
       notes: norm(item.notes || ''),
-      isoDate: toIso(normalizedDate, normalizedTime),
+      isoDate: toManilaIso(normalizedDate, normalizedTime),
       source: SENATE_SOURCE
     });
   });
@@ -466,23 +438,79 @@ async function loadSenateRecords() {
   return { records: [], debug };
 }
 
+function mergeNotes(existing, additions) {
+  const notes = norm(existing);
+  const missing = additions.filter((note) => !notes.includes(note));
+  return [notes, ...missing].filter(Boolean).join(' · ');
+}
+
+// The published committee and venue strings are kept as rawCommittee and rawVenue so that
+// rebuilding from an already normalized docs/data file parses the original text again instead
+// of the canonical names.
 function decorateRecords(records) {
-  return records.map((record) => ({
-    ...record,
-    isoDate: record.isoDate || toIso(record.date, record.time),
-    searchText: [
+  return records.map((record) => {
+    const rawCommittee = norm(record.rawCommittee || record.committee);
+    const { committee, committeeSlug, committees, meetingType, notes } = normalizeCommittee(
+      rawCommittee,
       record.branch,
-      record.committee,
-      record.venue,
-      record.agenda,
-      record.status,
-      record.notes
-    ]
-      .map(norm)
-      .filter(Boolean)
-      .join(' ')
-      .toLowerCase()
-  }));
+      record.agenda
+    );
+    const flags = houseFlags(record);
+    const rawVenue = norm(record.rawVenue || record.venue);
+    const status = isHearingStatus(record.status)
+      ? {
+          status: record.status,
+          previousDate: norm(record.previousDate || ''),
+          previousTime: norm(record.previousTime || ''),
+          remarks: ''
+        }
+      : parseStatusText(record.status);
+    const { note: venueNote, ...venueDetails } = parseVenue(rawVenue, record.branch);
+    const decorated = {
+      ...record,
+      committee,
+      rawCommittee,
+      committeeSlug,
+      committees,
+      meetingType: flags.isTechnicalWorkingGroup && meetingType === 'hearing' ? 'twg' : meetingType,
+      ...flags,
+      venue: formatVenue(venueDetails),
+      rawVenue,
+      venueDetails,
+      status: status.status,
+      previousDate: status.previousDate,
+      previousTime: status.previousTime,
+      notes: mergeNotes(withoutOnwardsNote(record.notes), [...notes, venueNote, status.remarks].filter(Boolean)),
+      isoDate: normalizeManilaIso(record.isoDate) || toManilaIso(record.date, record.time),
+      bills: extractBills(record.agenda),
+      authors: extractAuthors(record.agenda)
+    };
+    return {
+      ...decorated,
+      searchText: [
+        decorated.branch,
+        decorated.rawCommittee,
+        ...committees.map((entry) => entry.name),
+        decorated.venue,
+        decorated.rawVenue,
+        decorated.agenda,
+        decorated.status,
+        decorated.notes
+      ]
+        .map(norm)
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase()
+    };
+  });
+}
+
+function countByCongress(records) {
+  return records.reduce((acc, record) => {
+    const key = record.congress ? String(record.congress) : 'unknown';
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
 }
 
 function sortRecords(records) {
@@ -497,6 +525,161 @@ function sortRecords(records) {
   });
 }
 
+function isCancelledRecord(record) {
+  return /cancel/i.test(record.status || '');
+}
+
+function scheduleSnapshot(record) {
+  return { date: record.date, time: record.time, isoDate: record.isoDate };
+}
+
+function describeChange(type, record, before, after) {
+  return {
+    type,
+    id: record.id,
+    branch: record.branch,
+    committee: record.committee,
+    date: record.date,
+    time: record.time,
+    before,
+    after
+  };
+}
+
+// House rows keep their API id across edits, so two House records with different row ids are
+// different hearings however alike they look.
+function houseRowId(record) {
+  const match = record.branch === 'House of Representatives' ? String(record.id).match(/^house-(\d+)$/) : null;
+  return match ? match[1] : null;
+}
+
+function scheduleGap(before, after) {
+  const gap = Math.abs(Date.parse(after.isoDate) - Date.parse(before.isoDate));
+  return Number.isNaN(gap) ? Infinity : gap;
+}
+
+// Senate ids are derived from date/time/committee, so a moved Senate hearing shows up as a
+// removal plus an addition. Pair those back up when the committee and agenda still match and
+// the new date is within MOVED_HEARING_WINDOW_MS of the old one; the nearest date wins, so a
+// committee's recurring hearings with a standing agenda are not swapped with each other.
+function pairMovedRecords(removed, added) {
+  const pairs = [];
+  const remainingAdded = [...added];
+  const remainingRemoved = [];
+
+  for (const before of removed) {
+    let index = -1;
+    let nearest = Infinity;
+    remainingAdded.forEach((after, candidate) => {
+      if (
+        after.branch !== before.branch ||
+        after.committee !== before.committee ||
+        norm(after.agenda) !== norm(before.agenda) ||
+        (houseRowId(before) && houseRowId(after))
+      ) {
+        return;
+      }
+      const gap = scheduleGap(before, after);
+      if (gap <= MOVED_HEARING_WINDOW_MS && gap < nearest) {
+        index = candidate;
+        nearest = gap;
+      }
+    });
+    if (index === -1) {
+      remainingRemoved.push(before);
+      continue;
+    }
+    const [after] = remainingAdded.splice(index, 1);
+    pairs.push({ before, after });
+  }
+
+  return { pairs, removed: remainingRemoved, added: remainingAdded };
+}
+
+function diffRecords(previousRecords, nextRecords) {
+  const previousById = new Map(previousRecords.map((record) => [record.id, record]));
+  const nextById = new Map(nextRecords.map((record) => [record.id, record]));
+  const changes = [];
+
+  const { pairs, removed, added } = pairMovedRecords(
+    previousRecords.filter((record) => !nextById.has(record.id)),
+    nextRecords.filter((record) => !previousById.has(record.id))
+  );
+
+  for (const record of added) {
+    changes.push(describeChange('added', record, null, scheduleSnapshot(record)));
+  }
+  for (const record of removed) {
+    changes.push(describeChange('removed', record, scheduleSnapshot(record), null));
+  }
+
+  const matched = [
+    ...pairs,
+    ...nextRecords
+      .filter((record) => previousById.has(record.id))
+      .map((record) => ({ before: previousById.get(record.id), after: record }))
+  ];
+
+  for (const { before, after } of matched) {
+    if (isCancelledRecord(after) && !isCancelledRecord(before)) {
+      changes.push(
+        describeChange('cancelled', after, { status: before.status }, { status: after.status })
+      );
+    }
+    if (before.date !== after.date || before.time !== after.time) {
+      changes.push(
+        describeChange('rescheduled', after, scheduleSnapshot(before), scheduleSnapshot(after))
+      );
+    }
+    // Compared on the normalized venue the entry reports, so a respelling of the same room
+    // ("Conf. Rms. 1&2" for "Conf. Rms. 1 & 2") is not announced as a move.
+    if (norm(before.venue) !== norm(after.venue)) {
+      changes.push(describeChange('venue', after, { venue: before.venue }, { venue: after.venue }));
+    }
+    if (norm(before.agenda) !== norm(after.agenda)) {
+      changes.push(describeChange('agenda', after, { agenda: before.agenda }, { agenda: after.agenda }));
+    }
+  }
+
+  return changes;
+}
+
+function countChanges(changes) {
+  const counts = { added: 0, removed: 0, cancelled: 0, rescheduled: 0, venue: 0, agenda: 0 };
+  for (const change of changes) {
+    counts[change.type] += 1;
+  }
+  return counts;
+}
+
+// changes.json is a rolling log: every run prepends what it detected and entries older than
+// the retention window fall off the end.
+async function updateChangelog(previousRecords, previousMetadata, records, generatedAt) {
+  const changelogPath = path.join(DATA_DIR, 'changes.json');
+  const existing = await readJson(changelogPath);
+  const history = Array.isArray(existing?.changes) ? existing.changes : [];
+
+  const baseline = !Array.isArray(previousRecords);
+  const detected = baseline ? [] : diffRecords(previousRecords, records);
+  const counts = countChanges(detected);
+
+  const cutoff = Date.parse(generatedAt) - CHANGELOG_RETENTION_MS;
+  const changes = [
+    ...detected.map((change) => ({ detectedAt: generatedAt, ...change })),
+    ...history.filter((change) => Date.parse(change.detectedAt) >= cutoff)
+  ];
+
+  const latest = {
+    detectedAt: generatedAt,
+    previousGeneratedAt: previousMetadata?.generatedAt || null,
+    baseline,
+    counts
+  };
+
+  await writeJson(changelogPath, { generatedAt, latest, changes });
+  return latest;
+}
+
 async function ensureDocsStructure() {
   await fs.mkdir(DATA_DIR, { recursive: true });
 }
@@ -512,14 +695,23 @@ async function main() {
   const { records: senateRecords, debug: senateDebug } = await loadSenateRecords();
   const senate = decorateRecords(senateRecords);
   const combined = sortRecords([...house, ...senate]);
+  const generatedAt = new Date().toISOString();
+
+  const [previousRecords, previousMetadata] = await Promise.all([
+    readJson(path.join(DATA_DIR, 'all.json')),
+    readJson(path.join(DATA_DIR, 'metadata.json'))
+  ]);
+  const changes = await updateChangelog(previousRecords, previousMetadata, combined, generatedAt);
 
   const metadata = {
-    generatedAt: new Date().toISOString(),
+    generatedAt,
     counts: {
       house: house.length,
       senate: senate.length,
       all: combined.length
     },
+    congresses: countByCongress(combined),
+    changes: changes.counts,
     sources: {
       house: HOUSE_SOURCE,
       senate: SENATE_SOURCE
@@ -537,6 +729,7 @@ async function main() {
   });
 
   console.log(`Static data generated. House=${house.length}, Senate=${senate.length}, Total=${combined.length}`);
+  console.log(`Changes since last build: ${JSON.stringify(changes.counts)}`);
 }
 
 main().catch((error) => {
@@ -3,9 +3,11 @@
 // - House API (POST /hrep/api-v1/committee-schedule/list with exact browser headers + comprehensive debug)
 // - Senate weekly XHTML page (static HTML)
 // Outputs:
-//   - output/house.json
-//   - output/senate.json
-//   - output/house_api_debug.json (raw API envelope when available)
+//   - output/house.json (every House row known so far, newest first)
+//   - output/house-archive.json (persistent House store keyed by API row id)
+//   - output/senate.json (every Senate hearing in the archive, by date)
+//   - output/senate-archive.json (weekly Senate scrapes merged into one long-lived store)
+//   - output/house_api_debug.json (raw API envelope for the first page when available)
 //   - output/debug.log (detailed diagnostics for debugging)
 //
 // In CI, ensure Chromium is available:
@@ -18,6 +20,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
 import { chromium } from 'playwright';
+import { shortHash } from './lib/common.js';
+import { manilaToday, parseSenateDate } from './lib/senate-dates.js';
 
 console.log('[start] fetch.js launched');
 
@@ -42,11 +46,40 @@ const HOUSE_API = 'https://api.v2.congress.hrep.online/hrep/api-v1/committee-sch
 const SENATE_SCHED_URL = 'https://web.senate.gov.ph/committee/schedwk.asp';
 const HOUSE_WARMUP_URL = 'https://www.congress.gov.ph/committees/committee-meetings/';
 const HOUSE_STORAGE_STATE_FILE = path.join(OUTPUT_DIR, 'house-storage-state.json');
+const HOUSE_ARCHIVE_FILE = path.join(OUTPUT_DIR, 'house-archive.json');
+const SENATE_ARCHIVE_FILE = path.join(OUTPUT_DIR, 'senate-archive.json');
+const HOUSE_PAGE_LIMIT = 150;
+const HOUSE_PAGE_DELAY_MS = 750;
+// Incremental runs stop at the first page with nothing new; a periodic full walk picks up
+// edits to older rows that would otherwise never be revisited.
+const HOUSE_FULL_SYNC_INTERVAL_MS = 1000 * 60 * 60 * 24 * 7;
+const HOUSE_FULL_SYNC = /^(1|true|yes)$/i.test(process.env.HOUSE_FULL_SYNC || '');
+// Congresses to query, e.g. `npm run fetch -- --congress=20` or HOUSE_CONGRESSES=19,20
+const HOUSE_CONGRESSES = parseCongressList(
+  argValue('--congress') || process.env.HOUSE_CONGRESSES || '19,20'
+);
 const TURNSTILE_RESPONSE_SELECTOR = '[name="cf-turnstile-response"]';
 const CHROME_UA =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36';
 const FIREFOX_UA =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:141.0) Gecko/20100101 Firefox/141.0';
+function argValue(flag) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) return args[i + 1] || '';
+    if (args[i].startsWith(`${flag}=`)) return args[i].slice(flag.length + 1);
+  }
+  return '';
+}
+
+function parseCongressList(value) {
+  const list = String(value)
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => /^\d+$/.test(part));
+  return list.length ? Array.from(new Set(list)) : ['19', '20'];
+}
+
 const PROXY_SERVER =
   process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || '';
 
@@ -213,6 +246,16 @@ function htmlToText(html) {
   const $frag = cheerio.load(`<div>${html}</div>`);
   return norm($frag('div').text());
 }
+function decodeEntities(s) {
+  if (typeof s !== 'string') return s;
+  return s
+    .replaceAll('&amp;', '&')
+    .replaceAll('&lt;', '<')
+    .replaceAll('&gt;', '>')
+    .replaceAll('&quot;', '"')
+    .replaceAll('&#39;', "'");
+}
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 // ---------------- HTTP helpers (Playwright request with hardened debug) ----------------
 async function postJson(url, payload = {}, headers = {}, options = {}) {
@@ -598,11 +641,183 @@ async function fetchSenateHTML(url) {
   }
 }
 
+// ---------------- House archive ----------------
+// Every House row ever seen, keyed by the API's numeric `id`. Rows are stored exactly as the
+// API returned them so later runs can tell whether a row changed upstream.
+async function loadHouseArchive() {
+  const archive = { rows: new Map(), congresses: {}, updatedAt: null };
+  try {
+    const raw = await fs.readFile(HOUSE_ARCHIVE_FILE, 'utf-8');
+    const parsed = JSON.parse(raw);
+    for (const row of Array.isArray(parsed?.rows) ? parsed.rows : []) {
+      if (row && row.id !== undefined && row.id !== null) {
+        archive.rows.set(String(row.id), row);
+      }
+    }
+    if (parsed?.congresses && typeof parsed.congresses === 'object') {
+      archive.congresses = parsed.congresses;
+    }
+    archive.updatedAt = parsed?.updatedAt || null;
+    console.log(`[house] archive loaded: ${archive.rows.size} rows`);
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      console.warn(`[house] archive read failed, starting fresh: ${err?.message || err}`);
+      try {
+        await appendDebug(`House archive read failed, starting fresh: ${err?.message || err}`);
+      } catch {}
+    }
+  }
+  return archive;
+}
+
+function sortHouseRows(rows) {
+  return [...rows].sort((a, b) => {
+    const aKey = String(a.datetime || a.date || '');
+    const bKey = String(b.datetime || b.date || '');
+    if (aKey !== bKey) return aKey < bKey ? 1 : -1;
+    return Number(b.id) - Number(a.id);
+  });
+}
+
+async function saveHouseArchive(archive) {
+  const body = {
+    updatedAt: archive.updatedAt,
+    // Per-Congress sync state: { count, pageCount, fullSyncAt }
+    congresses: archive.congresses,
+    rows: sortHouseRows(archive.rows.values())
+  };
+  await fs.writeFile(HOUSE_ARCHIVE_FILE, `${JSON.stringify(body, null, 2)}\n`, 'utf-8');
+}
+
+function rowFingerprint(row) {
+  return JSON.stringify(Object.keys(row).sort().map((key) => [key, row[key]]));
+}
+
+function mergeHouseRows(archive, rows) {
+  const stats = { added: 0, changed: 0, unchanged: 0, skipped: 0 };
+  for (const row of rows) {
+    if (!row || row.id === undefined || row.id === null) {
+      stats.skipped += 1;
+      continue;
+    }
+    const key = String(row.id);
+    const existing = archive.rows.get(key);
+    if (!existing) {
+      stats.added += 1;
+    } else if (rowFingerprint(existing) !== rowFingerprint(row)) {
+      stats.changed += 1;
+    } else {
+      stats.unchanged += 1;
+      continue;
+    }
+    archive.rows.set(key, row);
+  }
+  return stats;
+}
+
+function congressSyncState(archive, congress) {
+  if (!archive.congresses[congress]) {
+    archive.congresses[congress] = { count: 0, pageCount: 0, fullSyncAt: null };
+  }
+  return archive.congresses[congress];
+}
+
+function needsFullHouseSync(archive, congress, now = Date.now()) {
+  const state = congressSyncState(archive, congress);
+  if (HOUSE_FULL_SYNC || archive.rows.size === 0 || !state.fullSyncAt) return true;
+  const last = Date.parse(state.fullSyncAt);
+  return Number.isNaN(last) || now - last >= HOUSE_FULL_SYNC_INTERVAL_MS;
+}
+
+function buildHousePayload(page, congress) {
+  return { page, limit: HOUSE_PAGE_LIMIT, congress, filter: '' };
+}
+
+// ---------------- Senate archive ----------------
+// The Senate only publishes the current week, so each run's parse is merged into a store
+// keyed by date, time and committee. A week's parse is authoritative for the days it
+// covers: archived hearings on those days that no longer appear are dropped.
+function senateKey(record) {
+  return `${record.date}|${record.time}|${record.committee}`.toLowerCase();
+}
+
+async function loadSenateArchive() {
+  const archive = { records: new Map(), updatedAt: null };
+  try {
+    const raw = await fs.readFile(SENATE_ARCHIVE_FILE, 'utf-8');
+    const parsed = JSON.parse(raw);
+    for (const record of Array.isArray(parsed?.records) ? parsed.records : []) {
+      if (record?.date && record?.committee) {
+        archive.records.set(senateKey(record), record);
+      }
+    }
+    archive.updatedAt = parsed?.updatedAt || null;
+    console.log(`[senate] archive loaded: ${archive.records.size} records`);
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      console.warn(`[senate] archive read failed, starting fresh: ${err?.message || err}`);
+      try {
+        await appendDebug(`Senate archive read failed, starting fresh: ${err?.message || err}`);
+      } catch {}
+    }
+  }
+  return archive;
+}
+
+function sortSenateRecords(records) {
+  return [...records].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    if (a.time !== b.time) return a.time.localeCompare(b.time);
+    return a.committee.localeCompare(b.committee);
+  });
+}
+
+async function saveSenateArchive(archive) {
+  const body = {
+    updatedAt: archive.updatedAt,
+    records: sortSenateRecords(archive.records.values())
+  };
+  await fs.writeFile(SENATE_ARCHIVE_FILE, `${JSON.stringify(body, null, 2)}\n`, 'utf-8');
+}
+
+function mergeSenateWeek(archive, records, coveredDates, seenAt) {
+  const stats = { added: 0, updated: 0, unchanged: 0, dropped: 0 };
+  const incoming = new Map(records.map((record) => [senateKey(record), record]));
+  const covered = new Set(coveredDates);
+
+  for (const [key, existing] of archive.records) {
+    if (covered.has(existing.date) && !incoming.has(key)) {
+      archive.records.delete(key);
+      stats.dropped += 1;
+    }
+  }
+
+  for (const [key, record] of incoming) {
+    const existing = archive.records.get(key);
+    if (!existing) {
+      stats.added += 1;
+    } else if (existing.venue !== record.venue || existing.subject !== record.subject) {
+      stats.updated += 1;
+    } else {
+      stats.unchanged += 1;
+    }
+    archive.records.set(key, {
+      id: existing?.id || shortHash(key),
+      ...record,
+      firstSeenAt: existing?.firstSeenAt || seenAt,
+      lastSeenAt: seenAt
+    });
+  }
+
+  return stats;
+}
+
 // ---------------- Parsers ----------------
-async function parseSenateSchedule(html) {
-  console.log('[parseSenateSchedule] starting');
+async function parseSenateSchedule(html, reference = manilaToday()) {
+  console.log(`[parseSenateSchedule] starting (reference date ${reference})`);
   const $ = cheerio.load(html);
   const out = [];
+  const coveredDates = new Set();
 
   const dayTables = $('div[align="center"] > table[width="98%"].grayborder');
   console.log(`[parseSenateSchedule] found ${dayTables.length} day tables`);
@@ -613,6 +828,12 @@ async function parseSenateSchedule(html) {
     if (trs.length < 3) return;
 
     const dayHeader = norm($(trs[0]).find('td').first().text());
+    const date = parseSenateDate(dayHeader, reference);
+    if (!date) {
+      console.warn(`[parseSenateSchedule] unreadable day header "${dayHeader}"`);
+      return;
+    }
+    coveredDates.add(date);
 
     for (let i = 2; i < trs.length; i++) {
       const tds = $(trs[i]).find('td');
@@ -637,9 +858,10 @@ async function parseSenateSchedule(html) {
         .filter(Boolean);
       const subject = agendaParts.join('; ');
 
-      if (dayHeader && time && committeeCell) {
+      if (time && committeeCell) {
         out.push({
-          date: dayHeader,
+          date,
+          dayHeader,
           time,
           committee: committeeCell,
           subject,
@@ -652,14 +874,14 @@ async function parseSenateSchedule(html) {
 
   const seen = new Set();
   const deduplicated = out.filter((r) => {
-    const k = `${r.date}|${r.time}|${r.committee}`.toLowerCase();
+    const k = senateKey(r);
     if (seen.has(k)) return false;
     seen.add(k);
     return true;
   });
 
-  console.log(`[parseSenateSchedule] parsed ${deduplicated.length} items`);
-  return deduplicated;
+  console.log(`[parseSenateSchedule] parsed ${deduplicated.length} items across ${coveredDates.size} days`);
+  return { records: deduplicated, coveredDates: [...coveredDates] };
 }
 
 // ---------------- Main ----------------
@@ -679,9 +901,16 @@ async function main() {
   } catch {}
 
   let house = [];
+  const archive = await loadHouseArchive();
   try {
-    // Captured working payload
-    const payload = { page: 0, limit: 150, congress: '19', filter: '' };
+    console.log(`[house] congresses: ${HOUSE_CONGRESSES.join(',')}, archive rows=${archive.rows.size}`);
+    try {
+      await appendDebug(`House congresses: ${HOUSE_CONGRESSES.join(',')}, archive rows=${archive.rows.size}`);
+    } catch {}
+
+    // Captured working payload; the in-page warmup fetch only ever covers the first page
+    // of the first Congress
+    const payload = buildHousePayload(0, HOUSE_CONGRESSES[0]);
     console.log(`[house] payload: ${JSON.stringify(payload)}`);
     try {
       await appendDebug(`House payload: ${JSON.stringify(payload)}`);
@@ -711,8 +940,6 @@ async function main() {
 
     // Simple backoff retry for transient errors
     const delays = [500, 1500, 3500, 7000];
-    let apiResp = null;
-    let lastErr = null;
 
     let houseSession;
     let turnstileToken = '';
@@ -754,17 +981,18 @@ async function main() {
       }
     };
 
-    try {
-      await initHouseSession('initial');
-      if (!turnstileToken && !inPageApiResult) {
-        console.warn('[house] warmup returned empty Turnstile token, retrying once');
-        try {
-          await appendDebug('House warmup returned empty Turnstile token, retrying once');
-        } catch {}
-        await initHouseSession('refresh');
-      }
-
-      if (inPageApiResult && inPageApiResult.status === 200) {
+    const requestHousePage = async (congress, pageIndex) => {
+      const pagePayload = buildHousePayload(pageIndex, congress);
+      const label = `congress ${congress} page ${pageIndex}`;
+      let apiResp = null;
+      let lastErr = null;
+
+      if (
+        congress === payload.congress &&
+        pageIndex === 0 &&
+        inPageApiResult &&
+        inPageApiResult.status === 200
+      ) {
         try {
           apiResp = JSON.parse(inPageApiResult.text || '');
           console.log('[house] in-page fetch provided API response');
@@ -777,15 +1005,15 @@ async function main() {
             await appendDebug('House in-page fetch JSON parse failed, falling back to direct API.');
           } catch {}
           apiResp = null;
-          inPageApiResult = null;
         }
+        inPageApiResult = null;
       }
 
       for (let i = 0; i < delays.length && !apiResp; i++) {
         try {
-          console.log(`[house] attempt ${i + 1} starting...`);
+          console.log(`[house] ${label} attempt ${i + 1} starting...`);
           try {
-            await appendDebug(`House attempt ${i + 1} starting...`);
+            await appendDebug(`House ${label} attempt ${i + 1} starting...`);
           } catch {}
           const attemptHeaders = { ...headers };
           if (turnstileToken) {
@@ -796,17 +1024,17 @@ async function main() {
           }
           try {
             await appendDebug(
-              `House attempt ${i + 1}: using Turnstile token length=${turnstileToken.length}`
+              `House ${label} attempt ${i + 1}: using Turnstile token length=${turnstileToken.length}`
             );
           } catch {}
 
-          apiResp = await postJson(HOUSE_API, payload, attemptHeaders, {
+          apiResp = await postJson(HOUSE_API, pagePayload, attemptHeaders, {
             browser: houseSession.browser,
             context: houseSession.context
           });
-          console.log(`[house] attempt ${i + 1} succeeded`);
+          console.log(`[house] ${label} attempt ${i + 1} succeeded`);
           try {
-            await appendDebug(`House attempt ${i + 1} succeeded`);
+            await appendDebug(`House ${label} attempt ${i + 1} succeeded`);
           } catch {}
 
           try {
@@ -824,9 +1052,9 @@ async function main() {
           break;
         } catch (e) {
           lastErr = e;
-          console.error(`[house] attempt ${i + 1} failed: ${e?.message || e}`);
+          console.error(`[house] ${label} attempt ${i + 1} failed: ${e?.message || e}`);
           try {
-            await appendDebug(`House attempt ${i + 1} failed: ${e?.message || e}`);
+            await appendDebug(`House ${label} attempt ${i + 1} failed: ${e?.message || e}`);
           } catch {}
           if (i < delays.length - 1) {
             const errMsg = e?.message || '';
@@ -837,169 +1065,162 @@ async function main() {
                 await appendDebug('House refreshing warmup session before retry');
               } catch {}
               await initHouseSession('retry');
+              inPageApiResult = null;
             }
             console.log(`[house] retrying after ${delays[i]}ms...`);
             try {
               await appendDebug(`House retrying after ${delays[i]}ms...`);
             } catch {}
-            await new Promise((r) => setTimeout(r, delays[i]));
+            await sleep(delays[i]);
           }
         }
       }
-    } finally {
-      await closeHouseSession();
-    }
 
-    if (!apiResp) {
-      console.error('[house] API failed after all retries');
-      try {
-        await appendDebug('House API failed after all retries.');
-      } catch {}
-      throw lastErr || new Error('House API failed after retries');
-    }
+      if (!apiResp) {
+        console.error(`[house] API failed after all retries (${label})`);
+        try {
+          await appendDebug(`House API failed after all retries (${label}).`);
+        } catch {}
+        throw lastErr || new Error('House API failed after retries');
+      }
+      return apiResp;
+    };
 
-    // Log response structure
-    console.log(`[house] API response keys: ${Object.keys(apiResp).join(',')}`);
-    console.log(`[house] API status: ${apiResp.status}, success: ${apiResp.success}`);
-    try {
-      await appendDebug(`House API response keys: ${Object.keys(apiResp).join(',')}`);
-      await appendDebug(`House API status: ${apiResp.status}, success: ${apiResp.success}`);
-    } catch {}
-    
-    if (apiResp.data) {
-      console.log(`[house] API data keys: ${Object.keys(apiResp.data).join(',')}`);
-      console.log(`[house] API pageCount: ${apiResp.data.pageCount}, count: ${apiResp.data.count}`);
+    const syncHouseCongress = async (congress) => {
+      const state = congressSyncState(archive, congress);
+      const fullSync = needsFullHouseSync(archive, congress);
+      console.log(`[house] congress ${congress} sync mode: ${fullSync ? 'full' : 'incremental'}`);
       try {
-        await appendDebug(`House API data keys: ${Object.keys(apiResp.data).join(',')}`);
-        await appendDebug(`House API pageCount: ${apiResp.data.pageCount}, count: ${apiResp.data.count}`);
+        await appendDebug(`House congress ${congress} sync mode: ${fullSync ? 'full' : 'incremental'}`);
       } catch {}
-    }
 
-    // Save raw API response envelope for inspection
-    await fs.writeFile(
-      path.join(OUTPUT_DIR, 'house_api_debug.json'),
-      JSON.stringify(apiResp, null, 2),
-      'utf-8'
-    );
+      let pageIndex = 0;
+      let pageCount = 1;
+      let walkedAllPages = false;
+      while (pageIndex < pageCount) {
+        const apiResp = await requestHousePage(congress, pageIndex);
 
-    // Parse response
-    const rows = Array.isArray(apiResp?.data?.rows) ? apiResp.data.rows : [];
-    console.log(`[house] raw rows count: ${rows.length}`);
-    try {
-      await appendDebug(`House raw rows count: ${rows.length}`);
-    } catch {}
-    
-    if (rows.length > 0) {
-      console.log(`[house] first row keys: ${Object.keys(rows[0]).join(',')}`);
-      console.log(`[house] first row sample: date="${rows[0].date}", time="${rows[0].time}", comm_name="${rows[0].comm_name}", cancelled=${rows[0].cancelled}`);
-      try {
-        await appendDebug(`House first row keys: ${Object.keys(rows[0]).join(',')}`);
-        await appendDebug(`House first row sample: date="${rows[0].date}", time="${rows[0].time}", comm_name="${rows[0].comm_name}", cancelled=${rows[0].cancelled}`);
-      } catch {}
-    }
+        if (congress === payload.congress && pageIndex === 0) {
+          // Log response structure
+          console.log(`[house] API response keys: ${Object.keys(apiResp).join(',')}`);
+          console.log(`[house] API status: ${apiResp.status}, success: ${apiResp.success}`);
+          try {
+            await appendDebug(`House API response keys: ${Object.keys(apiResp).join(',')}`);
+            await appendDebug(`House API status: ${apiResp.status}, success: ${apiResp.success}`);
+          } catch {}
 
-    // Decode HTML entities
-    const decode = (s) =>
-      norm(s)
-        .replaceAll('&amp;', '&')
-        .replaceAll('&lt;', '<')
-        .replaceAll('&gt;', '>')
-        .replaceAll('&quot;', '"')
-        .replaceAll('&#39;', "'");
-
-    // Map and filter with detailed logging
-    let validCount = 0;
-    let invalidCount = 0;
-    let cancelledCount = 0;
-
-    const mapped = [];
-    for (let index = 0; index < rows.length; index++) {
-      const it = rows[index];
-      
-      // Log first few items for debugging
-      if (index < 3) {
-        console.log(`[house] row ${index}: date="${it.date}", time="${it.time}", comm_name="${it.comm_name}", cancelled=${it.cancelled}`);
+          // Save raw API response envelope for inspection
+          await fs.writeFile(
+            path.join(OUTPUT_DIR, 'house_api_debug.json'),
+            JSON.stringify(apiResp, null, 2),
+            'utf-8'
+          );
+        }
+
+        const reportedPages = Number(apiResp?.data?.pageCount);
+        pageCount = Number.isFinite(reportedPages) && reportedPages > 0 ? reportedPages : pageIndex + 1;
+        const reportedCount = Number(apiResp?.data?.count);
+        if (Number.isFinite(reportedCount)) {
+          state.count = reportedCount;
+        }
+        state.pageCount = pageCount;
+
+        const rows = Array.isArray(apiResp?.data?.rows) ? apiResp.data.rows : [];
+        const stats = mergeHouseRows(archive, rows);
+        const summary = `congress ${congress} page ${pageIndex + 1}/${pageCount} (count=${state.count}): rows=${rows.length} added=${stats.added} changed=${stats.changed} unchanged=${stats.unchanged} skipped=${stats.skipped}`;
+        console.log(`[house] ${summary}`);
         try {
-          await appendDebug(`House row ${index}: date="${it.date}", time="${it.time}", comm_name="${it.comm_name}", cancelled=${it.cancelled}`);
+          await appendDebug(`House ${summary}`);
         } catch {}
-      }
 
-      const date = norm(it.date || '');
-      const time = parseClock(norm(it.time || ''));
-      const committee = norm(it.comm_name || '');
-      const subject = decode(it.agenda || '');
-      const venue = decode(it.venue || '');
+        if (rows.length === 0) {
+          walkedAllPages = true;
+          break;
+        }
+        if (!fullSync && stats.added === 0 && stats.changed === 0) {
+          console.log(`[house] congress ${congress} page ${pageIndex + 1} unchanged, stopping incremental sync`);
+          try {
+            await appendDebug(`House congress ${congress} page ${pageIndex + 1} unchanged, stopping incremental sync`);
+          } catch {}
+          break;
+        }
 
-      // Count cancelled items
-      if (it.cancelled) {
-        cancelledCount++;
+        pageIndex += 1;
+        if (pageIndex >= pageCount) {
+          walkedAllPages = true;
+        } else {
+          await sleep(HOUSE_PAGE_DELAY_MS);
+        }
       }
 
-      // Check validation
-      if (!date && index < 5) {
-        console.log(`[house] row ${index}: missing date`);
-        try { await appendDebug(`House row ${index}: missing date`); } catch {}
-      }
-      if (!time && index < 5) {
-        console.log(`[house] row ${index}: missing time`);
-        try { await appendDebug(`House row ${index}: missing time`); } catch {}
+      if (walkedAllPages) {
+        state.fullSyncAt = new Date().toISOString();
       }
-      if (!committee && index < 5) {
-        console.log(`[house] row ${index}: missing committee`);
-        try { await appendDebug(`House row ${index}: missing committee`); } catch {}
+    };
+
+    try {
+      await initHouseSession('initial');
+      if (!turnstileToken && !inPageApiResult) {
+        console.warn('[house] warmup returned empty Turnstile token, retrying once');
+        try {
+          await appendDebug('House warmup returned empty Turnstile token, retrying once');
+        } catch {}
+        await initHouseSession('refresh');
       }
 
-      if (date && time && committee) {
-        validCount++;
-        mapped.push({ date, time, committee, subject, venue, source: 'House API (list)' });
-      } else {
-        invalidCount++;
+      for (const congress of HOUSE_CONGRESSES) {
+        try {
+          await syncHouseCongress(congress);
+        } catch (congressErr) {
+          // Keep going so one unreachable Congress does not block the others
+          console.error(`[house] congress ${congress} sync failed: ${congressErr?.message || congressErr}`);
+          try {
+            await appendDebug(`House congress ${congress} sync failed: ${congressErr?.message || congressErr}`);
+          } catch {}
+        }
       }
+      archive.updatedAt = new Date().toISOString();
+    } finally {
+      await closeHouseSession();
     }
-
-    console.log(`[house] mapping: ${validCount} valid, ${invalidCount} invalid, ${cancelledCount} cancelled`);
+  } catch (e) {
+    console.error(`[house] error: ${e?.message || e}`);
     try {
-      await appendDebug(`House mapping: ${validCount} valid, ${invalidCount} invalid, ${cancelledCount} cancelled`);
+      await appendDebug(`House error: ${e?.message || e}`);
     } catch {}
+    console.error('House API fetch failed:', e.message || e);
+  }
 
-    // De-duplicate
-    const seen = new Set();
-    let dupCount = 0;
-    house = mapped.filter((r) => {
-      const k = `${r.date}|${r.time}|${r.committee}`.toLowerCase();
-      if (seen.has(k)) {
-        dupCount++;
-        return false;
-      }
-      seen.add(k);
-      return true;
-    });
-
-    console.log(`[house] deduplication: ${dupCount} duplicates removed, ${house.length} final count`);
+  // Pages merged before a failure are kept; the archive only ever grows or updates rows
+  try {
+    await saveHouseArchive(archive);
+    console.log(`[house] archive written: ${archive.rows.size} rows`);
+    try {
+      await appendDebug(`House archive written: ${archive.rows.size} rows`);
+    } catch {}
+  } catch (e) {
+    console.error(`[house] archive write error: ${e?.message || e}`);
     try {
-      await appendDebug(`House deduplication: ${dupCount} duplicates removed, ${house.length} final count`);
+      await appendDebug(`House archive write error: ${e?.message || e}`);
     } catch {}
+  }
 
-    if (house.length > 0) {
-      console.log(`[house] final first item: ${JSON.stringify(house[0])}`);
-      console.log(`[house] date range: ${house[0].date} to ${house[house.length-1].date}`);
-      try {
-        await appendDebug(`House final first item: ${JSON.stringify(house[0])}`);
-        await appendDebug(`House date range: ${house[0].date} to ${house[house.length-1].date}`);
-      } catch {}
-    } else {
-      console.log('[house] produced 0 rows after mapping/dedup');
-      try {
-        await appendDebug('House produced 0 rows after mapping/dedup.');
-      } catch {}
-    }
+  house = sortHouseRows(archive.rows.values()).map((row) => ({
+    ...row,
+    agenda: decodeEntities(row.agenda),
+    venue: decodeEntities(row.venue)
+  }));
 
-  } catch (e) {
-    console.error(`[house] error: ${e?.message || e}`);
+  if (house.length > 0) {
+    console.log(`[house] date range: ${house[house.length - 1].date} to ${house[0].date}`);
     try {
-      await appendDebug(`House error: ${e?.message || e}`);
+      await appendDebug(`House date range: ${house[house.length - 1].date} to ${house[0].date}`);
+    } catch {}
+  } else {
+    console.log('[house] archive is empty');
+    try {
+      await appendDebug('House archive is empty.');
     } catch {}
-    console.error('House API fetch failed:', e.message || e);
   }
 
   try {
@@ -1021,21 +1242,34 @@ async function main() {
     await appendDebug('[senate] request starting');
   } catch {}
 
-  let senate = [];
+  const senateArchive = await loadSenateArchive();
+  let senateWeek = 0;
   try {
     const html = await fetchSenateHTML(SENATE_SCHED_URL);
     if (html && html.includes('<html')) {
-      senate = await parseSenateSchedule(html);
-      console.log(`[senate] parsed rows=${senate.length}`);
+      const { records, coveredDates } = await parseSenateSchedule(html);
+      senateWeek = records.length;
+      console.log(`[senate] parsed rows=${records.length}`);
       try {
-        await appendDebug(`Senate parsed rows=${senate.length}`);
+        await appendDebug(`Senate parsed rows=${records.length} days=${coveredDates.join(',')}`);
       } catch {}
-      if (senate.length === 0) {
+      if (records.length === 0) {
         console.log('[senate] produced 0 rows after parsing');
         try {
           await appendDebug('Senate produced 0 rows after parsing.');
         } catch {}
       }
+
+      const stats = mergeSenateWeek(senateArchive, records, coveredDates, new Date().toISOString());
+      senateArchive.updatedAt = new Date().toISOString();
+      console.log(
+        `[senate] archive merge: added=${stats.added} updated=${stats.updated} unchanged=${stats.unchanged} dropped=${stats.dropped}`
+      );
+      try {
+        await appendDebug(
+          `Senate archive merge: added=${stats.added} updated=${stats.updated} unchanged=${stats.unchanged} dropped=${stats.dropped}`
+        );
+      } catch {}
     } else {
       console.error('[senate] missing or invalid HTML');
       try {
@@ -1051,9 +1285,20 @@ async function main() {
     console.error('Senate fetch failed:', e.message || e);
   }
 
+  try {
+    await saveSenateArchive(senateArchive);
+    console.log(`[senate] archive written: ${senateArchive.records.size} records`);
+  } catch (e) {
+    console.error(`[senate] archive write error: ${e?.message || e}`);
+    try {
+      await appendDebug(`Senate archive write error: ${e?.message || e}`);
+    } catch {}
+  }
+
+  const senate = sortSenateRecords(senateArchive.records.values());
   try {
     await fs.writeFile(path.join(OUTPUT_DIR, 'senate.json'), JSON.stringify(senate, null, 2));
-    console.log(`[senate] JSON written: ${senate.length} items`);
+    console.log(`[senate] JSON written: ${senate.length} items (this week: ${senateWeek})`);
   } catch (e) {
     console.error(`[senate] write error: ${e?.message || e}`);
     try {
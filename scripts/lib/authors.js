@@ -0,0 +1,82 @@
+// Extracts the legislators credited in agenda attributions such as
+// "(Reps. Sergio Dagooc and Miguel Luis Villafuerte)" or "(Deputy Speaker Kristine Singson-Meehan)".
+// Titles, nicknames in quotes and credentials are dropped so the same person gets the same
+// name across hearings: "Rep. Antonio ‘Tonypet’ Albano" becomes 'Antonio Albano'.
+
+const TITLE_PATTERN =
+  /^(?:by:?\s*)?(?:(?:senior\s+|assistant\s+)?(?:deputy\s+speaker|majority\s+leader|minority\s+leader)|speaker|reps?\.|representatives?|sens?\.|senators?)\s+/i;
+const HONORIFIC_PATTERN = /^(?:atty|dr|engr|hon)\.?\s+/i;
+const NICKNAME_PATTERN = /\s['"‘’“”][^'"‘’“”]+['"‘’“”](?=\s|,|$)/g;
+const GENERATIONAL_SUFFIX = /^(?:jr|sr|ii|iii|iv|v)\.?$/i;
+const CREDENTIAL = /^(?:m\.?\s?d|d\.?\s?p\.?\s?a|ph\.?\s?d|r\.?\s?n|c\.?\s?p\.?\s?a|esq)\.?$/i;
+const MAX_NAME_LENGTH = 60;
+
+function stripTitles(value) {
+  let result = value.trim();
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(TITLE_PATTERN, '').replace(HONORIFIC_PATTERN, '');
+  } while (result !== previous);
+  return result;
+}
+
+function formatSuffix(value) {
+  const bare = value.replace(/\.$/, '');
+  if (/^(?:jr|sr)$/i.test(bare)) return `${bare[0].toUpperCase()}${bare.slice(1).toLowerCase()}.`;
+  return bare.toUpperCase();
+}
+
+function titleCase(value) {
+  return value.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (_, lead, letter) => `${lead}${letter.toUpperCase()}`);
+}
+
+export function normalizeAuthorName(value) {
+  if (typeof value !== 'string') return '';
+  const collapsed = ` ${value.replace(/\u00A0/g, ' ')} `.replace(NICKNAME_PATTERN, ' ').replace(/\s+/g, ' ');
+  const words = stripTitles(collapsed).replace(/[,;:\s]+$/, '').split(' ').filter(Boolean);
+  while (words.length > 1 && CREDENTIAL.test(words[words.length - 1])) words.pop();
+  if (!words.length) return '';
+
+  const last = words.length - 1;
+  words[last] = last > 0 && GENERATIONAL_SUFFIX.test(words[last]) ? formatSuffix(words[last]) : words[last].replace(/\.$/, '');
+
+  const name = words.join(' ');
+  return name === name.toUpperCase() && /\p{L}{3}/u.test(name) ? titleCase(name) : name;
+}
+
+function splitAuthors(group) {
+  const names = [];
+  const parts = group.split(/,|\s+and\s+|\s*&\s*/i);
+  for (const raw of parts) {
+    const part = raw.trim();
+    if (!part) continue;
+    if (GENERATIONAL_SUFFIX.test(part) && names.length) {
+      names[names.length - 1] = `${names[names.length - 1]} ${formatSuffix(part)}`;
+      continue;
+    }
+    if (CREDENTIAL.test(part)) continue;
+    names.push(part);
+  }
+  return names;
+}
+
+export function extractAuthors(text) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const authors = [];
+  const seen = new Set();
+  for (const match of text.matchAll(/\(([^()]+)\)/g)) {
+    const group = match[1].replace(/\s+/g, ' ').trim();
+    if (!TITLE_PATTERN.test(group)) continue;
+    for (const part of splitAuthors(group)) {
+      const name = normalizeAuthorName(part);
+      if (!/\p{L}{2}/u.test(name) || name.length > MAX_NAME_LENGTH) continue;
+      const key = name.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      authors.push(name);
+    }
+  }
+  return authors;
+}
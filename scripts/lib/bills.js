@@ -0,0 +1,71 @@
+// Extracts bill, resolution and law references from agenda text.
+// "HBs 1502, 1554 & 4267" becomes ['HB 1502', 'HB 1554', 'HB 4267'], "HBs 3331-3336" is
+// expanded into each number in the range, and "S. No. 1215" / "SBN 1215" become 'SB 1215'.
+
+const NUMBER = String.raw`\d{1,5}(?:\s*-\s*\d{1,5})?`;
+const SEPARATOR = String.raw`\s*(?:,\s*(?:and\s+|&\s*)?|&\s*|and\s+)`;
+const NUMBER_LIST = `${NUMBER}(?:${SEPARATOR}${NUMBER})*`;
+const NUMBER_SUFFIX = String.raw`(?:\s*Nos?\.?)?\s*`;
+
+// Order matters only for readability; matches are re-sorted by position in the text.
+const BILL_PREFIXES = [
+  ['HJR', String.raw`H\.?\s?J\.?\s?R\.?s?|House\s+Joint\s+Resolutions?`],
+  ['HB', String.raw`H\.?\s?B\.?s?|House\s+Bills?`],
+  ['HR', String.raw`H\.?\s?R\.?s?|House\s+Resolutions?`],
+  ['SB', String.raw`SBNs?|S\.?\s?B\.?s?|S\.(?=\s*Nos?\.)|Senate\s+Bills?`],
+  ['PSR', String.raw`P\.?\s?S\.?\s?R\.?\s?Ns?|P\.?\s?S\.?\s?Res\.?`],
+  ['RA', String.raw`R\.?\s?A\.?|Republic\s+Acts?`]
+];
+
+const BILL_PATTERNS = BILL_PREFIXES.map(([type, prefix]) => ({
+  type,
+  pattern: new RegExp(`\\b(?:${prefix})${NUMBER_SUFFIX}(${NUMBER_LIST})\\b`, 'g')
+}));
+
+// Ranges wider than this are more likely typos than real groupings.
+const MAX_RANGE = 100;
+
+function expandNumbers(list) {
+  const numbers = [];
+  for (const part of list.split(/,|&|\band\b/)) {
+    const range = part.match(/(\d+)\s*-\s*(\d+)/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = parseInt(range[2], 10);
+      if (end > start && end - start <= MAX_RANGE) {
+        for (let value = start; value <= end; value += 1) numbers.push(value);
+      } else {
+        numbers.push(start, end);
+      }
+      continue;
+    }
+    const single = part.match(/\d+/);
+    if (single) numbers.push(parseInt(single[0], 10));
+  }
+  return numbers.filter((value) => value > 0);
+}
+
+export function extractBills(text) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const matches = [];
+  for (const { type, pattern } of BILL_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      matches.push({ index: match.index, type, numbers: expandNumbers(match[1]) });
+    }
+  }
+
+  const seen = new Set();
+  const bills = [];
+  for (const { type, numbers } of matches.sort((a, b) => a.index - b.index)) {
+    for (const number of numbers) {
+      const label = `${type} ${number}`;
+      if (seen.has(label)) continue;
+      seen.add(label);
+      bills.push(label);
+    }
+  }
+  return bills;
+}
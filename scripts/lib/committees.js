@@ -0,0 +1,198 @@
+// Normalizes the committee strings both chambers publish into a lead committee, the full list
+// of participating committees and a meeting type. Names are matched against
+// src/lib/committee-registry.json; anything the registry does not know is kept, title-cased.
+//
+//   "CREATIVE INDUSTRIES (Technical Working Group)"
+//     -> Creative Industries, meetingType 'twg'
+//   "Justice and Human Rights joint with Civil Service, ...; and Finance (TWG)"
+//     -> Justice and Human Rights + Civil Service, ... + Finance, meetingType 'twg'
+//   "HOUSE COMMITTEE ON HEALTH AND SENATE COMMITTEE ON HEALTH AND DEMOGRAPHY (Conference Committee)"
+//     -> House Health + Senate Health and Demography, meetingType 'joint'
+
+import { createRequire } from 'module';
+import { slugify } from '../../src/lib/slugify.js';
+import { norm } from './common.js';
+
+const require = createRequire(import.meta.url);
+const registry = require('../../src/lib/committee-registry.json');
+
+export const MEETING_TYPES = ['hearing', 'twg', 'subcommittee', 'organizational', 'joint'];
+
+const SMALL_WORDS = new Set(['and', 'of', 'on', 'the', 'for', 'in', 'with', 'to']);
+const KEEP_UPPERCASE = new Set(['ASEAN', 'WTO', 'ICT', 'MSME', 'SDG', 'TWG', 'BARMM', 'OFW']);
+// How many comma-separated pieces a single committee name can span, e.g.
+// "National Defense and Security, Peace, Unification and Reconciliation".
+const MAX_NAME_PIECES = 4;
+
+function committeeKey(name) {
+  return norm(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && word !== 'and' && word !== 'the')
+    .join(' ');
+}
+
+function buildIndex(entry) {
+  const index = new Map();
+  for (const name of entry.committees) index.set(committeeKey(name), name);
+  for (const [alias, name] of Object.entries(entry.aliases || {})) index.set(committeeKey(alias), name);
+  return index;
+}
+
+const INDEX = {
+  house: buildIndex(registry.house),
+  senate: buildIndex(registry.senate)
+};
+
+function chamberOf(branch) {
+  return /senate/i.test(branch || '') ? 'senate' : 'house';
+}
+
+function titleCase(value) {
+  return value
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => {
+      if (KEEP_UPPERCASE.has(word.toUpperCase())) return word.toUpperCase();
+      if (index > 0 && SMALL_WORDS.has(word)) return word;
+      return word.replace(/(^|[-/])(\p{L})/gu, (_, lead, letter) => `${lead}${letter.toUpperCase()}`);
+    })
+    .join(' ');
+}
+
+function displayName(value) {
+  const cleaned = norm(value).replace(/^(?:and|&)\s+/i, '').replace(/[,;.\s]+$/, '');
+  return cleaned === cleaned.toUpperCase() ? titleCase(cleaned) : cleaned;
+}
+
+function cleanListItem(value) {
+  return norm(value)
+    .replace(/^(?:and|&)\s+/i, '')
+    .replace(/^(?:special\s+)?committee\s+on\s+/i, '');
+}
+
+function committeeRef(name, chamber) {
+  return { name, slug: `${chamber}-${slugify(name)}`, chamber };
+}
+
+export function lookupCommittee(name, chamber) {
+  return INDEX[chamber].get(committeeKey(name)) || null;
+}
+
+// Splits "A, B and C, D" into registry names, letting a match span several comma-separated
+// pieces so names that contain commas ("Micro, Small and Medium Enterprise Development") survive.
+function splitCommitteeList(text, chamber) {
+  const pieces = text
+    .split(',')
+    .map(cleanListItem)
+    .filter(Boolean);
+  const names = [];
+
+  for (let start = 0; start < pieces.length; ) {
+    let matched = null;
+    let span = Math.min(MAX_NAME_PIECES, pieces.length - start);
+    for (; span > 0; span -= 1) {
+      matched = lookupCommittee(pieces.slice(start, start + span).join(', '), chamber);
+      if (matched) break;
+    }
+    if (matched) {
+      names.push(matched);
+      start += span;
+      continue;
+    }
+    // An unknown piece may still be "X and Y" naming two registered committees.
+    const pair = pieces[start].match(/^(.+?)\s+and\s+(.+)$/i);
+    const left = pair && lookupCommittee(pair[1], chamber);
+    const right = pair && lookupCommittee(pair[2], chamber);
+    if (left && right) {
+      names.push(left, right);
+    } else {
+      names.push(displayName(pieces[start]));
+    }
+    start += 1;
+  }
+
+  return names;
+}
+
+function classifyParenthetical(text) {
+  if (/^(?:technical working group|twg)$/i.test(text)) return 'twg';
+  if (/^sub-?committee\b/i.test(text)) return 'subcommittee';
+  if (/^organi[sz]ational\b/i.test(text)) return 'organizational';
+  if (/^(?:bicameral\s+)?conference committee$/i.test(text)) return 'joint';
+  return null;
+}
+
+// The agenda is consulted only for organizational meetings, which both chambers announce there
+// rather than in the committee name.
+export function normalizeCommittee(raw, branch, agenda = '') {
+  const chamber = chamberOf(branch);
+  const notes = [];
+  const markers = new Set();
+
+  let text = norm(raw).replace(/\(([^()]*)\)/g, (_, inner) => {
+    const content = norm(inner);
+    const marker = classifyParenthetical(content);
+    if (marker) markers.add(marker);
+    else if (content) notes.push(content);
+    return ' ';
+  });
+  text = norm(text);
+
+  if (/\bsub-?committee\b/i.test(text)) markers.add('subcommittee');
+  if (/\borgani[sz]ational\b/i.test(text) || /^organi[sz]ational\s+meeting\b/i.test(norm(agenda))) {
+    markers.add('organizational');
+  }
+
+  let refs;
+  const conference = text.match(/^house\s+committee\s+on\s+(.+?)\s+and\s+senate\s+committee\s+on\s+(.+)$/i);
+  if (conference) {
+    refs = [
+      committeeRef(lookupCommittee(conference[1], 'house') || displayName(conference[1]), 'house'),
+      committeeRef(lookupCommittee(conference[2], 'senate') || displayName(conference[2]), 'senate')
+    ];
+    markers.add('joint');
+  } else {
+    // "INFRA COMM - COMMITTEES ON ..." and "JOINT COMMITTEE - COMMITTEES ON ..." both introduce a list.
+    const labelled = text.match(/^(.+?)\s+-\s+(?:special\s+)?commit+ees?\s+on\s+(.+)$/i);
+    if (labelled) {
+      if (!/^joint\s+committee$/i.test(labelled[1])) notes.unshift(displayName(labelled[1]));
+      text = labelled[2];
+      markers.add('joint');
+    }
+    text = text
+      .replace(/^joint\s+committee\s*(?:-|on\b)?\s*/i, () => {
+        markers.add('joint');
+        return '';
+      })
+      .replace(/^(?:(?:sub-?|special\s+)?commit+ees?\s+on\s+)/i, (match) => {
+        if (/ees\s/i.test(match)) markers.add('joint');
+        return '';
+      });
+
+    const groups = text
+      .split(/\s+(?:jt\.?\s*w\/|joint\s+with)\s+|\s*;\s*/i)
+      .map(cleanListItem)
+      .filter(Boolean);
+    // Only a joint meeting is split on commas; a lone name may contain commas of its own.
+    const names =
+      groups.length === 1 && !markers.has('joint')
+        ? [lookupCommittee(groups[0], chamber) || displayName(groups[0])]
+        : groups.flatMap((group) => splitCommitteeList(group, chamber));
+    refs = [...new Set(names.filter(Boolean))].map((name) => committeeRef(name, chamber));
+    if (refs.length > 1) markers.add('joint');
+  }
+
+  const meetingType = MEETING_TYPES.slice(1).find((type) => markers.has(type)) || 'hearing';
+  const lead = refs[0] || committeeRef(displayName(raw), chamber);
+
+  return {
+    committee: lead.name,
+    committeeSlug: lead.slug,
+    committees: refs.length ? refs : [lead],
+    meetingType,
+    notes
+  };
+}
@@ -0,0 +1,41 @@
+// Helpers shared by the scripts that post-process docs/data/all.json.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+/** Short, stable id fragment for records the source does not give an id. */
+export function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+export function norm(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\u00A0/g, ' ').replace(/[\s\u200B]+/g, ' ').trim();
+}
+
+// Joint hearings list every participating committee: "Agriculture and Food / Ways and Means".
+export function committeeTitle(record) {
+  const names = Array.isArray(record.committees) ? record.committees.map((entry) => norm(entry.name)) : [];
+  return names.length > 1 ? names.join(' / ') : norm(record.committee);
+}
+
+// Matches both the status vocabulary ("cancelled") and the older display strings ("Cancelled").
+export function isCancelled(record) {
+  return /cancel/i.test(record.status || '');
+}
+
+export async function readJson(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf-8');
+    const trimmed = raw.trim();
+    if (!trimmed) return null;
+    return JSON.parse(trimmed);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function writeJson(filePath, data) {
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+}
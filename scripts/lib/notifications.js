@@ -0,0 +1,362 @@
+// Builds the notifier's messages (scripts/notify.js) from docs/data/all.json and
+// docs/data/changes.json, and renders them for each kind of output: a generic JSON webhook,
+// Slack, Discord and Microsoft Teams incoming webhooks, and email.
+
+import { STATUS_LABELS } from '../../src/lib/hearing-status.js';
+import { formatWhen, manilaTimestamp, manilaToday } from '../../src/lib/manila-time.js';
+import { SITE_URL, meetingUrl } from '../../src/lib/site-url.js';
+import { slugify } from '../../src/lib/slugify.js';
+import { committeeTitle, norm } from './common.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+export const ALERT_CHANGE_TYPES = ['cancelled', 'rescheduled'];
+
+const CHANGE_LABELS = {
+  added: 'New',
+  removed: 'No longer listed',
+  cancelled: 'Cancelled',
+  rescheduled: 'Rescheduled',
+  venue: 'Venue changed',
+  agenda: 'Agenda updated'
+};
+
+// Teams cards and emails get unwieldy well before any size limit, and Slack allows 50 blocks
+// per message (one per hearing, with at most two sections). Longer lists end with "…and N more".
+const MAX_ITEMS = 40;
+const SLACK_MAX_ITEMS = 20;
+const DISCORD_EMBEDS_PER_MESSAGE = 10;
+
+function chamberOf(record) {
+  return record.branch === 'Senate' ? 'senate' : 'house';
+}
+
+function chamberLabel(record) {
+  return record.branch === 'Senate' ? 'Senate' : 'House';
+}
+
+function clip(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function truncate(value, length) {
+  return clip(norm(value), length);
+}
+
+function lowerList(values) {
+  return Array.isArray(values) ? values.map((value) => norm(String(value)).toLowerCase()).filter(Boolean) : [];
+}
+
+function matchesCommittee(record, committees) {
+  const refs = Array.isArray(record.committees) ? record.committees : [];
+  const slugs = new Set(
+    [record.committeeSlug, slugify(record.committee), ...refs.flatMap((ref) => [ref.slug, slugify(ref.name)])].filter(Boolean)
+  );
+  return committees.some((committee) => slugs.has(committee));
+}
+
+function matchesKeyword(record, keywords) {
+  const haystack = [
+    committeeTitle(record),
+    record.rawCommittee,
+    record.agenda,
+    record.notes,
+    record.venue,
+    ...(record.bills || []),
+    ...(record.authors || [])
+  ]
+    .map((value) => norm(value).toLowerCase())
+    .join('\n');
+  return keywords.some((keyword) => haystack.includes(keyword));
+}
+
+/**
+ * Subscriber filters: `chambers` ("house", "senate") limit everything else; `committees`
+ * (slugs or names) and `keywords` (matched in the committee, agenda, notes, venue, bills and
+ * authors) pick hearings that match either. No filters at all means every hearing.
+ */
+export function matchesFilters(record, filters = {}) {
+  const chambers = lowerList(filters.chambers);
+  if (chambers.length > 0 && !chambers.includes(chamberOf(record))) return false;
+
+  const committees = lowerList(filters.committees).map(slugify);
+  const keywords = lowerList(filters.keywords);
+  if (committees.length === 0 && keywords.length === 0) return true;
+  return matchesCommittee(record, committees) || matchesKeyword(record, keywords);
+}
+
+function statusLabel(record) {
+  return STATUS_LABELS[record.status] || norm(record.status) || STATUS_LABELS.scheduled;
+}
+
+function hearingItem(record, { label = '', detail = '' } = {}) {
+  return {
+    id: record.id,
+    label,
+    title: `${committeeTitle(record)} (${chamberLabel(record)})`,
+    url: meetingUrl(record.id),
+    when: formatWhen(record),
+    venue: norm(record.venue) || 'Venue to be determined',
+    status: statusLabel(record),
+    detail: detail || truncate(record.agenda, 280)
+  };
+}
+
+function describeChangeDetail(change) {
+  switch (change.type) {
+    case 'rescheduled':
+      return `Moved from ${formatWhen(change.before || {})} to ${formatWhen(change.after || {})}`;
+    case 'venue':
+      return `Venue: ${norm(change.before?.venue) || 'not set'} → ${norm(change.after?.venue) || 'not set'}`;
+    case 'agenda':
+      return `New agenda: ${truncate(change.after?.agenda, 280) || 'none'}`;
+    case 'removed':
+      return 'Dropped from the published schedule';
+    default:
+      return '';
+  }
+}
+
+// A change refers to its hearing by id; removed hearings only survive in the change itself.
+function changeItem(change, recordsById) {
+  const record = recordsById.get(change.id) || {
+    id: change.id,
+    branch: change.branch,
+    committee: change.committee,
+    date: change.date,
+    time: change.time
+  };
+  return { record, item: hearingItem(record, { label: CHANGE_LABELS[change.type], detail: describeChangeDetail(change) }) };
+}
+
+function changesAfter(changelog, since) {
+  const changes = Array.isArray(changelog?.changes) ? changelog.changes : [];
+  const cutoff = Date.parse(since);
+  return changes.filter((change) => Date.parse(change.detectedAt) > cutoff);
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Cancellations and reschedules detected after `since` that match the subscriber. Null when
+ * there is nothing to send.
+ */
+export function buildAlert({ changelog, recordsById, filters, since }) {
+  const items = changesAfter(changelog, since)
+    .filter((change) => ALERT_CHANGE_TYPES.includes(change.type))
+    .map((change) => changeItem(change, recordsById))
+    .filter(({ record }) => matchesFilters(record, filters))
+    .map(({ item }) => item);
+  if (items.length === 0) return null;
+
+  const cancelled = items.filter((item) => item.label === CHANGE_LABELS.cancelled).length;
+  const rescheduled = items.length - cancelled;
+  const counts = [cancelled && plural(cancelled, 'cancellation'), rescheduled && plural(rescheduled, 'reschedule')]
+    .filter(Boolean)
+    .join(' and ');
+  return {
+    kind: 'alert',
+    title: `Hearing alert: ${counts}`,
+    summary: 'These committee hearings were cancelled or moved since the last update.',
+    sections: [{ heading: 'Cancelled and rescheduled', items }]
+  };
+}
+
+/**
+ * Hearings in the next `days` days plus every change detected after `since`, for one
+ * subscriber. Null when both lists are empty.
+ */
+export function buildDigest({ records, changelog, recordsById, filters, since, now, days = 7 }) {
+  const today = manilaToday(new Date(now));
+  const start = manilaTimestamp(today);
+  const end = start + days * DAY_MS;
+
+  const upcoming = records
+    .filter((record) => {
+      const timestamp = manilaTimestamp(record.isoDate || record.date);
+      return timestamp >= start && timestamp < end && matchesFilters(record, filters);
+    })
+    .sort((a, b) => manilaTimestamp(a.isoDate || a.date) - manilaTimestamp(b.isoDate || b.date))
+    .map((record) => hearingItem(record));
+
+  const changes = changesAfter(changelog, since)
+    .map((change) => changeItem(change, recordsById))
+    .filter(({ record }) => matchesFilters(record, filters))
+    .map(({ item }) => item);
+
+  if (upcoming.length === 0 && changes.length === 0) return null;
+
+  const sections = [];
+  if (changes.length > 0) sections.push({ heading: 'Changes since the last digest', items: changes });
+  sections.push({ heading: `Hearings in the next ${plural(days, 'day')}`, items: upcoming });
+  return {
+    kind: 'digest',
+    title: `Committee hearings digest for ${formatWhen({ date: today })}`,
+    summary: `${plural(upcoming.length, 'hearing')} in the next ${plural(days, 'day')}; ${plural(
+      changes.length,
+      'change'
+    )} since the last digest.`,
+    sections
+  };
+}
+
+function limitItems(items, max = MAX_ITEMS) {
+  return { shown: items.slice(0, max), hidden: Math.max(items.length - max, 0) };
+}
+
+function itemLines(item) {
+  const status = item.status === STATUS_LABELS.scheduled ? '' : `Status: ${item.status}`;
+  return [`${item.when} · ${item.venue}`, status, item.detail].filter(Boolean);
+}
+
+function itemTitle(item) {
+  return item.label ? `[${item.label}] ${item.title}` : item.title;
+}
+
+// --- Generic JSON ------------------------------------------------------------------------
+
+export function toWebhookPayload(message, { subscriber, generatedAt }) {
+  return { type: message.kind, subscriber, generatedAt, site: SITE_URL, ...message };
+}
+
+// --- Slack -------------------------------------------------------------------------------
+
+function slackEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function toSlackPayload(message) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(message.title, 150) } },
+    { type: 'section', text: { type: 'mrkdwn', text: slackEscape(message.summary) } }
+  ];
+  for (const section of message.sections) {
+    if (section.items.length === 0) continue;
+    const { shown, hidden } = limitItems(section.items, SLACK_MAX_ITEMS);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${slackEscape(section.heading)}*` } });
+    for (const item of shown) {
+      const lines = [`*<${item.url}|${slackEscape(itemTitle(item))}>*`, ...itemLines(item).map(slackEscape)];
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: clip(lines.join('\n'), 2900) } });
+    }
+    if (hidden > 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${hidden} more on <${SITE_URL}|the site>` }] });
+    }
+  }
+  return { text: `${message.title}: ${message.summary}`, blocks };
+}
+
+// --- Discord -----------------------------------------------------------------------------
+
+const DISCORD_COLORS = { alert: 0xdc2626, digest: 0x0057b8 };
+
+/** One or more webhook messages; Discord takes at most 10 embeds per message. */
+export function toDiscordPayloads(message) {
+  const embeds = message.sections.flatMap((section) => {
+    const { shown } = limitItems(section.items);
+    return shown.map((item) => ({
+      title: truncate(itemTitle(item), 256),
+      url: item.url,
+      description: clip(itemLines(item).join('\n'), 4000),
+      color: item.label === CHANGE_LABELS.cancelled ? DISCORD_COLORS.alert : DISCORD_COLORS.digest,
+      footer: { text: section.heading }
+    }));
+  });
+  const hidden = message.sections.reduce((total, section) => total + limitItems(section.items).hidden, 0);
+  const content = clip(
+    `**${message.title}**\n${message.summary}${hidden > 0 ? `\n…and ${hidden} more on ${SITE_URL}` : ''}`,
+    2000
+  );
+
+  const payloads = [];
+  for (let index = 0; index < embeds.length; index += DISCORD_EMBEDS_PER_MESSAGE) {
+    payloads.push({
+      ...(index === 0 ? { content } : {}),
+      embeds: embeds.slice(index, index + DISCORD_EMBEDS_PER_MESSAGE),
+      allowed_mentions: { parse: [] }
+    });
+  }
+  return payloads.length > 0 ? payloads : [{ content, allowed_mentions: { parse: [] } }];
+}
+
+// --- Microsoft Teams ---------------------------------------------------------------------
+
+/** An Adaptive Card, as accepted by Teams workflow ("Post to a channel when a webhook request is received") URLs. */
+export function toTeamsPayload(message) {
+  const body = [
+    { type: 'TextBlock', text: message.title, size: 'Large', weight: 'Bolder', wrap: true },
+    { type: 'TextBlock', text: message.summary, wrap: true, spacing: 'Small' }
+  ];
+  for (const section of message.sections) {
+    if (section.items.length === 0) continue;
+    const { shown, hidden } = limitItems(section.items);
+    body.push({ type: 'TextBlock', text: section.heading, weight: 'Bolder', size: 'Medium', wrap: true, spacing: 'Large' });
+    for (const item of shown) {
+      body.push(
+        {
+          type: 'TextBlock',
+          text: `${item.label ? `${item.label}: ` : ''}[${item.title}](${item.url})`,
+          weight: 'Bolder',
+          wrap: true,
+          spacing: 'Medium'
+        },
+        { type: 'TextBlock', text: itemLines(item).join('\n\n'), isSubtle: true, wrap: true, spacing: 'None' }
+      );
+    }
+    if (hidden > 0) body.push({ type: 'TextBlock', text: `…and ${hidden} more on [the site](${SITE_URL})`, wrap: true });
+  }
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          actions: [{ type: 'Action.OpenUrl', title: 'Open the schedule', url: SITE_URL }]
+        }
+      }
+    ]
+  };
+}
+
+// --- Email -------------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Subject, plain text and HTML for sendMail(). */
+export function toEmail(message) {
+  const text = [message.title, '', message.summary];
+  const html = [
+    '<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; color: #111; line-height: 1.4">',
+    `<h1 style="font-size: 20px">${escapeHtml(message.title)}</h1>`,
+    `<p>${escapeHtml(message.summary)}</p>`
+  ];
+
+  for (const section of message.sections) {
+    if (section.items.length === 0) continue;
+    text.push('', section.heading.toUpperCase(), '');
+    html.push(`<h2 style="font-size: 16px; margin-top: 24px">${escapeHtml(section.heading)}</h2>`);
+    for (const item of section.items) {
+      text.push(`* ${itemTitle(item)}`, ...itemLines(item).map((line) => `  ${line}`), `  ${item.url}`, '');
+      html.push(
+        '<p style="margin: 0 0 12px">',
+        `<a href="${escapeHtml(item.url)}" style="font-weight: bold">${escapeHtml(itemTitle(item))}</a><br>`,
+        itemLines(item).map(escapeHtml).join('<br>'),
+        '</p>'
+      );
+    }
+  }
+
+  text.push(`Full schedule: ${SITE_URL}`);
+  html.push(`<p style="margin-top: 24px"><a href="${escapeHtml(SITE_URL)}">Full schedule</a></p>`, '</body></html>');
+  return { subject: message.title, text: text.join('\n'), html: html.join('\n') };
+}
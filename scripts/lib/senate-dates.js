@@ -0,0 +1,98 @@
+// Date helpers for the Senate weekly schedule. Day headers usually omit the year
+// ("Tuesday, November 11"), so the year is inferred from when the page was scraped.
+
+import { manilaToday } from '../../src/lib/manila-time.js';
+
+export { manilaToday };
+
+const MONTH_INDEX = {
+  jan: 0,
+  january: 0,
+  feb: 1,
+  february: 1,
+  mar: 2,
+  march: 2,
+  apr: 3,
+  april: 3,
+  may: 4,
+  jun: 5,
+  june: 5,
+  jul: 6,
+  july: 6,
+  aug: 7,
+  august: 7,
+  sep: 8,
+  sept: 8,
+  september: 8,
+  oct: 9,
+  october: 9,
+  nov: 10,
+  november: 10,
+  dec: 11,
+  december: 11
+};
+
+function norm(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\u00A0/g, ' ').replace(/[\s\u200B]+/g, ' ').trim();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatYmd(year, monthIndex, day) {
+  return `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+}
+
+// Picks the year that puts month/day closest to the reference date, so a header for
+// "January 5" scraped on December 29 lands in the following year and vice versa.
+export function inferYear(monthIndex, day, reference) {
+  const [refYear, refMonth, refDay] = reference.split('-').map(Number);
+  const refTime = Date.UTC(refYear, refMonth - 1, refDay);
+  let best = refYear;
+  let bestDistance = Infinity;
+  for (const year of [refYear - 1, refYear, refYear + 1]) {
+    const distance = Math.abs(Date.UTC(year, monthIndex, day) - refTime);
+    if (distance < bestDistance) {
+      best = year;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function isValidDay(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCMonth() === monthIndex && date.getUTCDate() === day;
+}
+
+/**
+ * Converts a Senate day header into `YYYY-MM-DD`, or '' when it cannot be read.
+ * `reference` is the scrape date (`YYYY-MM-DD`) used when the header has no year.
+ */
+export function parseSenateDate(headerText, reference = manilaToday()) {
+  const cleaned = norm(headerText)
+    .replace(/\s*\([^)]*\)$/, '')
+    .replace(/\b(\d{1,2})(st|nd|rd|th)\b/gi, '$1');
+  if (!cleaned) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(cleaned)) return cleaned;
+
+  const dropWeekday = cleaned.replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+  const match = dropWeekday.match(/([A-Za-z\.]+)\s+(\d{1,2})(?:,?\s*(\d{4}))?/);
+  if (!match) {
+    const fallback = new Date(cleaned);
+    if (Number.isNaN(fallback.getTime())) return '';
+    // Local getters: the string was parsed as local time, so UTC could shift the day
+    return formatYmd(fallback.getFullYear(), fallback.getMonth(), fallback.getDate());
+  }
+
+  const [, rawMonth, rawDay, rawYear] = match;
+  const monthIndex = MONTH_INDEX[rawMonth.replace(/\.$/, '').toLowerCase()];
+  if (monthIndex === undefined) return '';
+
+  const day = parseInt(rawDay, 10);
+  const year = rawYear ? parseInt(rawYear, 10) : inferYear(monthIndex, day, reference);
+  if (!isValidDay(year, monthIndex, day)) return '';
+  return formatYmd(year, monthIndex, day);
+}
@@ -0,0 +1,187 @@
+// Minimal SMTP client for scripts/notify.js: plain connections upgraded with STARTTLS when the
+// server offers it, implicit TLS on port 465, and AUTH PLAIN or LOGIN. That covers the usual
+// mail relays as well as a local test server (scripts/mock-notify-server.js) without a mail
+// library.
+
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.pending = [];
+    this.replies = [];
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line.slice(4));
+      // "250-..." continues a reply; "250 ..." ends it.
+      if (line[3] === '-') continue;
+      const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines };
+      this.lines = [];
+      const waiter = this.pending.shift();
+      if (waiter) waiter.resolve(reply);
+      else this.replies.push(reply);
+    }
+  }
+
+  fail(error) {
+    for (const waiter of this.pending.splice(0)) waiter.reject(error);
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    return new Promise((resolve, reject) => this.pending.push({ resolve, reject }));
+  }
+
+  async expect(codes, command) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${command || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async command(line, codes, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, label);
+  }
+
+  // Hands the socket to TLS and carries on reading replies from the encrypted stream.
+  upgrade(servername) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, servername }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => socket.destroy(new Error(`Could not reach ${host}:${port}`)), timeoutMs);
+    const onConnect = () => {
+      clearTimeout(timer);
+      resolve(socket);
+    };
+    const socket = secure ? tls.connect({ host, port, servername: host }, onConnect) : net.connect({ host, port }, onConnect);
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function authMechanisms(ehlo) {
+  const line = ehlo.lines.find((entry) => /^AUTH\b/i.test(entry));
+  return line ? line.toUpperCase().split(/\s+/).slice(1) : [];
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Body(value) {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+function addressOf(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/** A multipart/alternative message with a plain-text and an HTML part. */
+export function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`
+  ];
+  const part = (type, body) =>
+    [`--${boundary}`, `Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', base64Body(body)].join(
+      '\r\n'
+    );
+  return [...headers, '', part('text/plain', text), part('text/html', html), `--${boundary}--`, ''].join('\r\n');
+}
+
+/**
+ * Sends one message. `server` is { host, port, secure, user, pass }; `secure` defaults to true
+ * on port 465 only, other ports start in plain text and switch to TLS when offered.
+ */
+export async function sendMail(server, message) {
+  const port = Number(server.port) || 587;
+  const secure = server.secure ?? port === 465;
+  const timeoutMs = server.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const connection = new SmtpConnection(await connect({ host: server.host, port, secure, timeoutMs }), timeoutMs);
+
+  try {
+    await connection.expect([220]);
+    const hostname = os.hostname() || 'localhost';
+    let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+
+    if (!secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(server.host);
+      ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (server.user) {
+      const mechanisms = authMechanisms(ehlo);
+      if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+        const token = Buffer.from(`\u0000${server.user}\u0000${server.pass || ''}`, 'utf8').toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+      } else {
+        await connection.command('AUTH LOGIN', [334], 'AUTH');
+        await connection.command(Buffer.from(server.user).toString('base64'), [334], 'AUTH');
+        await connection.command(Buffer.from(server.pass || '').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    for (const recipient of message.to) {
+      await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    // Lines starting with a dot are doubled so they are not read as the end of the message.
+    const body = buildMessage(message).replace(/^\./gm, '..');
+    await connection.command(`${body}\r\n.`, [250], 'DATA');
+    await connection.command('QUIT', [221]);
+  } finally {
+    connection.close();
+  }
+}
@@ -0,0 +1,98 @@
+// Assigns each hearing a status from src/lib/hearing-status.js plus the slot a rescheduled
+// hearing moved from. Records built before this existed carry display strings such as "Cancelled" or
+// "Rescheduled: 2025-09-03 · Moved to the afternoon"; parseStatusText() classifies those.
+
+import { STATUS_LABELS, isHearingStatus } from '../../src/lib/hearing-status.js';
+import { norm } from './common.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/** "2025-09-03", "2025-09-03T09:30" or "September 3, 2025" -> { date, time }. */
+export function parseScheduleValue(value) {
+  const text = norm(typeof value === 'string' ? value : '');
+  const iso = text.match(/(\d{4}-\d{2}-\d{2})(?:[T\s](\d{1,2}:\d{2}))?/);
+  if (iso) return { date: iso[1], time: iso[2] ? formatClock(iso[2]) : '' };
+
+  const spelled = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  const month = spelled ? MONTHS.indexOf(spelled[1].slice(0, 3).toLowerCase()) : -1;
+  if (month === -1) return { date: '', time: '' };
+  return { date: `${spelled[3]}-${pad(month + 1)}-${pad(spelled[2])}`, time: '' };
+}
+
+/** "13:00", "1:00 pm" or "01:00 PM" -> "01:00 PM", the House API's own format. */
+export function formatClock(value) {
+  const match = norm(value).match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+  if (!match) return norm(value);
+  let hour = parseInt(match[1], 10);
+  const meridiem = match[3] ? match[3].toUpperCase() : hour >= 12 ? 'P' : 'A';
+  if (!match[3]) hour = hour % 12 || 12;
+  return `${pad(hour)}:${match[2] || '00'} ${meridiem}M`;
+}
+
+function statusFromRemarks(remarks) {
+  if (/cancel/i.test(remarks)) return 'cancelled';
+  if (/postpone|deferred|suspended/i.test(remarks)) return 'postponed';
+  if (/resched|moved\s+to/i.test(remarks)) return 'rescheduled';
+  if (/tentative|to\s+be\s+confirmed|\btbc\b/i.test(remarks)) return 'tentative';
+  return null;
+}
+
+/**
+ * The House API flags cancellations and reschedules separately from its free-text remarks.
+ * `resched` and `old_time` describe the slot the hearing was moved from.
+ */
+export function houseStatus(row, date, time) {
+  const remarks = norm(row.remarks || '');
+  const previous = parseScheduleValue(row.resched);
+  const previousTime = row.old_time ? formatClock(row.old_time) : previous.time;
+  const previousDate = previous.date && previous.date !== date ? previous.date : '';
+  // Compared in one format, so "9:30 AM" and "09:30 AM" are the same slot.
+  const currentTime = formatClock(time);
+  const moved = Boolean(row.resched) || Boolean(previousTime && previousTime !== currentTime);
+
+  let status = 'scheduled';
+  if (row.cancelled) status = 'cancelled';
+  else if (moved) status = 'rescheduled';
+  else status = statusFromRemarks(remarks) || 'scheduled';
+
+  return {
+    status,
+    previousDate: status === 'rescheduled' ? previousDate : '',
+    previousTime: status === 'rescheduled' && previousTime !== currentTime ? previousTime : '',
+    remarks
+  };
+}
+
+export function parseStatusText(value) {
+  const text = norm(value);
+  const lower = text.toLowerCase();
+  if (!text || isHearingStatus(lower)) {
+    return { status: lower || 'scheduled', previousDate: '', previousTime: '', remarks: '' };
+  }
+
+  const [head, ...rest] = text.split(' · ');
+  if (/^cancel/i.test(head)) {
+    return { status: 'cancelled', previousDate: '', previousTime: '', remarks: rest.join(' · ') };
+  }
+  if (/^rescheduled:/i.test(head)) {
+    const previous = parseScheduleValue(head.replace(/^rescheduled:\s*/i, ''));
+    return {
+      status: 'rescheduled',
+      previousDate: previous.date,
+      previousTime: previous.time,
+      remarks: rest.join(' · ')
+    };
+  }
+  return { status: statusFromRemarks(text) || 'scheduled', previousDate: '', previousTime: '', remarks: text };
+}
+
+/** "Rescheduled from 2025-09-03 09:00 AM", or just the label. */
+export function describeStatus(record) {
+  const label = STATUS_LABELS[record.status] || STATUS_LABELS.scheduled;
+  const previous = [record.previousDate, record.previousTime].filter(Boolean).join(' ');
+  return record.status === 'rescheduled' && previous ? `${label} from ${previous}` : label;
+}
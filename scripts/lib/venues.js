@@ -0,0 +1,139 @@
+// Splits published venue strings into where the hearing is and how to follow it.
+//
+//   "In-person meeting at the Spkr. Villar Hall 1/F SWA Bldg. and virtual meeting via Zoom
+//    (To be livestreamed on the official Facebook page of the HRep)"
+//     -> room 'Speaker Villar Hall', floor '1/F', building 'South Wing Annex Building',
+//        inPerson, virtual via Zoom, livestreamed on Facebook
+
+import { norm } from './common.js';
+
+const SENATE_BUILDING = 'Senate of the Philippines';
+
+// Patterns are matched against the location text and removed from it once found.
+const BUILDINGS = [
+  { pattern: /\bSWA\s+Bldg\b\.?/i, name: 'South Wing Annex Building' },
+  { pattern: /\bRVM\s+Bldg\b\.?/i, name: 'Ramon V. Mitra Building' },
+  { pattern: /\bNW\s+Bldg\b\.?/i, name: 'North Wing Building' },
+  { pattern: /\bMain\s+Bldg\b\.?/i, name: 'Main Building' },
+  { pattern: /\bPeople['’]s\s+Center\s+Bldg\b\.?/i, name: "People's Center Building" },
+  { pattern: /\bSenate\s+of\s+the\s+Philippines\b|(?:,\s*|\s+)Senate$/i, name: SENATE_BUILDING }
+];
+
+// Whole-venue names that imply their building.
+const KNOWN_ROOMS = [{ pattern: /^HRep\s+Session\s+Hall$/i, room: 'Session Hall', building: 'Main Building' }];
+
+const PLATFORMS = [
+  { pattern: /\bzoom\b/i, name: 'Zoom' },
+  { pattern: /\b(?:microsoft|ms)\s+teams\b/i, name: 'Microsoft Teams' },
+  { pattern: /\bgoogle\s+meet\b/i, name: 'Google Meet' },
+  { pattern: /\bwebex\b/i, name: 'Webex' }
+];
+
+const ABBREVIATIONS = [
+  [/\bConf\.\s*Rms\.\s*/gi, 'Conference Rooms '],
+  [/\bConf\.\s*Rm\.?/gi, 'Conference Room'],
+  [/\bSpkr\.\s*/gi, 'Speaker '],
+  [/\bExtension\s+Rm\.?/gi, 'Extension Room'],
+  [/\s*&\s*/g, ' & ']
+];
+
+const FLOOR_PATTERN = /\b(?:\d+\/F(?:\s+(?:Right|Left)\s+Wing)?|Basement|Ground\s+Floor)\b/i;
+
+function detectPlatform(text) {
+  return PLATFORMS.find(({ pattern }) => pattern.test(text))?.name || null;
+}
+
+function detectLivestreamChannel(text) {
+  if (/facebook/i.test(text)) return 'Facebook';
+  if (/youtube/i.test(text)) return 'YouTube';
+  return null;
+}
+
+function expandRoom(value) {
+  let room = ABBREVIATIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  room = norm(room).replace(/^the\b\s*/i, '').replace(/^[,\s]+|[,\s]+$/g, '');
+  // "Spkr. Nograles 1/F SWA Bldg." is the same room as "Spkr. Nograles Hall 1/F SWA Bldg.".
+  if (/^Speaker\s+[\p{L}.\s]+$/u.test(room) && !/\bHall$/i.test(room)) room = `${room} Hall`;
+  return room;
+}
+
+export function parseVenue(raw, branch = '') {
+  const details = {
+    room: '',
+    floor: '',
+    building: '',
+    inPerson: false,
+    virtual: false,
+    platform: null,
+    livestreamed: false,
+    livestreamChannel: null,
+    note: ''
+  };
+
+  const notes = [];
+  let text = norm(raw).replace(/\(([^()]*)\)/g, (_, inner) => {
+    const content = norm(inner);
+    if (/live\s*-?\s*stream/i.test(content)) {
+      details.livestreamed = true;
+      details.livestreamChannel = detectLivestreamChannel(content);
+    } else if (content) {
+      notes.push(content);
+    }
+    return ' ';
+  });
+  text = norm(text).replace(/^(?:TBA|TBD|to be announced)\.?$/i, '');
+
+  if (/live\s*-?\s*stream/i.test(text)) {
+    details.livestreamed = true;
+    details.livestreamChannel = details.livestreamChannel || detectLivestreamChannel(text);
+    text = norm(text.replace(/,?\s*(?:and\s+)?(?:to\s+be\s+)?live\s*-?\s*stream\w*\b.*$/i, ''));
+  }
+
+  const virtual = text.match(/(?:^|,?\s*(?:and|&)\s+|,\s*)(?:virtual|online)\s+(?:meeting|hearing)?\s*(?:via|through|on)?\s*(.*)$/i);
+  if (virtual) {
+    details.virtual = true;
+    details.platform = detectPlatform(virtual[1]);
+    text = norm(text.slice(0, virtual.index));
+  } else if (detectPlatform(text) && /\bvia\b/i.test(text)) {
+    details.virtual = true;
+    details.platform = detectPlatform(text);
+    text = norm(text.replace(/,?\s*(?:and\s+)?via\s+.*$/i, ''));
+  }
+
+  if (/^in-?\s*person\s+(?:meeting|hearing)?\s*(?:at\s+)?/i.test(text)) {
+    details.inPerson = true;
+    text = norm(text.replace(/^in-?\s*person\s+(?:meeting|hearing)?\s*(?:at\s+)?/i, ''));
+  }
+
+  const known = KNOWN_ROOMS.find(({ pattern }) => pattern.test(text));
+  if (known) {
+    details.room = known.room;
+    details.building = known.building;
+  } else if (text) {
+    const building = BUILDINGS.find(({ pattern }) => pattern.test(text));
+    if (building) {
+      details.building = building.name;
+      text = text.replace(building.pattern, ' ');
+    } else if (/senate/i.test(branch) || /\bSenate\b/.test(text)) {
+      details.building = SENATE_BUILDING;
+    }
+    const floor = text.match(FLOOR_PATTERN);
+    if (floor) {
+      details.floor = norm(floor[0]).replace(/\s+/g, ' ');
+      text = text.replace(FLOOR_PATTERN, ' ');
+    }
+    details.room = expandRoom(text);
+  }
+
+  details.inPerson = details.inPerson || Boolean(details.room || (details.building && !details.virtual));
+  details.note = notes.join('; ');
+  return details;
+}
+
+/** Canonical single-line venue: "Conference Rooms 1 & 2, Ramon V. Mitra Building". */
+export function formatVenue(details) {
+  const place = [details.room, details.floor, details.building].filter(Boolean).join(', ');
+  if (place) return place;
+  if (details.virtual) return details.platform ? `Online via ${details.platform}` : 'Online';
+  return '';
+}
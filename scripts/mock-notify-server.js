@@ -0,0 +1,103 @@
+// scripts/mock-notify-server.js
+// Local stand-ins for the notifier's outputs, for trying scripts/notify.js without real Slack,
+// Discord, Teams or mail accounts:
+//   - an HTTP server (default port 8787) that accepts any POST and prints the JSON body
+//   - an SMTP server (default port 2525) that accepts any message and prints it decoded
+// notify.config.example.json points at both when its environment variables are unset.
+//
+//   node scripts/mock-notify-server.js   (Ctrl+C to stop)
+
+import http from 'http';
+import net from 'net';
+
+const HTTP_PORT = Number(process.env.MOCK_HTTP_PORT) || 8787;
+const SMTP_PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+
+function decodeMessage(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const subject = head.match(/^Subject: (.*)$/m)?.[1] || '';
+  const decodedSubject = subject.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, value) =>
+    Buffer.from(value, 'base64').toString('utf8')
+  );
+  // Print the text/plain part; the HTML part carries the same content.
+  const body = rest.join('\r\n\r\n');
+  const textPart = body.match(/Content-Type: text\/plain[^\r]*\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/);
+  const text = textPart ? Buffer.from(textPart[1].replace(/\s+/g, ''), 'base64').toString('utf8') : body;
+  return { subject: decodedSubject, text };
+}
+
+const httpServer = http.createServer((request, response) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    let printed = body;
+    try {
+      printed = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON; print as received.
+    }
+    console.log(`[mock-http] ${request.method} ${request.url}\n${printed}\n`);
+    response.writeHead(request.method === 'POST' ? 200 : 405, { 'Content-Type': 'text/plain' });
+    response.end(request.method === 'POST' ? 'ok' : 'POST only');
+  });
+});
+
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: '', to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+  socket.setEncoding('utf8');
+  reply('220 localhost mock SMTP ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    while (buffer.length > 0) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        const { subject, text } = decodeMessage(raw);
+        console.log(`[mock-smtp] from ${envelope.from} to ${envelope.to.join(', ')}\nSubject: ${subject}\n\n${text}\n`);
+        envelope = { from: '', to: [] };
+        reply('250 OK: message accepted');
+        continue;
+      }
+
+      const end = buffer.indexOf('\r\n');
+      if (end === -1) return;
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') {
+        reply('250-localhost');
+        reply('250 AUTH PLAIN LOGIN');
+      } else if (verb === 'AUTH') {
+        reply('235 Authentication succeeded');
+      } else if (verb === 'MAIL') {
+        envelope.from = line.match(/<([^>]*)>/)?.[1] || '';
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(line.match(/<([^>]*)>/)?.[1] || '');
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+httpServer.listen(HTTP_PORT, () => console.log(`[mock-http] listening on http://localhost:${HTTP_PORT}/`));
+smtpServer.listen(SMTP_PORT, () => console.log(`[mock-smtp] listening on localhost:${SMTP_PORT}`));
@@ -0,0 +1,241 @@
+// scripts/notify.js
+// Sends schedule notifications after `npm run build:data`:
+//   - alerts for cancellations and reschedules found since the previous run
+//   - a daily digest (once per Manila calendar day) of upcoming hearings and recent changes
+// Subscribers, their filters and their outputs (generic JSON webhook, Slack, Discord, Teams,
+// email over SMTP) are read from notify.config.json; see notify.config.example.json. What was
+// already sent is remembered in output/notify-state.json so reruns do not repeat messages.
+//
+//   node scripts/notify.js [--config <file>] [--dry-run] [--force-digest]
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { manilaToday } from '../src/lib/manila-time.js';
+import { readJson, writeJson } from './lib/common.js';
+import {
+  buildAlert,
+  buildDigest,
+  toDiscordPayloads,
+  toEmail,
+  toSlackPayload,
+  toTeamsPayload,
+  toWebhookPayload
+} from './lib/notifications.js';
+import { sendMail } from './lib/smtp.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'docs', 'data');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'notify.config.json');
+const DEFAULT_STATE_PATH = path.join(ROOT_DIR, 'output', 'notify-state.json');
+const REQUEST_TIMEOUT_MS = 15000;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const OUTPUT_TYPES = ['webhook', 'slack', 'discord', 'teams', 'email'];
+
+function parseArgs(argv) {
+  const options = { configPath: process.env.NOTIFY_CONFIG || DEFAULT_CONFIG_PATH, dryRun: false, forceDigest: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--config') options.configPath = path.resolve(argv[++index] || '');
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--force-digest') options.forceDigest = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+// "${NAME}" in a config string is replaced with the environment variable, so webhook URLs and
+// SMTP passwords can stay in CI secrets; "${NAME:-fallback}" supplies a default. Strings that
+// name an unset variable become null, and outputs that need them are skipped.
+function resolveEnv(value) {
+  if (Array.isArray(value)) return value.map(resolveEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveEnv(entry)]));
+  }
+  if (typeof value !== 'string') return value;
+  let missing = false;
+  const resolved = value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (match, name, fallback) => {
+    const env = process.env[name];
+    if (env) return env;
+    if (fallback !== undefined) return fallback;
+    missing = true;
+    return '';
+  });
+  return missing ? null : resolved;
+}
+
+function outputLabel(output) {
+  return output.type === 'email' ? `email to ${(output.to || []).join(', ')}` : `${output.type} webhook`;
+}
+
+function checkOutput(output, smtp) {
+  if (!OUTPUT_TYPES.includes(output.type)) return `unknown type "${output.type}"`;
+  if (output.type === 'email') {
+    if (!Array.isArray(output.to) || output.to.length === 0 || output.to.some((entry) => !entry)) return 'no recipients';
+    if (!smtp?.host || !smtp.from) return 'no SMTP server configured';
+    return null;
+  }
+  return output.url ? null : 'no URL';
+}
+
+async function postJson(url, payload, headers = {}) {
+  const send = () =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+  let response = await send();
+  // Discord and Slack rate-limit webhooks; wait as long as they ask, once.
+  if (response.status === 429) {
+    const seconds = Number(response.headers.get('retry-after')) || 1;
+    await new Promise((resolve) => setTimeout(resolve, Math.min(seconds, 30) * 1000));
+    response = await send();
+  }
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`${response.status} ${response.statusText} ${body.slice(0, 200)}`.trim());
+  }
+}
+
+async function deliver(message, output, { smtp, subscriber, generatedAt, dryRun }) {
+  const requests = [];
+  switch (output.type) {
+    case 'webhook':
+      requests.push(toWebhookPayload(message, { subscriber, generatedAt }));
+      break;
+    case 'slack':
+      requests.push(toSlackPayload(message));
+      break;
+    case 'discord':
+      requests.push(...toDiscordPayloads(message));
+      break;
+    case 'teams':
+      requests.push(toTeamsPayload(message));
+      break;
+    case 'email': {
+      const email = { from: smtp.from, to: output.to, ...toEmail(message) };
+      if (dryRun) {
+        console.log(`[notify] (dry run) ${subscriber} → ${outputLabel(output)}: ${email.subject}\n${email.text}\n`);
+        return;
+      }
+      await sendMail(smtp, email);
+      return;
+    }
+    default:
+      throw new Error(`unknown output type "${output.type}"`);
+  }
+
+  for (const payload of requests) {
+    if (dryRun) {
+      console.log(`[notify] (dry run) ${subscriber} → ${outputLabel(output)}:\n${JSON.stringify(payload, null, 2)}\n`);
+    } else {
+      await postJson(output.url, payload, output.headers);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const rawConfig = await readJson(options.configPath);
+  if (!rawConfig) {
+    console.log(`[notify] No config at ${path.relative(ROOT_DIR, options.configPath)}; nothing to send.`);
+    return;
+  }
+  const config = resolveEnv(rawConfig);
+  const subscribers = Array.isArray(config.subscribers) ? config.subscribers : [];
+
+  const records = await readJson(path.join(DATA_DIR, 'all.json'));
+  if (!Array.isArray(records)) {
+    console.warn('[notify] docs/data/all.json not found. Run build:data first.');
+    return;
+  }
+  const changelog = (await readJson(path.join(DATA_DIR, 'changes.json'))) || { changes: [] };
+  const metadata = await readJson(path.join(DATA_DIR, 'metadata.json'));
+  const generatedAt = metadata?.generatedAt || new Date().toISOString();
+  const recordsById = new Map(records.map((record) => [record.id, record]));
+
+  const statePath = config.stateFile ? path.resolve(ROOT_DIR, config.stateFile) : DEFAULT_STATE_PATH;
+  const state = (await readJson(statePath)) || {};
+  const sent = state.subscribers || {};
+  const now = Date.now();
+  const today = manilaToday(new Date(now));
+  // A subscriber's first run only hears about the latest build, not the whole changelog.
+  const firstRunSince = changelog.latest?.previousGeneratedAt || new Date(now - DAY_MS).toISOString();
+  let failures = 0;
+
+  for (const [index, subscriber] of subscribers.entries()) {
+    const name = subscriber.name || `subscriber-${index + 1}`;
+    const previous = sent[name] || {};
+    const outputs = (subscriber.outputs || []).filter((output) => {
+      const problem = checkOutput(output, config.smtp);
+      if (problem) console.warn(`[notify] ${name}: skipping ${outputLabel(output)} (${problem})`);
+      return !problem;
+    });
+    if (outputs.length === 0) continue;
+
+    const messages = [];
+    if (subscriber.alerts !== false) {
+      const alert = buildAlert({
+        changelog,
+        recordsById,
+        filters: subscriber.filters,
+        since: previous.lastAlertAt || firstRunSince
+      });
+      if (alert) messages.push(alert);
+    }
+    const digestDue = subscriber.digest !== false && (options.forceDigest || previous.lastDigestDay !== today);
+    if (digestDue) {
+      const digest = buildDigest({
+        records,
+        changelog,
+        recordsById,
+        filters: subscriber.filters,
+        since: previous.lastDigestAt || firstRunSince,
+        now,
+        days: Number(subscriber.digestDays) || 7
+      });
+      if (digest) messages.push(digest);
+    }
+
+    let delivered = true;
+    for (const message of messages) {
+      for (const output of outputs) {
+        try {
+          await deliver(message, output, { smtp: config.smtp, subscriber: name, generatedAt, dryRun: options.dryRun });
+          if (!options.dryRun) console.log(`[notify] ${name}: sent ${message.kind} to ${outputLabel(output)}`);
+        } catch (error) {
+          delivered = false;
+          failures += 1;
+          console.error(`[notify] ${name}: ${message.kind} to ${outputLabel(output)} failed: ${error.message}`);
+        }
+      }
+    }
+    if (messages.length === 0) console.log(`[notify] ${name}: nothing new`);
+
+    // Only move the bookmarks once every output has the messages, so failures are retried on
+    // the next run (at the cost of repeating them for the outputs that did succeed).
+    if (delivered) {
+      sent[name] = {
+        lastAlertAt: generatedAt,
+        lastDigestAt: digestDue ? generatedAt : previous.lastDigestAt || null,
+        lastDigestDay: digestDue ? today : previous.lastDigestDay || null
+      };
+    }
+  }
+
+  if (!options.dryRun) {
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await writeJson(statePath, { updatedAt: new Date(now).toISOString(), subscribers: sent });
+  }
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('[notify] failed', error);
+  process.exitCode = 1;
+});
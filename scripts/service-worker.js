@@ -0,0 +1,169 @@
+// scripts/service-worker.js
+// Source of docs/sw.js. It runs in the browser, not in Node: scripts/build-service-worker.js
+// prepends `self.__SW_MANIFEST` (a build version and the files to precache) and writes the
+// result next to the exported site.
+//
+// Every URL is resolved against the worker's scope, which is the directory sw.js is served
+// from. The site's basePath therefore never has to be repeated here.
+
+const { version, precache } = self.__SW_MANIFEST;
+const SCOPE = self.registration.scope;
+const CACHE_PREFIX = 'ph-schedules-';
+// The app shell and visited pages belong to one build; the data cache outlives builds so the
+// last-known schedule is still there if a newer worker is installed while offline.
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${version}`;
+const DATA_CACHE = `${CACHE_PREFIX}data`;
+const DATA_PATH = new URL('data/', SCOPE).pathname;
+const STATIC_PATH = new URL('_next/static/', SCOPE).pathname;
+// Hearing-room Wi-Fi often connects but never answers; give up on the network after this long.
+const NETWORK_TIMEOUT_MS = 4000;
+// Set on responses answered from the cache because the network failed; OfflineBanner reads it.
+const OFFLINE_HEADER = 'X-Served-From-Cache';
+
+function isDataFile(pathname) {
+  return pathname.startsWith(DATA_PATH) && pathname.endsWith('.json');
+}
+
+function cacheFor(url) {
+  return isDataFile(new URL(url).pathname) ? DATA_CACHE : SHELL_CACHE;
+}
+
+async function fetchWithTimeout(request) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NETWORK_TIMEOUT_MS);
+  try {
+    return await fetch(request, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function markOffline(response) {
+  const headers = new Headers(response.headers);
+  headers.set(OFFLINE_HEADER, '1');
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// A file that fails to download (a flaky connection, a page removed since the build) is left
+// out rather than failing the install; it is cached when it is first visited instead.
+async function precacheAll() {
+  const urls = precache.map((file) => new URL(file, SCOPE).href);
+  await Promise.allSettled(
+    urls.map(async (url) => {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(`Precaching ${url} failed with ${response.status}`);
+      const cache = await caches.open(cacheFor(url));
+      await cache.put(url, response);
+    })
+  );
+}
+
+// Re-downloads the schedule data and the top-level pages, e.g. once the connection is back.
+async function refresh() {
+  const urls = precache
+    .filter((file) => isDataFile(new URL(file, SCOPE).pathname) || file === '' || file.endsWith('/'))
+    .map((file) => new URL(file, SCOPE).href);
+  const results = await Promise.allSettled(
+    urls.map(async (url) => {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+      const cache = await caches.open(cacheFor(url));
+      await cache.put(url, response);
+    })
+  );
+  return results.every((result) => result.status === 'fulfilled');
+}
+
+// Network first so online visitors always get the latest build; the cache answers when the
+// network fails or stalls.
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  // Filters live in the query string, so one cached copy per page serves them all.
+  const key = new URL(request.url);
+  key.search = '';
+  try {
+    const response = await fetchWithTimeout(request);
+    if (response.ok) await cache.put(key.href, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key.href);
+    if (cached) return markOffline(cached);
+    throw error;
+  }
+}
+
+// Answers navigations to pages that were never visited while online.
+function offlinePage() {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Offline · PH Congress Committee Schedules</title>
+<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; line-height: 1.5">
+<h1 style="font-size: 1.25rem">You're offline</h1>
+<p>This page was not saved for offline use. The calendar and the meetings list are.</p>
+<p><a href="${SCOPE}">Open the calendar</a> · <a href="${SCOPE}meetings/">Open the meetings list</a></p>
+</body>
+</html>`;
+  return new Response(html, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// Build assets under _next/static have hashed names and never change.
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// A new worker waits until no open page is controlled by the previous one, so those pages keep
+// the shell cache holding their own build's assets until they are closed; only then is it
+// deleted below.
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheAll());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== DATA_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(SCOPE)) return;
+  const { pathname } = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE).catch(offlinePage));
+  } else if (pathname.startsWith(STATIC_PATH)) {
+    event.respondWith(cacheFirst(request));
+  } else if (isDataFile(pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'refresh') return;
+  event.waitUntil(
+    refresh().then(async (complete) => {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      for (const client of clients) client.postMessage({ type: 'refreshed', complete });
+    })
+  );
+});
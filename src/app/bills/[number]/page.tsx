@@ -0,0 +1,161 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+
+import { loadEvents } from '@/lib/load-events';
+import { billFromSlug, billSlug, describeBill } from '@/lib/bills';
+import { getBillTimeline, summarizeBills } from '@/lib/bill-tracker';
+import { isTwgSession } from '@/lib/committees';
+import { describeStatus, isCancelledEvent } from '@/lib/event-status';
+import { getEventColors } from '@/lib/event-colors';
+import { hasClockTime } from '@/lib/hearing-time';
+import { cn } from '@/lib/utils';
+import type { Event } from '@/lib/types';
+import { Badge } from '@/components/ui/badge';
+import EventIcon from '@/components/icons/event-icon';
+import { StatusBadge } from '@/components/meetings/status-badge';
+import { ZonedDateTime } from '@/components/time-zone/zoned-date-time';
+import { WatchBillButton } from '@/components/watchlist/watch-buttons';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+interface BillPageProps {
+  params: Promise<{ number: string }>;
+}
+
+export async function generateStaticParams() {
+  const events = await loadEvents();
+  return summarizeBills(events).map((summary) => ({ number: billSlug(summary.bill) }));
+}
+
+export async function generateMetadata({ params }: BillPageProps): Promise<Metadata> {
+  const { number } = await params;
+  const bill = billFromSlug(number);
+  if (!bill) return {};
+  return {
+    title: `${bill} | PH Congress Committee Schedules`,
+    description: `Committee hearings in the House and Senate where ${describeBill(bill)} was on the agenda.`,
+  };
+}
+
+export default async function BillPage({ params }: BillPageProps) {
+  const { number } = await params;
+  const bill = billFromSlug(number);
+  if (!bill) notFound();
+
+  const events = await loadEvents();
+  const timeline = getBillTimeline(events, bill);
+  if (timeline.hearings.length === 0) notFound();
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <nav className="mb-4 text-sm">
+          <Link href="/bills" className="text-muted-foreground hover:text-foreground">
+            ← All bills
+          </Link>
+        </nav>
+
+        <header className="mb-8">
+          <div className="flex flex-wrap items-center gap-3">
+            <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">{bill}</h1>
+            <WatchBillButton bill={bill} />
+          </div>
+          <p className="mt-2 text-lg text-muted-foreground">{describeBill(bill)}</p>
+          <dl className="mt-6 grid grid-cols-2 gap-4 sm:grid-cols-4">
+            <div className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+              <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">Hearings</dt>
+              <dd className="text-2xl font-bold text-foreground">{timeline.hearings.length}</dd>
+            </div>
+            <div className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+              <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">Committees</dt>
+              <dd className="text-2xl font-bold text-foreground">{timeline.committees.length}</dd>
+            </div>
+            <div className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+              <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">TWG sessions</dt>
+              <dd className="text-2xl font-bold text-foreground">{timeline.twgCount}</dd>
+            </div>
+            <div className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+              <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">Cancelled</dt>
+              <dd className="text-2xl font-bold text-foreground">{timeline.cancelledCount}</dd>
+            </div>
+          </dl>
+        </header>
+
+        <div className="grid grid-cols-1 gap-8 lg:grid-cols-[minmax(0,1fr)_280px]">
+          <section aria-labelledby="bill-timeline-heading">
+            <h2 id="bill-timeline-heading" className="mb-4 text-xl font-semibold text-foreground">
+              Timeline
+            </h2>
+            <ol className="relative space-y-6 border-l border-border pl-6">
+              {timeline.hearings.map((event) => {
+                const colors = getEventColors(event);
+                const cancelled = isCancelledEvent(event);
+                const twg = isTwgSession(event);
+                return (
+                  <li key={event.id} className="relative">
+                    <span
+                      className={cn(
+                        'absolute -left-[37px] flex h-6 w-6 items-center justify-center rounded-full ring-4 ring-background',
+                        colors.detailIconBg
+                      )}
+                    >
+                      <EventIcon branch={event.branch} className={cn('h-3.5 w-3.5', colors.detailIconText)} />
+                    </span>
+                    <div className={cn('rounded-lg border border-border bg-card p-4 shadow-sm', cancelled && 'opacity-70')}>
+                      <div className="flex flex-wrap items-center gap-2">
+                        <p className="text-sm font-medium text-muted-foreground">
+                          <ZonedDateTime
+                            isoDate={event.isoDate}
+                            pattern={hasClockTime(event) ? 'EEEE, MMMM d, yyyy • h:mm aaa' : 'EEEE, MMMM d, yyyy'}
+                            hasTime={hasClockTime(event)}
+                            showZone
+                            fallback={event.date}
+                          />
+                        </p>
+                        {twg && <Badge variant="outline">TWG</Badge>}
+                        <StatusBadge status={event.status} />
+                      </div>
+                      <p className={cn('mt-1 font-semibold text-foreground', cancelled && 'line-through')}>
+                        {event.committee}
+                      </p>
+                      <p className="text-sm text-muted-foreground">
+                        {event.branch}
+                        {event.venue ? ` • ${event.venue}` : ''}
+                      </p>
+                      {event.agenda && <p className="mt-2 text-sm text-muted-foreground">{event.agenda}</p>}
+                      {event.status === 'rescheduled' && (
+                        <p className="mt-2 text-xs text-muted-foreground">{describeStatus(event)}</p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+
+          <aside aria-labelledby="bill-committees-heading">
+            <h2 id="bill-committees-heading" className="mb-4 text-xl font-semibold text-foreground">
+              Committees involved
+            </h2>
+            <ul className="space-y-2">
+              {timeline.committees.map((entry) => (
+                <li
+                  key={`${entry.branch}-${entry.committee}`}
+                  className="flex items-start justify-between gap-3 rounded-lg border border-border bg-card px-3 py-2 text-sm"
+                >
+                  <div>
+                    <p className="font-medium text-foreground">{entry.committee}</p>
+                    <p className="text-xs text-muted-foreground">{entry.branch}</p>
+                  </div>
+                  <Badge variant="secondary">{entry.count}</Badge>
+                </li>
+              ))}
+            </ul>
+          </aside>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { format, parseISO } from 'date-fns';
+
+import { loadEvents } from '@/lib/load-events';
+import { billSlug, describeBill } from '@/lib/bills';
+import { summarizeBills } from '@/lib/bill-tracker';
+import { Badge } from '@/components/ui/badge';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Bill Tracker | PH Congress Committee Schedules',
+  description: 'Follow House and Senate measures across every committee hearing where they were taken up.',
+};
+
+function formatDay(date: string): string {
+  const parsed = parseISO(date);
+  return Number.isNaN(parsed.getTime()) ? date : format(parsed, 'MMM d, yyyy');
+}
+
+export default async function BillsPage() {
+  const events = await loadEvents();
+  const bills = summarizeBills(events);
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">
+            Bill Tracker
+          </h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            Every bill, resolution and law cited on a committee agenda, with the hearings where it came up.
+          </p>
+        </header>
+
+        {bills.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No bill references have been found in the published agendas yet.</p>
+        ) : (
+          <ul className="grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-3">
+            {bills.map((summary) => (
+              <li key={summary.bill}>
+                <Link
+                  href={`/bills/${billSlug(summary.bill)}`}
+                  className="block h-full rounded-lg border border-border bg-card p-4 shadow-sm transition-shadow hover:shadow-md"
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <p className="font-semibold text-foreground">{summary.bill}</p>
+                      <p className="text-xs text-muted-foreground">{describeBill(summary.bill)}</p>
+                    </div>
+                    <Badge variant="secondary">
+                      {summary.hearings} {summary.hearings === 1 ? 'hearing' : 'hearings'}
+                    </Badge>
+                  </div>
+                  <p className="mt-3 line-clamp-2 text-sm text-muted-foreground">{summary.committees.join(', ')}</p>
+                  <p className="mt-2 text-xs text-muted-foreground">
+                    {summary.firstDate === summary.lastDate
+                      ? formatDay(summary.firstDate)
+                      : `${formatDay(summary.firstDate)} – ${formatDay(summary.lastDate)}`}
+                  </p>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+
+import { loadEvents } from '@/lib/load-events';
+import { getCommitteeProfile, summarizeCommittees } from '@/lib/committee-stats';
+import { formatChamber } from '@/lib/committees';
+import { BillChips } from '@/components/bills/bill-chips';
+import { MeetingCard } from '@/components/meetings/meeting-card';
+import { StarCommitteeButton } from '@/components/watchlist/watch-buttons';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+interface CommitteePageProps {
+  params: Promise<{ slug: string }>;
+}
+
+export async function generateStaticParams() {
+  const events = await loadEvents();
+  return summarizeCommittees(events).map((committee) => ({ slug: committee.slug }));
+}
+
+export async function generateMetadata({ params }: CommitteePageProps): Promise<Metadata> {
+  const { slug } = await params;
+  const events = await loadEvents();
+  const committee = summarizeCommittees(events).find((entry) => entry.slug === slug);
+  if (!committee) return {};
+  const chamber = formatChamber(committee.chamber);
+  return {
+    title: `${committee.name} (${chamber}) | PH Congress Committee Schedules`,
+    description: `Upcoming and past hearings of the ${chamber} Committee on ${committee.name}.`,
+  };
+}
+
+function formatRate(value: number): string {
+  return `${Math.round(value * 100)}%`;
+}
+
+function formatFrequency(perMonth: number): string {
+  if (perMonth >= 1) return `${perMonth.toFixed(1)} / month`;
+  if (perMonth > 0) return `Every ${Math.round(1 / perMonth)} months`;
+  return '—';
+}
+
+export default async function CommitteePage({ params }: CommitteePageProps) {
+  const { slug } = await params;
+  const events = await loadEvents();
+  const profile = getCommitteeProfile(events, slug);
+  if (!profile) notFound();
+
+  const chamber = profile.chamber === 'senate' ? 'Senate' : 'House of Representatives';
+  const stats = [
+    { label: 'Hearings', value: String(profile.hearings) },
+    { label: 'Meets', value: formatFrequency(profile.perMonth) },
+    { label: 'Cancelled', value: `${profile.cancelled} (${formatRate(profile.cancellationRate)})` },
+    { label: 'Joint hearings', value: String(profile.jointHearings) },
+  ];
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <nav className="mb-4 text-sm">
+          <Link href="/committees" className="text-muted-foreground hover:text-foreground">
+            ← All committees
+          </Link>
+        </nav>
+
+        <header className="mb-8">
+          <p className="text-sm font-semibold uppercase tracking-wide text-accent">{chamber}</p>
+          <div className="flex items-center gap-2">
+            <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">{profile.name}</h1>
+            <StarCommitteeButton slug={slug} name={profile.name} className="h-9 w-9 [&_svg]:h-5 [&_svg]:w-5" />
+          </div>
+          <dl className="mt-6 grid grid-cols-2 gap-4 sm:grid-cols-4">
+            {stats.map((stat) => (
+              <div key={stat.label} className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+                <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">{stat.label}</dt>
+                <dd className="text-2xl font-bold text-foreground">{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+        </header>
+
+        <div className="grid grid-cols-1 gap-8 lg:grid-cols-[minmax(0,1fr)_300px]">
+          <div className="space-y-10">
+            <section aria-labelledby="committee-upcoming-heading">
+              <h2 id="committee-upcoming-heading" className="mb-4 text-xl font-semibold text-foreground">
+                Upcoming hearings
+              </h2>
+              {profile.upcomingHearings.length > 0 ? (
+                <div className="grid gap-4">
+                  {profile.upcomingHearings.map((meeting) => (
+                    <MeetingCard key={meeting.id} meeting={meeting} />
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">No upcoming hearings are scheduled.</p>
+              )}
+            </section>
+
+            {profile.pastHearings.length > 0 && (
+              <section aria-labelledby="committee-past-heading">
+                <h2 id="committee-past-heading" className="mb-4 text-xl font-semibold text-foreground">
+                  Past hearings
+                </h2>
+                <div className="grid gap-4">
+                  {profile.pastHearings.map((meeting) => (
+                    <MeetingCard key={meeting.id} meeting={meeting} />
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+
+          <aside className="space-y-8">
+            <section aria-labelledby="committee-venues-heading">
+              <h2 id="committee-venues-heading" className="mb-3 text-lg font-semibold text-foreground">
+                Typical venues
+              </h2>
+              {profile.venues.length > 0 ? (
+                <ul className="space-y-2 text-sm">
+                  {profile.venues.map(({ venue, count }) => (
+                    <li key={venue} className="flex items-start justify-between gap-3">
+                      <span className="text-foreground">{venue}</span>
+                      <span className="text-muted-foreground">{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-muted-foreground">No venues published yet.</p>
+              )}
+            </section>
+
+            <section aria-labelledby="committee-bills-heading">
+              <h2 id="committee-bills-heading" className="mb-3 text-lg font-semibold text-foreground">
+                Bills taken up
+              </h2>
+              {profile.bills.length > 0 ? (
+                <BillChips bills={profile.bills.map(({ bill }) => bill)} />
+              ) : (
+                <p className="text-sm text-muted-foreground">No bill numbers found on its agendas.</p>
+              )}
+            </section>
+          </aside>
+        </div>
+      </div>
+    </div>
+  );
+}
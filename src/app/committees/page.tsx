@@ -0,0 +1,68 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+
+import { loadEvents } from '@/lib/load-events';
+import { summarizeCommittees } from '@/lib/committee-stats';
+import { Badge } from '@/components/ui/badge';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Committees | PH Congress Committee Schedules',
+  description: 'Hearing history and activity for every House and Senate committee.',
+};
+
+const CHAMBERS = [
+  { chamber: 'house', title: 'House of Representatives' },
+  { chamber: 'senate', title: 'Senate' },
+] as const;
+
+export default async function CommitteesPage() {
+  const events = await loadEvents();
+  const committees = summarizeCommittees(events);
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">
+            Committees
+          </h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            One page per committee with its upcoming and past hearings.
+          </p>
+        </header>
+
+        <div className="space-y-10">
+          {CHAMBERS.map(({ chamber, title }) => {
+            const entries = committees.filter((committee) => committee.chamber === chamber);
+            if (entries.length === 0) return null;
+            return (
+              <section key={chamber} aria-labelledby={`committees-${chamber}-heading`}>
+                <h2 id={`committees-${chamber}-heading`} className="mb-4 text-xl font-semibold text-foreground">
+                  {title}
+                </h2>
+                <ul className="grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-3">
+                  {entries.map((committee) => (
+                    <li key={committee.slug}>
+                      <Link
+                        href={`/committees/${committee.slug}`}
+                        className="flex h-full items-start justify-between gap-3 rounded-lg border border-border bg-card p-4 shadow-sm transition-shadow hover:shadow-md"
+                      >
+                        <span className="font-semibold text-foreground">{committee.name}</span>
+                        <span className="flex flex-shrink-0 gap-1">
+                          {committee.upcoming > 0 && <Badge>{committee.upcoming} upcoming</Badge>}
+                          <Badge variant="secondary">{committee.hearings}</Badge>
+                        </span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import type { Metadata } from 'next';
+
+import { loadEvents } from '@/lib/load-events';
+import { HEARING_DURATION_MINUTES } from '@/lib/manila-time';
+import { ConflictsReport } from '@/components/conflicts/conflicts-report';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Scheduling Conflicts | PH Congress Committee Schedules',
+  description: 'Double-booked rooms, overlapping joint hearings and the days your watched hearings run at the same time.',
+};
+
+export default async function ConflictsPage() {
+  const events = await loadEvents();
+  const now = Date.now();
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">
+            Scheduling Conflicts
+          </h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            Hearings that clash with each other, to help decide who covers which.
+          </p>
+          <p className="mt-1 text-sm text-muted-foreground">
+            Neither chamber publishes end times, so each hearing is taken to run {HEARING_DURATION_MINUTES / 60} hours
+            from its start. Hearings without a time, and cancelled or postponed ones, are left out.
+          </p>
+        </header>
+
+        <ConflictsReport events={events} now={now} />
+      </div>
+    </div>
+  );
+}
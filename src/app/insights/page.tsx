@@ -0,0 +1,70 @@
+import type { Metadata } from 'next';
+import { format, parseISO } from 'date-fns';
+
+import { loadEvents } from '@/lib/load-events';
+import { buildInsights, MIN_HEARINGS_FOR_RATES } from '@/lib/insights';
+import { legislativePeriods } from '@/lib/legislative-calendar';
+import {
+  BusiestCommitteesChart,
+  DisruptionRatesChart,
+  SessionActivityChart,
+  TimeOfDayChart,
+  WeeklyHearingsChart,
+} from '@/components/insights/insights-charts';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Insights | PH Congress Committee Schedules',
+  description: 'Charts of committee hearing activity in the House and Senate: volume, busiest committees, cancellations and timing.',
+};
+
+function formatDay(date: string): string {
+  const parsed = parseISO(date);
+  return Number.isNaN(parsed.getTime()) ? date : format(parsed, 'MMM d, yyyy');
+}
+
+export default async function InsightsPage() {
+  const events = await loadEvents();
+  const insights = buildInsights(events, legislativePeriods);
+
+  const stats = [
+    { label: 'Hearings held', value: String(insights.held) },
+    { label: 'Cancelled', value: String(insights.cancelled) },
+    { label: 'Committees', value: String(insights.committees) },
+    { label: 'Weeks covered', value: String(insights.weekly.length) },
+  ];
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">Insights</h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            {insights.firstDay
+              ? `How committees have used their time, from ${formatDay(insights.firstDay)} to ${formatDay(insights.lastDay)}.`
+              : 'How committees have used their time.'}
+          </p>
+          <dl className="mt-6 grid grid-cols-2 gap-4 sm:grid-cols-4">
+            {stats.map((stat) => (
+              <div key={stat.label} className="rounded-xl border border-border bg-card px-4 py-3 shadow-sm">
+                <dt className="text-xs font-medium uppercase tracking-wide text-muted-foreground">{stat.label}</dt>
+                <dd className="text-2xl font-bold text-foreground">{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+        </header>
+
+        <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+          <div className="lg:col-span-2">
+            <WeeklyHearingsChart data={insights.weekly} />
+          </div>
+          <BusiestCommitteesChart data={insights.busiest} />
+          <DisruptionRatesChart data={insights.disruptions} minHearings={MIN_HEARINGS_FOR_RATES} />
+          <TimeOfDayChart data={insights.hourly} untimed={insights.untimed} />
+          <SessionActivityChart data={insights.periods} outside={insights.outsidePeriods} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,12 @@
-import type { Metadata } from 'next';
+import type { Metadata, Viewport } from 'next';
 import Link from 'next/link';
 import './globals.css';
 import { Toaster } from '@/components/ui/toaster';
+import { TimeZoneProvider } from '@/hooks/use-time-zone';
+import { WatchlistProvider } from '@/hooks/use-watchlist';
+import { TimeZoneToggle } from '@/components/time-zone/time-zone-toggle';
+import { OfflineBanner } from '@/components/offline/offline-banner';
+import { ServiceWorkerRegistration } from '@/components/offline/service-worker-registration';
 
 export const metadata: Metadata = {
   title: 'PH Congress Committee Schedules',
@@ -11,6 +16,10 @@ export const metadata: Metadata = {
   },
 };
 
+export const viewport: Viewport = {
+  themeColor: '#0057b8',
+};
+
 export default function RootLayout({
   children,
 }: Readonly<{
@@ -27,25 +36,47 @@ export default function RootLayout({
         />
       </head>
       <body className="font-body antialiased h-full flex flex-col">
-        <header className="bg-card border-b border-border shadow-sm">
-          <div className="container mx-auto px-4 sm:px-6 lg:px-8">
-            <nav className="flex items-center justify-between h-16">
-              <Link href="/" className="text-xl font-bold text-foreground">
-                PH Committee Schedules
-              </Link>
-              <div className="flex items-center gap-4">
-                <Link href="/" className="text-sm font-medium text-muted-foreground hover:text-foreground">
-                  Calendar
-                </Link>
-                <Link href="/meetings" className="text-sm font-medium text-muted-foreground hover:text-foreground">
-                  Meetings
-                </Link>
+        <TimeZoneProvider>
+          <WatchlistProvider>
+            <header className="bg-card border-b border-border shadow-sm">
+              <div className="container mx-auto px-4 sm:px-6 lg:px-8">
+                <nav className="flex items-center justify-between h-16">
+                  <Link href="/" className="text-xl font-bold text-foreground">
+                    PH Committee Schedules
+                  </Link>
+                  <div className="flex items-center gap-4">
+                    <Link href="/" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Calendar
+                    </Link>
+                    <Link href="/meetings" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Meetings
+                    </Link>
+                    <Link href="/committees" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Committees
+                    </Link>
+                    <Link href="/bills" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Bills
+                    </Link>
+                    <Link href="/legislators" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Legislators
+                    </Link>
+                    <Link href="/insights" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Insights
+                    </Link>
+                    <Link href="/conflicts" className="text-sm font-medium text-muted-foreground hover:text-foreground">
+                      Conflicts
+                    </Link>
+                    <TimeZoneToggle />
+                  </div>
+                </nav>
               </div>
-            </nav>
-          </div>
-        </header>
-        <main className="flex-1">{children}</main>
-        <Toaster />
+            </header>
+            <OfflineBanner />
+            <main className="flex-1">{children}</main>
+            <Toaster />
+            <ServiceWorkerRegistration />
+          </WatchlistProvider>
+        </TimeZoneProvider>
       </body>
     </html>
   );
@@ -0,0 +1,92 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+
+import { isUpcomingEvent, loadEvents } from '@/lib/load-events';
+import { getAuthorHearings, summarizeAuthors } from '@/lib/authors';
+import { MeetingCard } from '@/components/meetings/meeting-card';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+interface LegislatorPageProps {
+  params: Promise<{ slug: string }>;
+}
+
+export async function generateStaticParams() {
+  const events = await loadEvents();
+  return summarizeAuthors(events).map((author) => ({ slug: author.slug }));
+}
+
+export async function generateMetadata({ params }: LegislatorPageProps): Promise<Metadata> {
+  const { slug } = await params;
+  const events = await loadEvents();
+  const author = summarizeAuthors(events).find((entry) => entry.slug === slug);
+  if (!author) return {};
+  return {
+    title: `${author.name} | PH Congress Committee Schedules`,
+    description: `Committee hearings where measures by ${author.name} are on the agenda.`,
+  };
+}
+
+export default async function LegislatorPage({ params }: LegislatorPageProps) {
+  const { slug } = await params;
+  const events = await loadEvents();
+  const author = summarizeAuthors(events).find((entry) => entry.slug === slug);
+  if (!author) notFound();
+
+  const now = Date.now();
+  const hearings = getAuthorHearings(events, slug);
+  const upcoming = hearings.filter((event) => isUpcomingEvent(event, now));
+  const past = hearings.filter((event) => !isUpcomingEvent(event, now)).reverse();
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <nav className="mb-4 text-sm">
+          <Link href="/legislators" className="text-muted-foreground hover:text-foreground">
+            ← All legislators
+          </Link>
+        </nav>
+
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">{author.name}</h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            {author.hearings} {author.hearings === 1 ? 'hearing' : 'hearings'} across{' '}
+            {author.committees.length} {author.committees.length === 1 ? 'committee' : 'committees'}.
+          </p>
+        </header>
+
+        <div className="space-y-10">
+          <section aria-labelledby="legislator-upcoming-heading">
+            <h2 id="legislator-upcoming-heading" className="mb-4 text-xl font-semibold text-foreground">
+              Upcoming hearings
+            </h2>
+            {upcoming.length > 0 ? (
+              <div className="grid gap-4">
+                {upcoming.map((meeting) => (
+                  <MeetingCard key={meeting.id} meeting={meeting} />
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground">No upcoming hearings are scheduled.</p>
+            )}
+          </section>
+
+          {past.length > 0 && (
+            <section aria-labelledby="legislator-past-heading">
+              <h2 id="legislator-past-heading" className="mb-4 text-xl font-semibold text-foreground">
+                Past hearings
+              </h2>
+              <div className="grid gap-4">
+                {past.map((meeting) => (
+                  <MeetingCard key={meeting.id} meeting={meeting} />
+                ))}
+              </div>
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+
+import { loadEvents } from '@/lib/load-events';
+import { summarizeAuthors } from '@/lib/authors';
+import { Badge } from '@/components/ui/badge';
+
+export const dynamic = 'force-static';
+
+export const metadata: Metadata = {
+  title: 'Legislators | PH Congress Committee Schedules',
+  description: 'Committee hearings where each legislator’s bills and resolutions are on the agenda.',
+};
+
+export default async function LegislatorsPage() {
+  const events = await loadEvents();
+  const authors = summarizeAuthors(events);
+
+  return (
+    <div className="bg-background">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground sm:text-4xl">
+            Legislators
+          </h1>
+          <p className="mt-2 text-lg text-muted-foreground">
+            Authors credited on committee agendas, with every hearing where their measures are up.
+          </p>
+        </header>
+
+        {authors.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No author attributions have been found in the published agendas yet.</p>
+        ) : (
+          <ul className="grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-3">
+            {authors.map((author) => (
+              <li key={author.slug}>
+                <Link
+                  href={`/legislators/${author.slug}`}
+                  className="block h-full rounded-lg border border-border bg-card p-4 shadow-sm transition-shadow hover:shadow-md"
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <p className="font-semibold text-foreground">{author.name}</p>
+                    <Badge variant="secondary">
+                      {author.hearings} {author.hearings === 1 ? 'hearing' : 'hearings'}
+                    </Badge>
+                  </div>
+                  <p className="mt-2 line-clamp-2 text-sm text-muted-foreground">{author.committees.join(', ')}</p>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
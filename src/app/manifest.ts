@@ -0,0 +1,26 @@
+import type { MetadataRoute } from 'next';
+import { BASE_PATH, SITE_NAME } from '@/lib/site';
+
+export const dynamic = 'force-static';
+
+// Makes the site installable. Paths here are plain URLs, so they carry the base path themselves.
+export default function manifest(): MetadataRoute.Manifest {
+  return {
+    name: SITE_NAME,
+    short_name: 'PH Hearings',
+    description: 'Browse upcoming committee hearings from the Philippine Senate and House of Representatives.',
+    start_url: `${BASE_PATH}/`,
+    scope: `${BASE_PATH}/`,
+    display: 'standalone',
+    background_color: '#f0f0f0',
+    theme_color: '#0057b8',
+    icons: [
+      {
+        src: `${BASE_PATH}/icon.svg`,
+        sizes: 'any',
+        type: 'image/svg+xml',
+        purpose: 'any',
+      },
+    ],
+  };
+}
@@ -0,0 +1,256 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { format, isValid } from 'date-fns';
+
+import { loadEvents } from '@/lib/load-events';
+import type { Event } from '@/lib/types';
+import { getAgendaItems } from '@/lib/agenda';
+import { formatJointCommittees } from '@/lib/committees';
+import { describeStatus, isCancelledEvent } from '@/lib/event-status';
+import { getEventColors, getEventCategoryLabel } from '@/lib/event-colors';
+import { hasClockTime } from '@/lib/hearing-time';
+import { SITE_NAME, calendarDayPath } from '@/lib/site';
+import { meetingUrl } from '@/lib/site-url';
+import { toZonedDate } from '@/lib/timezone';
+import { cn } from '@/lib/utils';
+import { Badge } from '@/components/ui/badge';
+import EventIcon from '@/components/icons/event-icon';
+import { BillChips } from '@/components/bills/bill-chips';
+import { AuthorLinks } from '@/components/authors/author-links';
+import { MeetingTypeBadge } from '@/components/committees/meeting-type-badge';
+import { FlagBadges } from '@/components/meetings/flag-badges';
+import { StatusBadge } from '@/components/meetings/status-badge';
+import { VenueFlags } from '@/components/venues/venue-flags';
+import { ZonedDateTime } from '@/components/time-zone/zoned-date-time';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+interface MeetingPageProps {
+  params: Promise<{ id: string }>;
+}
+
+const CHAMBER_ADDRESSES: Record<Event['branch'], string> = {
+  'House of Representatives': 'Batasan Pambansa Complex, Quezon City, Philippines',
+  Senate: 'GSIS Building, Financial Center, Pasay City, Philippines',
+};
+
+const DESCRIPTION_LENGTH = 200;
+
+async function findMeeting(id: string): Promise<Event | undefined> {
+  const events = await loadEvents();
+  const decoded = decodeURIComponent(id);
+  return events.find((event) => event.id === decoded);
+}
+
+function calendarDay(event: Event): string {
+  return event.isoDate.slice(0, 10);
+}
+
+function whenPattern(event: Event): string {
+  return hasClockTime(event) ? 'EEEE, MMMM d, yyyy • h:mm aaa' : 'EEEE, MMMM d, yyyy';
+}
+
+function whenSuffix(event: Event): string {
+  return hasClockTime(event) && event.continuesUntilFinished ? ' onwards' : '';
+}
+
+// Metadata is static text, so it is always in Manila time.
+function formatWhen(event: Event): string {
+  const parsed = toZonedDate(event.isoDate);
+  if (!isValid(parsed)) return event.date;
+  return `${format(parsed, whenPattern(event))}${whenSuffix(event)}`;
+}
+
+function describe(event: Event): string {
+  const when = formatWhen(event);
+  const text = `${event.branch} hearing on ${when}. ${event.agenda || 'Agenda to follow.'}`;
+  return text.length > DESCRIPTION_LENGTH ? `${text.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…` : text;
+}
+
+// isoDate already carries Manila's offset; hearings without a time are date-only events.
+function schemaStartDate(event: Event): string {
+  return hasClockTime(event) ? event.isoDate : calendarDay(event);
+}
+
+const SCHEMA_EVENT_STATUS: Record<Event['status'], string> = {
+  scheduled: 'https://schema.org/EventScheduled',
+  tentative: 'https://schema.org/EventScheduled',
+  cancelled: 'https://schema.org/EventCancelled',
+  rescheduled: 'https://schema.org/EventRescheduled',
+  postponed: 'https://schema.org/EventPostponed',
+};
+
+function schemaAttendanceMode({ venueDetails }: Event): string {
+  const online = venueDetails.virtual || venueDetails.livestreamed;
+  if (online && venueDetails.inPerson) return 'https://schema.org/MixedEventAttendanceMode';
+  if (online) return 'https://schema.org/OnlineEventAttendanceMode';
+  return 'https://schema.org/OfflineEventAttendanceMode';
+}
+
+function buildJsonLd(event: Event) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: `${event.committee} (${event.branch})`,
+    description: event.agenda || undefined,
+    startDate: schemaStartDate(event),
+    eventStatus: SCHEMA_EVENT_STATUS[event.status],
+    previousStartDate: event.previousDate || undefined,
+    eventAttendanceMode: schemaAttendanceMode(event),
+    url: meetingUrl(event.id),
+    location: {
+      '@type': 'Place',
+      name: event.venue || event.branch,
+      address: CHAMBER_ADDRESSES[event.branch],
+    },
+    organizer: {
+      '@type': 'Organization',
+      name: `${event.branch} of the Philippines`,
+    },
+  };
+}
+
+export async function generateStaticParams() {
+  const events = await loadEvents();
+  return events.map((event) => ({ id: event.id }));
+}
+
+export async function generateMetadata({ params }: MeetingPageProps): Promise<Metadata> {
+  const { id } = await params;
+  const event = await findMeeting(id);
+  if (!event) return {};
+
+  const title = `${event.committee} – ${event.date}`;
+  const description = describe(event);
+  const url = meetingUrl(event.id);
+  return {
+    title: `${title} | ${SITE_NAME}`,
+    description,
+    alternates: { canonical: url },
+    openGraph: {
+      type: 'website',
+      siteName: SITE_NAME,
+      title,
+      description,
+      url,
+    },
+    twitter: {
+      card: 'summary',
+      title,
+      description,
+    },
+  };
+}
+
+export default async function MeetingPage({ params }: MeetingPageProps) {
+  const { id } = await params;
+  const event = await findMeeting(id);
+  if (!event) notFound();
+
+  const colors = getEventColors(event);
+  const label = getEventCategoryLabel(event);
+  const agendaItems = getAgendaItems(event.agenda);
+  const jointCommittees = formatJointCommittees(event);
+  const cancelled = isCancelledEvent(event);
+  // Escape "<" so agenda text can never close the script element early.
+  const jsonLd = JSON.stringify(buildJsonLd(event)).replace(/</g, '\\u003c');
+
+  return (
+    <div className="bg-background">
+      <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: jsonLd }} />
+      <div className="container mx-auto max-w-4xl px-4 sm:px-6 lg:px-8 py-8">
+        <nav className="mb-4 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+          <Link href={calendarDayPath(calendarDay(event))} className="text-muted-foreground hover:text-foreground">
+            ← Calendar for {event.date}
+          </Link>
+          <Link href="/meetings" className="text-muted-foreground hover:text-foreground">
+            All meetings
+          </Link>
+        </nav>
+
+        <header className="mb-8 flex items-start gap-4">
+          <div className={cn('rounded-full p-3', colors.detailIconBg)}>
+            <EventIcon branch={event.branch} className={cn('h-6 w-6', colors.detailIconText)} />
+          </div>
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant="secondary" className={cn('w-fit', colors.badgeBg, colors.badgeText, colors.badgeBorder)}>
+                {label}
+              </Badge>
+              <MeetingTypeBadge meetingType={event.meetingType} />
+              <StatusBadge status={event.status} />
+              <FlagBadges event={event} />
+            </div>
+            <h1 className={cn('text-3xl font-bold tracking-tight text-foreground', cancelled && 'line-through')}>
+              {event.committeeSlug ? (
+                <Link href={`/committees/${event.committeeSlug}`} className="hover:underline">
+                  {event.committee}
+                </Link>
+              ) : (
+                event.committee
+              )}
+            </h1>
+            {jointCommittees && <p className="text-muted-foreground">Jointly with {jointCommittees}</p>}
+          </div>
+        </header>
+
+        <dl className="mb-8 grid grid-cols-1 gap-4 rounded-xl border border-border bg-card p-4 text-sm shadow-sm sm:grid-cols-2">
+          <div>
+            <dt className="font-semibold text-foreground">When</dt>
+            <dd className="text-muted-foreground">
+              <ZonedDateTime
+                isoDate={event.isoDate}
+                pattern={whenPattern(event)}
+                hasTime={hasClockTime(event)}
+                showZone
+                suffix={whenSuffix(event)}
+                fallback={event.date}
+              />
+              {!event.time && ' (time to be announced)'}
+            </dd>
+          </div>
+          <div>
+            <dt className="font-semibold text-foreground">Venue</dt>
+            <dd className="text-muted-foreground">
+              {event.venue || 'Venue to be determined'}
+              <VenueFlags details={event.venueDetails} className="mt-1" />
+            </dd>
+          </div>
+          <div>
+            <dt className="font-semibold text-foreground">Status</dt>
+            <dd className="text-muted-foreground">{describeStatus(event)}</dd>
+          </div>
+          <div>
+            <dt className="font-semibold text-foreground">Source</dt>
+            <dd className="text-muted-foreground">{event.source}</dd>
+          </div>
+          {event.notes && (
+            <div className="sm:col-span-2">
+              <dt className="font-semibold text-foreground">Notes</dt>
+              <dd className="text-muted-foreground">{event.notes}</dd>
+            </div>
+          )}
+        </dl>
+
+        <section aria-labelledby="meeting-agenda-heading" className="space-y-4">
+          <h2 id="meeting-agenda-heading" className="text-xl font-semibold text-foreground">
+            Agenda
+          </h2>
+          {agendaItems.length > 0 ? (
+            <ol className="list-decimal space-y-2 pl-5 text-muted-foreground">
+              {agendaItems.map((item, index) => (
+                <li key={`${event.id}-agenda-${index}`}>{item}</li>
+              ))}
+            </ol>
+          ) : (
+            <p className="text-muted-foreground">Agenda to follow.</p>
+          )}
+          <BillChips bills={event.bills} />
+          <AuthorLinks authors={event.authors} />
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { CalendarView } from '@/components/calendar/calendar-view';
+import { legislativePeriods } from '@/lib/legislative-calendar';
 import { loadEvents } from '@/lib/load-events';
 import type { Event } from '@/lib/types';
 
@@ -59,7 +60,7 @@ export default async function HomePage() {
         </div>
       </section>
       <section className="bg-background">
-        <CalendarView events={events} />
+        <CalendarView events={events} periods={legislativePeriods} />
       </section>
     </div>
   );
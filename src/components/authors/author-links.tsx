@@ -0,0 +1,27 @@
+import Link from 'next/link';
+
+import { authorSlug } from '@/lib/authors';
+import { cn } from '@/lib/utils';
+
+interface AuthorLinksProps {
+  authors: string[];
+  className?: string;
+}
+
+export function AuthorLinks({ authors, className }: AuthorLinksProps) {
+  if (authors.length === 0) return null;
+
+  return (
+    <p className={cn('text-xs text-muted-foreground', className)}>
+      Authors:{' '}
+      {authors.map((author, index) => (
+        <span key={author}>
+          {index > 0 && ', '}
+          <Link href={`/legislators/${authorSlug(author)}`} className="underline-offset-2 hover:text-foreground hover:underline">
+            {author}
+          </Link>
+        </span>
+      ))}
+    </p>
+  );
+}
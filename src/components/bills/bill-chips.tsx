@@ -0,0 +1,28 @@
+import Link from 'next/link';
+
+import { Badge } from '@/components/ui/badge';
+import { billSlug, describeBill } from '@/lib/bills';
+import { cn } from '@/lib/utils';
+
+interface BillChipsProps {
+  bills: string[];
+  className?: string;
+}
+
+export function BillChips({ bills, className }: BillChipsProps) {
+  if (bills.length === 0) return null;
+
+  return (
+    <ul className={cn('flex flex-wrap gap-1.5', className)} aria-label="Bills and laws on the agenda">
+      {bills.map((bill) => (
+        <li key={bill}>
+          <Link href={`/bills/${billSlug(bill)}`} title={describeBill(bill)}>
+            <Badge variant="outline" className="whitespace-nowrap text-[11px] hover:bg-muted">
+              {bill}
+            </Badge>
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,136 @@
+'use client';
+
+import { format, isSameDay } from 'date-fns';
+import { Star } from 'lucide-react';
+import type { Event, LegislativePeriod } from '@/lib/types';
+import type { HearingConflict } from '@/lib/conflicts';
+import { cn } from '@/lib/utils';
+import { getEventColors, legislativeCalendarColors } from '@/lib/event-colors';
+import { isCancelledEvent } from '@/lib/event-status';
+import { formatHearingTime } from '@/lib/hearing-time';
+import { periodsOnDay } from '@/lib/legislative-calendar';
+import { useTimeZone } from '@/hooks/use-time-zone';
+import EventIcon from '../icons/event-icon';
+import { StatusBadge } from '@/components/meetings/status-badge';
+import { ConflictBadges, conflictColors } from '@/components/conflicts/conflict-badges';
+
+interface AgendaViewProps {
+  days: Date[];
+  eventsByDate: Record<string, Event[]>;
+  periods: LegislativePeriod[];
+  today: Date;
+  /** Ids of hearings on the viewer's watchlist, marked with a star. */
+  watched?: ReadonlySet<string>;
+  /** Clashes by hearing id, shown as badges. */
+  conflicts?: ReadonlyMap<string, HearingConflict[]>;
+  /** Days (yyyy-MM-dd) on which this many watched hearings run at once. */
+  busyDays?: ReadonlyMap<string, number>;
+  onSelectEvent: (event: Event) => void;
+}
+
+/** A scrollable list of the days in range that have hearings, one row per hearing. */
+export function AgendaView({
+  days,
+  eventsByDate,
+  periods,
+  today,
+  watched,
+  conflicts,
+  busyDays,
+  onSelectEvent,
+}: AgendaViewProps) {
+  const { mode } = useTimeZone();
+  const agendaDays = days
+    .map((day) => {
+      const key = format(day, 'yyyy-MM-dd');
+      return { day, key, events: eventsByDate[key] ?? [] };
+    })
+    .filter(({ events }) => events.length > 0);
+
+  if (agendaDays.length === 0) {
+    return (
+      <p className="rounded-lg border border-dashed border-border p-8 text-center text-sm text-muted-foreground">
+        No hearings scheduled in this period.
+      </p>
+    );
+  }
+
+  return (
+    <div className="max-h-[70vh] overflow-y-auto rounded-lg border border-border">
+      {agendaDays.map(({ day, key, events }) => (
+        <section key={key} aria-labelledby={`agenda-${key}`}>
+          <div className="sticky top-0 z-10 flex flex-wrap items-center gap-2 border-b border-border bg-muted px-4 py-2">
+            <h2
+              id={`agenda-${key}`}
+              className={cn('text-sm font-semibold text-foreground', isSameDay(day, today) && 'text-accent')}
+            >
+              {format(day, 'EEEE, MMMM d')}
+              {isSameDay(day, today) ? ' · Today' : ''}
+            </h2>
+            {periodsOnDay(periods, key).map((period) => (
+              <span
+                key={period.id}
+                className={cn(
+                  'rounded-full px-2 py-0.5 text-[11px] font-medium',
+                  legislativeCalendarColors.itemBg,
+                  legislativeCalendarColors.itemText
+                )}
+              >
+                {period.label}
+              </span>
+            ))}
+            {busyDays?.has(key) && (
+              <span className={cn('rounded-full border px-2 py-0.5 text-[11px] font-medium', conflictColors.badge)}>
+                {busyDays.get(key)} watched hearings at once
+              </span>
+            )}
+          </div>
+          <ul className="divide-y divide-border">
+            {[...events]
+              .sort((a, b) => (a.isoDate || '').localeCompare(b.isoDate || ''))
+              .map((event) => {
+                const colors = getEventColors(event);
+                return (
+                  <li key={event.id}>
+                    <button
+                      type="button"
+                      onClick={() => onSelectEvent(event)}
+                      className={cn(
+                        'flex w-full items-start gap-3 px-4 py-3 text-left transition-colors hover:bg-muted/60 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-ring',
+                        watched?.has(event.id) && 'bg-amber-50/70'
+                      )}
+                    >
+                      <span className="w-24 flex-shrink-0 text-xs font-medium text-muted-foreground">
+                        {formatHearingTime(event, mode) || 'Time TBA'}
+                      </span>
+                      <span className={cn('mt-0.5 flex h-5 w-5 flex-shrink-0 items-center justify-center rounded-full', colors.detailIconBg)}>
+                        <EventIcon branch={event.branch} className={cn('h-3 w-3', colors.detailIconText)} />
+                      </span>
+                      <span className="min-w-0 flex-1 space-y-0.5">
+                        <span className="flex flex-wrap items-center gap-2">
+                          <span
+                            className={cn('text-sm font-semibold text-foreground', isCancelledEvent(event) && 'line-through')}
+                          >
+                            {event.committee}
+                          </span>
+                          {watched?.has(event.id) && (
+                            <Star className="h-3.5 w-3.5 text-amber-500" fill="currentColor" aria-label="On your watchlist" />
+                          )}
+                          <StatusBadge status={event.status} />
+                          <ConflictBadges conflicts={conflicts?.get(event.id) ?? []} />
+                        </span>
+                        {event.venue && <span className="block text-xs text-muted-foreground">{event.venue}</span>}
+                        {event.agenda && (
+                          <span className="block text-xs text-muted-foreground line-clamp-2">{event.agenda}</span>
+                        )}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
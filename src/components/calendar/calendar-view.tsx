@@ -1,37 +1,145 @@
 'use client';
 
-import { useState, useMemo } from 'react';
+import { useEffect, useRef, useState, useMemo } from 'react';
 import {
+  addDays,
   addMonths,
+  addWeeks,
+  subDays,
   subMonths,
+  subWeeks,
   format,
   startOfMonth,
   endOfMonth,
   startOfWeek,
   endOfWeek,
   eachDayOfInterval,
+  isSameDay,
   isSameMonth,
-  isToday,
   parseISO,
   isValid,
+  startOfDay,
 } from 'date-fns';
-import { ChevronLeft, ChevronRight } from 'lucide-react';
+import Link from 'next/link';
+import { AlertTriangle, ChevronLeft, ChevronRight, Star } from 'lucide-react';
 import { Button } from '@/components/ui/button';
-import type { Event } from '@/lib/types';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import type { Event, LegislativePeriod } from '@/lib/types';
+import { formatCongress, getCongressOptions } from '@/lib/congress';
+import { BUSY_DAY_THRESHOLD, conflictsByEvent, findConflictPairs, peakOverlap } from '@/lib/conflicts';
 import { cn } from '@/lib/utils';
-import { getEventColors } from '@/lib/event-colors';
+import { getEventColors, legislativeCalendarColors } from '@/lib/event-colors';
+import { isCancelledEvent } from '@/lib/event-status';
+import { STATUS_LABELS } from '@/lib/hearing-status';
+import { hasClockTime } from '@/lib/hearing-time';
+import { formatPeriodBranches, formatPeriodRange, periodsOnDay } from '@/lib/legislative-calendar';
+import { effectiveMode, toZonedDate, zonedNow } from '@/lib/timezone';
+import { isWatched } from '@/lib/watchlist';
+import { useIsMobile } from '@/hooks/use-mobile';
+import { useQueryState } from '@/hooks/use-query-state';
+import { useTimeZone } from '@/hooks/use-time-zone';
+import { useWatchlist } from '@/hooks/use-watchlist';
 import { EventDetails } from './event-details';
 import EventIcon from '../icons/event-icon';
 import { DayEventsDialog } from './day-events-dialog';
+import { TimeGridView } from './time-grid-view';
+import { AgendaView } from './agenda-view';
+import { conflictColors } from '../conflicts/conflict-badges';
+
+type CalendarViewMode = 'month' | 'week' | 'day' | 'agenda';
+
+const VIEW_LABELS: Record<CalendarViewMode, string> = {
+  month: 'Month',
+  week: 'Week',
+  day: 'Day',
+  agenda: 'Agenda',
+};
+
+function isCalendarViewMode(value: string): value is CalendarViewMode {
+  return value in VIEW_LABELS;
+}
+
+// Query parameters of the calendar page, e.g. /?view=week&month=2025-11&day=2025-11-12.
+// `date` is the link back from a hearing page; it opens that day's list once.
+const CALENDAR_DEFAULTS = {
+  view: '',
+  month: '',
+  day: '',
+  congress: 'all',
+  date: '',
+};
+
+function parseQueryDate(value: string, pattern: RegExp): Date | null {
+  if (!pattern.test(value)) return null;
+  const parsed = parseISO(value);
+  return isValid(parsed) ? parsed : null;
+}
 
 interface CalendarViewProps {
   events: Event[];
+  /** Session and adjournment periods, drawn as bands across the days they cover. */
+  periods?: LegislativePeriod[];
 }
 
-export function CalendarView({ events }: CalendarViewProps) {
-  const [currentDate, setCurrentDate] = useState(new Date());
+export function CalendarView({ events, periods = [] }: CalendarViewProps) {
   const [selectedEvent, setSelectedEvent] = useState<Event | null>(null);
   const [expandedDay, setExpandedDay] = useState<{ date: Date; events: Event[] } | null>(null);
+  const { query, setQuery } = useQueryState(CALENDAR_DEFAULTS);
+  const isMobile = useIsMobile();
+  // Until the viewer picks a view, small screens get the agenda list instead of the month grid.
+  const view: CalendarViewMode = isCalendarViewMode(query.view) ? query.view : isMobile ? 'agenda' : 'month';
+  const selectedCongress = query.congress;
+  const { mode } = useTimeZone();
+  const { watchlist } = useWatchlist();
+  const today = zonedNow(mode);
+
+  const currentDate =
+    (view === 'week' || view === 'day' ? parseQueryDate(query.day, /^\d{4}-\d{2}-\d{2}$/) : null) ??
+    parseQueryDate(query.month, /^\d{4}-\d{2}$/) ??
+    parseQueryDate(query.date, /^\d{4}-\d{2}-\d{2}$/) ??
+    startOfDay(today);
+
+  const showDate = (date: Date, nextView: CalendarViewMode = view) =>
+    setQuery({
+      view: nextView,
+      month: format(date, 'yyyy-MM'),
+      day: nextView === 'week' || nextView === 'day' ? format(date, 'yyyy-MM-dd') : '',
+      date: '',
+    });
+  const setCurrentDate = (date: Date) => showDate(date);
+  const setSelectedCongress = (value: string) => setQuery({ congress: value });
+
+  const congresses = useMemo(() => getCongressOptions(events), [events]);
+
+  const visibleEvents = useMemo(
+    () =>
+      selectedCongress === 'all'
+        ? events
+        : events.filter((event) => String(event.congress) === selectedCongress),
+    [events, selectedCongress]
+  );
+
+  const watchedIds = useMemo(
+    () => new Set(visibleEvents.filter((event) => isWatched(event, watchlist)).map((event) => event.id)),
+    [visibleEvents, watchlist]
+  );
+
+  const conflicts = useMemo(() => conflictsByEvent(findConflictPairs(visibleEvents)), [visibleEvents]);
+
+  const visiblePeriods = useMemo(
+    () =>
+      selectedCongress === 'all'
+        ? periods
+        : periods.filter((period) => String(period.congress) === selectedCongress),
+    [periods, selectedCongress]
+  );
 
   const firstDayOfMonth = startOfMonth(currentDate);
   const lastDayOfMonth = endOfMonth(currentDate);
@@ -41,119 +149,342 @@ export function CalendarView({ events }: CalendarViewProps) {
     end: endOfWeek(lastDayOfMonth),
   });
 
-  const nextMonth = () => setCurrentDate(addMonths(currentDate, 1));
-  const prevMonth = () => setCurrentDate(subMonths(currentDate, 1));
+  const weekStart = startOfWeek(currentDate);
+  const weekEnd = endOfWeek(currentDate);
+
+  // currentDate is a new Date on every render, so the memo keys on its timestamp instead.
+  const currentTime = currentDate.getTime();
+  const rangeDays = useMemo(() => {
+    const day = new Date(currentTime);
+    if (view === 'week') return eachDayOfInterval({ start: startOfWeek(day), end: endOfWeek(day) });
+    if (view === 'day') return [day];
+    return eachDayOfInterval({ start: startOfMonth(day), end: endOfMonth(day) });
+  }, [view, currentTime]);
+
+  const step = (direction: 1 | -1) => {
+    if (view === 'week') {
+      setCurrentDate(direction > 0 ? addWeeks(currentDate, 1) : subWeeks(currentDate, 1));
+    } else if (view === 'day') {
+      setCurrentDate(direction > 0 ? addDays(currentDate, 1) : subDays(currentDate, 1));
+    } else {
+      setCurrentDate(direction > 0 ? addMonths(currentDate, 1) : subMonths(currentDate, 1));
+    }
+  };
+  const stepLabel = view === 'week' || view === 'day' ? view : 'month';
+
+  const title =
+    view === 'week'
+      ? isSameMonth(weekStart, weekEnd)
+        ? `${format(weekStart, 'MMMM d')} – ${format(weekEnd, 'd, yyyy')}`
+        : `${format(weekStart, 'MMM d')} – ${format(weekEnd, 'MMM d, yyyy')}`
+      : view === 'day'
+        ? format(currentDate, 'EEEE, MMMM d, yyyy')
+        : format(currentDate, 'MMMM yyyy');
 
   const eventsByDate = useMemo(() => {
-    return events.reduce((acc: Record<string, Event[]>, event) => {
+    return visibleEvents.reduce((acc: Record<string, Event[]>, event) => {
       if (!event.isoDate) return acc;
-      const parsedDate = parseISO(event.isoDate);
+      // Days are Manila days unless the viewer asked for their own timezone.
+      const parsedDate = toZonedDate(event.isoDate, effectiveMode(hasClockTime(event), mode));
       if (!isValid(parsedDate)) return acc;
       const dateKey = format(parsedDate, 'yyyy-MM-dd');
       acc[dateKey] = acc[dateKey] ? [...acc[dateKey], event] : [event];
       return acc;
     }, {} as Record<string, Event[]>);
-  }, [events]);
+  }, [visibleEvents, mode]);
+
+  // Days on which the viewer's watched hearings overlap, i.e. their office needs several people.
+  const busyDays = useMemo(() => {
+    const busy = new Map<string, number>();
+    if (watchedIds.size === 0) return busy;
+    for (const [dateKey, dayEvents] of Object.entries(eventsByDate)) {
+      const { count } = peakOverlap(dayEvents.filter((event) => watchedIds.has(event.id)));
+      if (count >= BUSY_DAY_THRESHOLD) busy.set(dateKey, count);
+    }
+    return busy;
+  }, [eventsByDate, watchedIds]);
+
+  const shortTime = (event: Event) =>
+    mode === 'local' && hasClockTime(event) ? format(toZonedDate(event.isoDate, 'local'), 'h:mm a') : event.time;
+
+  // Hearing pages link back with ?date=yyyy-MM-dd: open that month and list the day's events.
+  // Each date is opened once, so changing filters or the time zone afterwards does not reopen a
+  // day the viewer has closed; navigating inside the calendar clears `date` and starts over.
+  const openedDate = useRef<string | null>(null);
+  useEffect(() => {
+    if (!query.date) {
+      openedDate.current = null;
+      return;
+    }
+    if (query.date === openedDate.current) return;
+    const day = parseQueryDate(query.date, /^\d{4}-\d{2}-\d{2}$/);
+    if (!day) return;
+    const dayEvents = eventsByDate[format(day, 'yyyy-MM-dd')] ?? [];
+    if (dayEvents.length === 0) return;
+    openedDate.current = query.date;
+    setExpandedDay({
+      date: day,
+      events: [...dayEvents].sort((a, b) => (a.isoDate || '').localeCompare(b.isoDate || '')),
+    });
+  }, [query.date, eventsByDate]);
 
   const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
   return (
     <div className="p-4 sm:p-6 lg:p-8">
       <div className="max-w-7xl mx-auto bg-card p-6 rounded-2xl shadow-sm">
-        <div className="flex items-center justify-between mb-6">
-          <h1 className="text-2xl sm:text-3xl font-headline font-bold text-foreground">
-            {format(currentDate, 'MMMM yyyy')}
-          </h1>
-          <div className="flex items-center gap-2">
-            <Button variant="outline" size="icon" onClick={prevMonth} aria-label="Previous month">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <h1 className="text-2xl sm:text-3xl font-headline font-bold text-foreground">{title}</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <Tabs
+              value={view}
+              onValueChange={(value) => {
+                if (isCalendarViewMode(value)) showDate(currentDate, value);
+              }}
+            >
+              <TabsList aria-label="Calendar view">
+                {(Object.keys(VIEW_LABELS) as CalendarViewMode[]).map((option) => (
+                  <TabsTrigger key={option} value={option}>
+                    {VIEW_LABELS[option]}
+                  </TabsTrigger>
+                ))}
+              </TabsList>
+            </Tabs>
+            <Select value={selectedCongress} onValueChange={setSelectedCongress}>
+              <SelectTrigger className="w-[170px]" aria-label="Filter by Congress">
+                <SelectValue placeholder="All Congresses" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Congresses</SelectItem>
+                {congresses.map((congress) => (
+                  <SelectItem key={congress} value={String(congress)}>
+                    {formatCongress(congress)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" onClick={() => setCurrentDate(today)}>
+              Today
+            </Button>
+            <Button variant="outline" size="icon" onClick={() => step(-1)} aria-label={`Previous ${stepLabel}`}>
               <ChevronLeft className="h-5 w-5" />
             </Button>
-            <Button variant="outline" size="icon" onClick={nextMonth} aria-label="Next month">
+            <Button variant="outline" size="icon" onClick={() => step(1)} aria-label={`Next ${stepLabel}`}>
               <ChevronRight className="h-5 w-5" />
             </Button>
           </div>
         </div>
-        <div key={currentDate.toISOString()} className="animate-in fade-in duration-500">
-          <div className="grid grid-cols-7 gap-px border-l border-t border-border bg-border">
-            {weekdays.map((day) => (
-              <div key={day} className="text-center font-semibold text-muted-foreground py-3 bg-card text-sm">
-                {day}
-              </div>
-            ))}
-
-            {daysInMonth.map((day) => {
-              const dayEvents = eventsByDate[format(day, 'yyyy-MM-dd')] || [];
-              const sortedDayEvents = [...dayEvents].sort((a, b) =>
-                (a.isoDate || '').localeCompare(b.isoDate || '')
-              );
-              return (
-                <div
-                  key={day.toString()}
-                  className={cn(
-                    'relative min-h-[120px] p-2 bg-card border-r border-b border-border transition-colors',
-                    !isSameMonth(day, currentDate) && 'bg-muted/50'
-                  )}
-                >
-                  <time
-                    dateTime={format(day, 'yyyy-MM-dd')}
+        <div key={`${view}-${currentDate.toISOString()}`} className="animate-in fade-in duration-500">
+          {(view === 'week' || view === 'day') && (
+            <TimeGridView
+              days={rangeDays}
+              eventsByDate={eventsByDate}
+              periods={visiblePeriods}
+              today={today}
+              watched={watchedIds}
+              conflicts={conflicts}
+              onSelectEvent={setSelectedEvent}
+              onSelectDay={
+                view === 'week'
+                  ? (day) => showDate(day, 'day')
+                  : undefined
+              }
+            />
+          )}
+          {view === 'agenda' && (
+            <AgendaView
+              days={rangeDays}
+              eventsByDate={eventsByDate}
+              periods={visiblePeriods}
+              today={today}
+              watched={watchedIds}
+              conflicts={conflicts}
+              busyDays={busyDays}
+              onSelectEvent={setSelectedEvent}
+            />
+          )}
+          {view === 'month' && (
+            <div className="grid grid-cols-7 gap-px border-l border-t border-border bg-border">
+              {weekdays.map((day) => (
+                <div key={day} className="text-center font-semibold text-muted-foreground py-3 bg-card text-sm">
+                  {day}
+                </div>
+              ))}
+
+              {daysInMonth.map((day) => {
+                const dayKey = format(day, 'yyyy-MM-dd');
+                const dayEvents = eventsByDate[dayKey] || [];
+                const dayPeriods = periodsOnDay(visiblePeriods, dayKey);
+                const adjourned = dayPeriods.some((period) => period.kind === 'adjournment');
+                const busyCount = busyDays.get(dayKey);
+                // Watched hearings go first so they are among the two the cell has room for.
+                const sortedDayEvents = [...dayEvents].sort(
+                  (a, b) =>
+                    Number(watchedIds.has(b.id)) - Number(watchedIds.has(a.id)) ||
+                    (a.isoDate || '').localeCompare(b.isoDate || '')
+                );
+                return (
+                  <div
+                    key={day.toString()}
                     className={cn(
-                      'h-8 w-8 flex items-center justify-center rounded-full text-sm',
-                      isToday(day) && 'bg-accent text-accent-foreground font-bold',
-                      !isSameMonth(day, currentDate) && 'text-muted-foreground'
+                      'relative min-h-[120px] p-2 bg-card border-r border-b border-border transition-colors',
+                      adjourned && 'bg-amber-50',
+                      !isSameMonth(day, currentDate) && 'bg-muted/50'
                     )}
                   >
-                    {format(day, 'd')}
-                  </time>
-                  <div className="mt-1 space-y-1">
-                    {sortedDayEvents
-                      .slice(0, 2)
-                      .map((event) => {
-                        const colors = getEventColors(event);
-                        return (
-                          <button
-                            key={event.id}
-                            onClick={() => setSelectedEvent(event)}
-                            className={cn(
-                              'w-full text-left p-1.5 rounded-lg transition-colors',
-                              colors.itemBg,
-                              colors.itemHoverBg
-                            )}
-                            aria-label={`View event: ${event.committee}`}
-                          >
-                            <div className="flex items-center gap-1.5">
-                              <EventIcon
-                                branch={event.branch}
-                                className={cn('h-3 w-3 flex-shrink-0', colors.icon)}
-                              />
-                              <span className={cn('text-[11px] font-medium truncate', colors.itemText)}>
-                                {event.time ? `${event.time} · ` : ''}
-                                {event.committee}
-                              </span>
-                            </div>
-                          </button>
-                        );
-                      })}
-                    {sortedDayEvents.length > 2 && (
-                      <button
-                        type="button"
-                        onClick={() => setExpandedDay({ date: day, events: sortedDayEvents })}
-                        className="mt-1 pl-1.5 text-xs text-muted-foreground underline-offset-2 hover:underline focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background rounded-sm"
-                        aria-label={`View ${sortedDayEvents.length - 2} more events on ${format(day, 'MMMM d, yyyy')}`}
+                    <div className="flex items-center justify-between gap-1">
+                      <time
+                        dateTime={format(day, 'yyyy-MM-dd')}
+                        className={cn(
+                          'h-8 w-8 flex items-center justify-center rounded-full text-sm',
+                          isSameDay(day, today) && 'bg-accent text-accent-foreground font-bold',
+                          !isSameMonth(day, currentDate) && 'text-muted-foreground'
+                        )}
                       >
-                        + {sortedDayEvents.length - 2} more
-                      </button>
+                        {format(day, 'd')}
+                      </time>
+                      {busyCount !== undefined && (
+                        <span
+                          className={cn('truncate rounded-full border px-1.5 text-[10px] font-medium', conflictColors.badge)}
+                          title={`${busyCount} of your watched hearings run at the same time`}
+                        >
+                          {busyCount} at once
+                        </span>
+                      )}
+                    </div>
+                    {dayPeriods.length > 0 && (
+                      <div className="-mx-2 mt-1 space-y-0.5">
+                        {dayPeriods.map((period) => {
+                          const startsHere = period.start === dayKey;
+                          const endsHere = period.end === dayKey;
+                          // Label the band where it starts and again at the start of each week row.
+                          const labelled = startsHere || day.getDay() === 0;
+                          return (
+                            <div
+                              key={period.id}
+                              title={`${period.label} (${formatPeriodBranches(period)}): ${formatPeriodRange(period)}`}
+                              aria-hidden={!labelled}
+                              className={cn(
+                                'h-5 truncate px-2 text-[11px] font-medium leading-5',
+                                legislativeCalendarColors.itemBg,
+                                legislativeCalendarColors.itemText,
+                                startsHere && 'ml-2 rounded-l-full',
+                                endsHere && 'mr-2 rounded-r-full'
+                              )}
+                            >
+                              {labelled ? period.label : ''}
+                            </div>
+                          );
+                        })}
+                      </div>
                     )}
+                    <div className="mt-1 space-y-1">
+                      {sortedDayEvents
+                        .slice(0, 2)
+                        .map((event) => {
+                          const colors = getEventColors(event);
+                          const cancelled = isCancelledEvent(event);
+                          const watched = watchedIds.has(event.id);
+                          const conflicted = conflicts.has(event.id);
+                          return (
+                            <button
+                              key={event.id}
+                              onClick={() => setSelectedEvent(event)}
+                              className={cn(
+                                'w-full text-left p-1.5 rounded-lg transition-colors',
+                                colors.itemBg,
+                                colors.itemHoverBg,
+                                watched && 'ring-2 ring-inset ring-amber-400'
+                              )}
+                              aria-label={`View event: ${event.committee}${
+                                event.status === 'scheduled' ? '' : ` (${STATUS_LABELS[event.status]})`
+                              }${conflicted ? ' (scheduling conflict)' : ''}`}
+                            >
+                              <div className="flex items-center gap-1.5">
+                                <EventIcon
+                                  branch={event.branch}
+                                  className={cn('h-3 w-3 flex-shrink-0', colors.icon)}
+                                />
+                                <span
+                                  className={cn(
+                                    'text-[11px] font-medium truncate',
+                                    colors.itemText,
+                                    cancelled && 'line-through opacity-70'
+                                  )}
+                                >
+                                  {event.time ? `${shortTime(event)} · ` : ''}
+                                  {event.committee}
+                                </span>
+                                {(conflicted || watched) && (
+                                  <span className="ml-auto flex flex-shrink-0 items-center gap-0.5">
+                                    {conflicted && (
+                                      <AlertTriangle className={cn('h-3 w-3', conflictColors.icon)} aria-hidden />
+                                    )}
+                                    {watched && (
+                                      <Star
+                                        className="h-3 w-3 text-amber-500"
+                                        fill="currentColor"
+                                        aria-label="On your watchlist"
+                                      />
+                                    )}
+                                  </span>
+                                )}
+                              </div>
+                            </button>
+                          );
+                        })}
+                      {sortedDayEvents.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => setExpandedDay({ date: day, events: sortedDayEvents })}
+                          className="mt-1 pl-1.5 text-xs text-muted-foreground underline-offset-2 hover:underline focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background rounded-sm"
+                          aria-label={`View ${sortedDayEvents.length - 2} more events on ${format(day, 'MMMM d, yyyy')}`}
+                        >
+                          + {sortedDayEvents.length - 2} more
+                        </button>
+                      )}
+                    </div>
                   </div>
-                </div>
-              );
-            })}
-          </div>
+                );
+              })}
+            </div>
+          )}
+          {view !== 'agenda' && visiblePeriods.length > 0 && (
+            <p className="mt-3 flex items-center gap-2 text-xs text-muted-foreground">
+              <span className="inline-block h-3 w-3 rounded-sm border border-amber-200 bg-amber-50" aria-hidden />
+              Shaded days fall in an adjournment of Congress.
+            </p>
+          )}
+          {watchedIds.size > 0 && (
+            <p className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+              <Star className="h-3 w-3 text-amber-500" fill="currentColor" aria-hidden />
+              Outlined hearings match your watchlist.
+            </p>
+          )}
+          {busyDays.size > 0 && (
+            <p className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+              <span className={cn('rounded-full border px-1.5 text-[10px] font-medium', conflictColors.badge)} aria-hidden>
+                {BUSY_DAY_THRESHOLD} at once
+              </span>
+              Days when that many of your watched hearings run at the same time.
+            </p>
+          )}
+          {conflicts.size > 0 && (
+            <p className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+              <AlertTriangle className={cn('h-3 w-3', conflictColors.icon)} aria-hidden />
+              Marked hearings clash with another in the same room or for the same committee.
+              <Link href="/conflicts" className="font-medium text-foreground underline-offset-2 hover:underline">
+                See all conflicts
+              </Link>
+            </p>
+          )}
         </div>
       </div>
       <EventDetails
         event={selectedEvent}
         isOpen={!!selectedEvent}
         onClose={() => setSelectedEvent(null)}
+        conflicts={selectedEvent ? conflicts.get(selectedEvent.id) : undefined}
       />
       <DayEventsDialog
         date={expandedDay?.date ?? null}
@@ -8,6 +8,10 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/u
 import { Separator } from '@/components/ui/separator';
 import { Badge } from '@/components/ui/badge';
 import EventIcon from '@/components/icons/event-icon';
+import { StatusBadge } from '@/components/meetings/status-badge';
+import { isCancelledEvent } from '@/lib/event-status';
+import { formatHearingTime } from '@/lib/hearing-time';
+import { useTimeZone } from '@/hooks/use-time-zone';
 
 interface DayEventsDialogProps {
   date: Date | null;
@@ -18,6 +22,7 @@ interface DayEventsDialogProps {
 }
 
 export function DayEventsDialog({ date, events, isOpen, onClose, onSelectEvent }: DayEventsDialogProps) {
+  const { mode } = useTimeZone();
   if (!date) return null;
 
   const formattedDate = format(date, 'EEEE, MMMM d, yyyy');
@@ -65,11 +70,14 @@ export function DayEventsDialog({ date, events, isOpen, onClose, onSelectEvent }
                       >
                         {label}
                       </Badge>
+                      <StatusBadge status={event.status} />
                     </div>
-                    {event.time && <span className="text-xs text-muted-foreground">{event.time}</span>}
+                    {event.time && <span className="text-xs text-muted-foreground">{formatHearingTime(event, mode)}</span>}
                   </div>
                   <div className="space-y-1">
-                    <p className="text-sm font-semibold text-foreground">{event.committee}</p>
+                    <p className={cn('text-sm font-semibold text-foreground', isCancelledEvent(event) && 'line-through')}>
+                      {event.committee}
+                    </p>
                     {event.venue && <p className="text-xs text-muted-foreground">Venue: {event.venue}</p>}
                     {event.agenda && <p className="text-xs text-muted-foreground line-clamp-2">Agenda: {event.agenda}</p>}
                   </div>
@@ -10,38 +10,53 @@ import {
 } from '@/components/ui/dialog';
 import EventIcon from '@/components/icons/event-icon';
 import { format } from 'date-fns';
+import Link from 'next/link';
 import { cn } from '@/lib/utils';
 import { Separator } from '../ui/separator';
 import { Badge } from '../ui/badge';
+import { BillChips } from '@/components/bills/bill-chips';
+import { AuthorLinks } from '@/components/authors/author-links';
+import { MeetingTypeBadge } from '@/components/committees/meeting-type-badge';
+import { FlagBadges } from '@/components/meetings/flag-badges';
+import { StatusBadge } from '@/components/meetings/status-badge';
+import { VenueFlags } from '@/components/venues/venue-flags';
+import { ConflictBadges, ConflictList } from '@/components/conflicts/conflict-badges';
+import { formatJointCommittees } from '@/lib/committees';
+import type { HearingConflict } from '@/lib/conflicts';
+import { getAgendaItems } from '@/lib/agenda';
+import { meetingPath } from '@/lib/site';
+import { describeStatus, isCancelledEvent } from '@/lib/event-status';
+import { formatHearingTime, hasClockTime } from '@/lib/hearing-time';
+import { effectiveMode, toZonedDate } from '@/lib/timezone';
+import { useTimeZone } from '@/hooks/use-time-zone';
 
 interface EventDetailsProps {
   event: Event | null;
   isOpen: boolean;
   onClose: () => void;
+  /** Other hearings this one clashes with, from findConflictPairs. */
+  conflicts?: HearingConflict[];
 }
 
-export function EventDetails({ event, isOpen, onClose }: EventDetailsProps) {
+export function EventDetails({ event, isOpen, onClose, conflicts = [] }: EventDetailsProps) {
+  const { mode } = useTimeZone();
   if (!event) return null;
 
   const colors = getEventColors(event);
   const label = getEventCategoryLabel(event);
 
-  const dateSource = event.isoDate ?? (event.date ? `${event.date}T00:00:00` : '');
-  const parsedDate = dateSource ? new Date(dateSource) : null;
-  const hasValidDate = parsedDate && !Number.isNaN(parsedDate.getTime());
+  const parsedDate = toZonedDate(event.isoDate, effectiveMode(hasClockTime(event), mode));
+  const hasValidDate = !Number.isNaN(parsedDate.getTime());
   const formattedDate = hasValidDate
-    ? format(parsedDate!, 'EEEE, MMMM d, yyyy')
+    ? format(parsedDate, 'EEEE, MMMM d, yyyy')
     : event.date || 'Date to be determined';
 
-  const timeLabel = event.time || (hasValidDate ? format(parsedDate!, 'h:mm aaa') : 'Time to be determined');
+  const timeLabel = formatHearingTime(event, mode) || 'Time to be determined';
   const venueLabel = event.venue || 'Venue to be determined';
 
-  const agendaItems = event.agenda
-    ? event.agenda
-        .split(/(?:•|;)/)
-        .map((item) => item.trim())
-        .filter(Boolean)
-    : [];
+  const jointCommittees = formatJointCommittees(event);
+
+  const agendaItems = getAgendaItems(event.agenda);
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
@@ -53,15 +68,26 @@ export function EventDetails({ event, isOpen, onClose }: EventDetailsProps) {
                 <EventIcon branch={event.branch} className={cn('h-6 w-6', colors.detailIconText)} />
               </div>
               <div className="space-y-1">
-                <Badge
-                  variant="secondary"
-                  className={cn('w-fit', colors.badgeBg, colors.badgeText, colors.badgeBorder)}
+                <div className="flex flex-wrap items-center gap-2">
+                  <Badge
+                    variant="secondary"
+                    className={cn('w-fit', colors.badgeBg, colors.badgeText, colors.badgeBorder)}
+                  >
+                    {label}
+                  </Badge>
+                  <MeetingTypeBadge meetingType={event.meetingType} />
+                  <StatusBadge status={event.status} />
+                  <FlagBadges event={event} />
+                  <ConflictBadges conflicts={conflicts} />
+                </div>
+                <DialogTitle
+                  className={cn('text-2xl font-headline text-foreground', isCancelledEvent(event) && 'line-through')}
                 >
-                  {label}
-                </Badge>
-                <DialogTitle className="text-2xl font-headline text-foreground">
                   {event.committee}
                 </DialogTitle>
+                {jointCommittees && (
+                  <p className="text-sm text-muted-foreground">Jointly with {jointCommittees}</p>
+                )}
               </div>
             </div>
           </DialogHeader>
@@ -71,8 +97,11 @@ export function EventDetails({ event, isOpen, onClose }: EventDetailsProps) {
               <p className="text-muted-foreground font-semibold">{formattedDate}</p>
               <p className="text-sm text-muted-foreground">{timeLabel}</p>
               <p className="text-sm text-muted-foreground">{venueLabel}</p>
+              <VenueFlags details={event.venueDetails} className="pt-1" />
             </div>
 
+            <ConflictList conflicts={conflicts} />
+
             {agendaItems.length > 0 ? (
               <div className="space-y-2">
                 <h3 className="text-sm font-semibold text-foreground">Agenda</h3>
@@ -86,11 +115,26 @@ export function EventDetails({ event, isOpen, onClose }: EventDetailsProps) {
               <p className="text-sm text-muted-foreground">Agenda to follow.</p>
             )}
 
+            {(event.bills.length > 0 || event.authors.length > 0) && (
+              <div className="space-y-2">
+                <h3 className="text-sm font-semibold text-foreground">Bills and laws</h3>
+                <BillChips bills={event.bills} />
+                <AuthorLinks authors={event.authors} />
+              </div>
+            )}
+
             <div className="space-y-1 text-sm text-muted-foreground">
-              <p>Status: {event.status || 'Scheduled'}</p>
+              <p>Status: {describeStatus(event)}</p>
               {event.notes && <p>Notes: {event.notes}</p>}
               {event.source && <p>Source: {event.source}</p>}
             </div>
+
+            <Link
+              href={meetingPath(event.id)}
+              className="inline-block text-sm font-medium text-primary underline-offset-2 hover:underline"
+            >
+              Open hearing page
+            </Link>
           </div>
         </div>
       </DialogContent>
@@ -0,0 +1,234 @@
+'use client';
+
+import { useMemo } from 'react';
+import { format, isSameDay } from 'date-fns';
+import { AlertTriangle, Star } from 'lucide-react';
+import type { Event, LegislativePeriod } from '@/lib/types';
+import type { HearingConflict } from '@/lib/conflicts';
+import { cn } from '@/lib/utils';
+import { getEventColors, legislativeCalendarColors } from '@/lib/event-colors';
+import { isCancelledEvent } from '@/lib/event-status';
+import { STATUS_LABELS } from '@/lib/hearing-status';
+import { layoutOverlaps, startMinutes } from '@/lib/calendar-layout';
+import { HEARING_DURATION_MINUTES } from '@/lib/manila-time';
+import { formatHearingTime } from '@/lib/hearing-time';
+import { periodsOnDay } from '@/lib/legislative-calendar';
+import { useTimeZone } from '@/hooks/use-time-zone';
+import EventIcon from '../icons/event-icon';
+import { conflictColors } from '@/components/conflicts/conflict-badges';
+
+const HOUR_HEIGHT = 56;
+// Most hearings fall inside office hours; the grid grows when one starts earlier or runs later.
+const DEFAULT_FIRST_HOUR = 8;
+const DEFAULT_LAST_HOUR = 18;
+
+interface TimeGridViewProps {
+  days: Date[];
+  eventsByDate: Record<string, Event[]>;
+  periods: LegislativePeriod[];
+  today: Date;
+  /** Ids of hearings on the viewer's watchlist, drawn outlined. */
+  watched?: ReadonlySet<string>;
+  /** Clashes by hearing id; those hearings get a warning icon. */
+  conflicts?: ReadonlyMap<string, HearingConflict[]>;
+  onSelectEvent: (event: Event) => void;
+  /** Called from the column headers; the week view uses it to open a single day. */
+  onSelectDay?: (day: Date) => void;
+}
+
+export function TimeGridView({
+  days,
+  eventsByDate,
+  periods,
+  today,
+  watched,
+  conflicts,
+  onSelectEvent,
+  onSelectDay,
+}: TimeGridViewProps) {
+  const { mode } = useTimeZone();
+
+  const columns = useMemo(
+    () =>
+      days.map((day) => {
+        const key = format(day, 'yyyy-MM-dd');
+        const dayEvents = eventsByDate[key] ?? [];
+        const timed: { event: Event; start: number; end: number }[] = [];
+        const untimed: Event[] = [];
+        for (const event of dayEvents) {
+          const start = startMinutes(event, mode);
+          if (start === null) {
+            untimed.push(event);
+          } else {
+            timed.push({ event, start, end: Math.min(start + HEARING_DURATION_MINUTES, 24 * 60) });
+          }
+        }
+        const layout = layoutOverlaps(timed.map(({ event, start, end }) => ({ id: event.id, start, end })));
+        return { day, key, timed, untimed, layout, periods: periodsOnDay(periods, key) };
+      }),
+    [days, eventsByDate, periods, mode]
+  );
+
+  const starts = columns.flatMap(({ timed }) => timed.map(({ start }) => start));
+  const ends = columns.flatMap(({ timed }) => timed.map(({ end }) => end));
+  const firstHour = Math.min(DEFAULT_FIRST_HOUR, ...starts.map((start) => Math.floor(start / 60)));
+  const lastHour = Math.max(DEFAULT_LAST_HOUR, ...ends.map((end) => Math.ceil(end / 60)));
+  const hours = Array.from({ length: lastHour - firstHour }, (_, index) => firstHour + index);
+  const hasAllDayRow = columns.some(({ untimed, periods: dayPeriods }) => untimed.length > 0 || dayPeriods.length > 0);
+  const gridTemplate = { gridTemplateColumns: `3.5rem repeat(${days.length}, minmax(0, 1fr))` };
+
+  return (
+    <div className="overflow-x-auto">
+      <div className={cn('rounded-lg border border-border', days.length > 1 && 'min-w-[720px]')}>
+        <div className="grid border-b border-border" style={gridTemplate}>
+          <div />
+          {columns.map(({ day, key, periods: dayPeriods }) => {
+            const adjourned = dayPeriods.some((period) => period.kind === 'adjournment');
+            const label = (
+              <>
+                <span className="block text-xs font-medium uppercase text-muted-foreground">{format(day, 'EEE')}</span>
+                <span
+                  className={cn(
+                    'mx-auto flex h-8 w-8 items-center justify-center rounded-full text-sm',
+                    isSameDay(day, today) && 'bg-accent font-bold text-accent-foreground'
+                  )}
+                >
+                  {format(day, 'd')}
+                </span>
+              </>
+            );
+            return (
+              <div key={key} className={cn('border-l border-border py-2 text-center', adjourned && 'bg-amber-50')}>
+                {onSelectDay ? (
+                  <button
+                    type="button"
+                    onClick={() => onSelectDay(day)}
+                    className="w-full rounded-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                    aria-label={`Show ${format(day, 'EEEE, MMMM d')}`}
+                  >
+                    {label}
+                  </button>
+                ) : (
+                  label
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {hasAllDayRow && (
+          <div className="grid border-b border-border" style={gridTemplate}>
+            <div className="px-1 py-2 text-right text-[10px] uppercase text-muted-foreground">All day</div>
+            {columns.map(({ key, untimed, periods: dayPeriods }) => (
+              <div key={key} className="space-y-1 border-l border-border p-1">
+                {dayPeriods.map((period) => (
+                  <div
+                    key={period.id}
+                    className={cn(
+                      'truncate rounded px-1.5 py-0.5 text-[11px] font-medium',
+                      legislativeCalendarColors.itemBg,
+                      legislativeCalendarColors.itemText
+                    )}
+                    title={period.label}
+                  >
+                    {period.label}
+                  </div>
+                ))}
+                {untimed.map((event) => {
+                  const colors = getEventColors(event);
+                  return (
+                    <button
+                      key={event.id}
+                      type="button"
+                      onClick={() => onSelectEvent(event)}
+                      className={cn(
+                        'w-full truncate rounded px-1.5 py-0.5 text-left text-[11px] font-medium',
+                        colors.itemBg,
+                        colors.itemHoverBg,
+                        colors.itemText,
+                        isCancelledEvent(event) && 'line-through opacity-70',
+                        watched?.has(event.id) && 'ring-2 ring-inset ring-amber-400'
+                      )}
+                    >
+                      {event.time ? `${event.time} · ` : ''}
+                      {event.committee}
+                    </button>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid" style={gridTemplate}>
+          <div>
+            {hours.map((hour) => (
+              <div key={hour} className="relative pr-2 text-right text-[11px] text-muted-foreground" style={{ height: HOUR_HEIGHT }}>
+                <span className="relative -top-2">{format(new Date(2000, 0, 1, hour), 'h a')}</span>
+              </div>
+            ))}
+          </div>
+          {columns.map(({ key, timed, layout, periods: dayPeriods }) => (
+            <div
+              key={key}
+              className={cn(
+                'relative border-l border-border',
+                dayPeriods.some((period) => period.kind === 'adjournment') && 'bg-amber-50/60'
+              )}
+              style={{ height: hours.length * HOUR_HEIGHT }}
+            >
+              {hours.map((hour) => (
+                <div key={hour} className="border-t border-border/60" style={{ height: HOUR_HEIGHT }} />
+              ))}
+              {timed.map(({ event, start, end }) => {
+                const colors = getEventColors(event);
+                const { column, columns: columnCount } = layout.get(event.id) ?? { column: 0, columns: 1 };
+                const top = ((start - firstHour * 60) / 60) * HOUR_HEIGHT;
+                const height = Math.max(((end - start) / 60) * HOUR_HEIGHT - 2, 20);
+                return (
+                  <button
+                    key={event.id}
+                    type="button"
+                    onClick={() => onSelectEvent(event)}
+                    className={cn(
+                      'absolute overflow-hidden rounded-md border border-background px-1.5 py-1 text-left text-[11px] leading-tight transition-colors focus-visible:z-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring',
+                      colors.itemBg,
+                      colors.itemHoverBg,
+                      colors.itemText,
+                      watched?.has(event.id) && 'ring-2 ring-inset ring-amber-400'
+                    )}
+                    style={{
+                      top,
+                      height,
+                      left: `${(column / columnCount) * 100}%`,
+                      width: `${100 / columnCount}%`,
+                    }}
+                    aria-label={`View event: ${event.committee}, ${formatHearingTime(event, mode)}${
+                      event.status === 'scheduled' ? '' : ` (${STATUS_LABELS[event.status]})`
+                    }`}
+                  >
+                    <span className="flex items-center gap-1 font-semibold">
+                      <EventIcon branch={event.branch} className={cn('h-3 w-3 flex-shrink-0', colors.icon)} />
+                      <span className="truncate">{format(new Date(2000, 0, 1, 0, start), 'h:mm a')}</span>
+                      <span className="ml-auto flex flex-shrink-0 items-center gap-0.5">
+                        {conflicts?.has(event.id) && (
+                          <AlertTriangle className={cn('h-3 w-3', conflictColors.icon)} aria-label="Scheduling conflict" />
+                        )}
+                        {watched?.has(event.id) && (
+                          <Star className="h-3 w-3 text-amber-500" fill="currentColor" aria-label="On your watchlist" />
+                        )}
+                      </span>
+                    </span>
+                    <span className={cn('block', isCancelledEvent(event) && 'line-through opacity-70')}>
+                      {event.committee}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
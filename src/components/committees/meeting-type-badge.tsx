@@ -0,0 +1,20 @@
+import type { MeetingType } from '@/lib/types';
+import { MEETING_TYPE_LABELS } from '@/lib/committees';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+
+interface MeetingTypeBadgeProps {
+  meetingType: MeetingType;
+  className?: string;
+}
+
+/** Renders nothing for ordinary hearings; only the exceptions are worth a badge. */
+export function MeetingTypeBadge({ meetingType, className }: MeetingTypeBadgeProps) {
+  if (meetingType === 'hearing') return null;
+
+  return (
+    <Badge variant="outline" className={cn('w-fit', className)}>
+      {meetingType === 'twg' ? 'TWG' : MEETING_TYPE_LABELS[meetingType]}
+    </Badge>
+  );
+}
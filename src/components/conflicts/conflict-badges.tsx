@@ -0,0 +1,69 @@
+'use client';
+
+import Link from 'next/link';
+import { AlertTriangle } from 'lucide-react';
+
+import { CONFLICT_LABELS, type ConflictKind, type HearingConflict } from '@/lib/conflicts';
+import { meetingPath } from '@/lib/site';
+import { Badge } from '@/components/ui/badge';
+import { HearingTimeLabel } from '@/components/time-zone/hearing-time-label';
+import { cn } from '@/lib/utils';
+
+export const conflictColors = {
+  badge: 'border-orange-300 bg-orange-50 text-orange-800',
+  icon: 'text-orange-600',
+  ring: 'ring-orange-400',
+};
+
+interface ConflictBadgesProps {
+  conflicts: HearingConflict[];
+  className?: string;
+}
+
+/** One badge per kind of clash the hearing is part of; renders nothing without any. */
+export function ConflictBadges({ conflicts, className }: ConflictBadgesProps) {
+  const kinds = Array.from(new Set(conflicts.map((conflict) => conflict.kind)));
+  if (kinds.length === 0) return null;
+
+  return (
+    <>
+      {kinds.map((kind) => (
+        <Badge key={kind} variant="outline" className={cn('w-fit gap-1', conflictColors.badge, className)}>
+          <AlertTriangle className="h-3 w-3" aria-hidden />
+          {CONFLICT_LABELS[kind]}
+        </Badge>
+      ))}
+    </>
+  );
+}
+
+function describeConflict(kind: ConflictKind, detail: string): string {
+  return kind === 'room' ? `Same room (${detail}) as` : `${detail} also expected at`;
+}
+
+interface ConflictListProps {
+  conflicts: HearingConflict[];
+  className?: string;
+}
+
+/** "Same room as …" and "… also expected at …" lines linking to the other hearings. */
+export function ConflictList({ conflicts, className }: ConflictListProps) {
+  if (conflicts.length === 0) return null;
+
+  return (
+    <ul className={cn('space-y-1 text-sm text-orange-800', className)}>
+      {conflicts.map(({ kind, other, detail }) => (
+        <li key={`${kind}-${other.id}`} className="flex gap-1.5">
+          <AlertTriangle className={cn('mt-0.5 h-3.5 w-3.5 flex-shrink-0', conflictColors.icon)} aria-hidden />
+          <span>
+            {describeConflict(kind, detail)}{' '}
+            <Link href={meetingPath(other.id)} className="font-medium underline-offset-2 hover:underline">
+              {other.committee}
+            </Link>{' '}
+            at <HearingTimeLabel event={other} />
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,231 @@
+'use client';
+
+import { type ReactNode, useMemo } from 'react';
+import Link from 'next/link';
+import { format, parseISO } from 'date-fns';
+import { AlertTriangle, Star } from 'lucide-react';
+
+import type { Event } from '@/lib/types';
+import {
+  BUSY_DAY_THRESHOLD,
+  CONFLICT_LABELS,
+  type ConflictKind,
+  type ConflictPair,
+  findBusyDays,
+  findConflictPairs,
+} from '@/lib/conflicts';
+import { calendarDayPath, meetingPath } from '@/lib/site';
+import { isWatched, isWatchlistEmpty } from '@/lib/watchlist';
+import { useQueryState } from '@/hooks/use-query-state';
+import { useWatchlist } from '@/hooks/use-watchlist';
+import { HearingTimeLabel } from '@/components/time-zone/hearing-time-label';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { cn } from '@/lib/utils';
+import { conflictColors } from './conflict-badges';
+
+const REPORT_DEFAULTS = {
+  mine: '',
+  past: '',
+};
+
+const KIND_DESCRIPTIONS: Record<ConflictKind, string> = {
+  room: 'Hearings of different committees booked into the same room at overlapping times.',
+  committee: 'A joint hearing overlapping another hearing of one of its committees.',
+};
+
+interface ConflictsReportProps {
+  events: Event[];
+  /** Build time; hearings from the day before it onwards count as upcoming. */
+  now: number;
+}
+
+function formatDay(day: string): string {
+  const parsed = parseISO(day);
+  return Number.isNaN(parsed.getTime()) ? day : format(parsed, 'EEEE, MMMM d, yyyy');
+}
+
+function isUpcoming(event: Event, now: number): boolean {
+  const timestamp = Date.parse(event.isoDate);
+  return !Number.isNaN(timestamp) && timestamp >= now - 1000 * 60 * 60 * 24;
+}
+
+function groupByDay<T extends { day: string }>(entries: T[]): [string, T[]][] {
+  const days = new Map<string, T[]>();
+  for (const entry of entries) days.set(entry.day, [...(days.get(entry.day) ?? []), entry]);
+  return Array.from(days.entries());
+}
+
+function HearingLine({ event, watched }: { event: Event; watched: boolean }) {
+  return (
+    <span className="flex min-w-0 flex-wrap items-baseline gap-x-2">
+      <span className="w-28 flex-shrink-0 text-xs font-medium text-muted-foreground">
+        <HearingTimeLabel event={event} />
+      </span>
+      <Link href={meetingPath(event.id)} className="font-medium text-foreground underline-offset-2 hover:underline">
+        {event.committee}
+      </Link>
+      {watched && <Star className="h-3.5 w-3.5 self-center text-amber-500" fill="currentColor" aria-label="On your watchlist" />}
+      <span className="text-xs text-muted-foreground">{event.branch === 'Senate' ? 'Senate' : 'House'}</span>
+    </span>
+  );
+}
+
+function DayHeading({ day, children }: { day: string; children?: ReactNode }) {
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 border-b border-border bg-muted px-4 py-2">
+      <h3 className="text-sm font-semibold text-foreground">{formatDay(day)}</h3>
+      <span className="flex items-center gap-3 text-xs">
+        {children}
+        <Link href={calendarDayPath(day)} className="text-muted-foreground underline-offset-2 hover:underline">
+          Open in calendar
+        </Link>
+      </span>
+    </div>
+  );
+}
+
+function PairSection({
+  kind,
+  pairs,
+  isWatchedEvent,
+}: {
+  kind: ConflictKind;
+  pairs: ConflictPair[];
+  isWatchedEvent: (event: Event) => boolean;
+}) {
+  return (
+    <section aria-labelledby={`conflicts-${kind}-heading`} className="space-y-3">
+      <div>
+        <h2 id={`conflicts-${kind}-heading`} className="text-xl font-semibold text-foreground">
+          {CONFLICT_LABELS[kind]} ({pairs.length})
+        </h2>
+        <p className="text-sm text-muted-foreground">{KIND_DESCRIPTIONS[kind]}</p>
+      </div>
+      {pairs.length === 0 ? (
+        <p className="text-sm text-muted-foreground">None found.</p>
+      ) : (
+        <div className="overflow-hidden rounded-lg border border-border bg-card">
+          {groupByDay(pairs).map(([day, dayPairs]) => (
+            <div key={day}>
+              <DayHeading day={day} />
+              <ul className="divide-y divide-border">
+                {dayPairs.map(({ hearings, detail }) => (
+                  <li key={hearings.map((event) => event.id).join('|')} className="space-y-1.5 px-4 py-3">
+                    <p className="flex items-center gap-1.5 text-sm text-orange-800">
+                      <AlertTriangle className={cn('h-3.5 w-3.5 flex-shrink-0', conflictColors.icon)} aria-hidden />
+                      {detail}
+                    </p>
+                    {hearings.map((event) => (
+                      <HearingLine key={event.id} event={event} watched={isWatchedEvent(event)} />
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Clashes in the published schedule, for deciding who covers which hearing: double-booked rooms,
+ * committees due in two places at once, and the days on which the viewer's watched hearings
+ * overlap.
+ */
+export function ConflictsReport({ events, now }: ConflictsReportProps) {
+  const { query, setQuery } = useQueryState(REPORT_DEFAULTS);
+  const { watchlist } = useWatchlist();
+  const mineOnly = query.mine === '1';
+  const includePast = query.past === '1';
+
+  const scoped = useMemo(
+    () => (includePast ? events : events.filter((event) => isUpcoming(event, now))),
+    [events, includePast, now]
+  );
+  const watchedEvents = useMemo(() => scoped.filter((event) => isWatched(event, watchlist)), [scoped, watchlist]);
+  const watchedIds = useMemo(() => new Set(watchedEvents.map((event) => event.id)), [watchedEvents]);
+  const isWatchedEvent = (event: Event) => watchedIds.has(event.id);
+
+  const pairs = useMemo(() => {
+    const all = findConflictPairs(scoped);
+    return mineOnly ? all.filter(({ hearings }) => hearings.some((event) => watchedIds.has(event.id))) : all;
+  }, [scoped, mineOnly, watchedIds]);
+  const busyDays = useMemo(() => findBusyDays(watchedEvents), [watchedEvents]);
+
+  return (
+    <div className="space-y-10">
+      <section className="flex flex-wrap items-center gap-6 rounded-xl border border-border bg-card p-4 sm:p-6">
+        <div className="flex items-center gap-2">
+          <Switch id="conflicts-mine" checked={mineOnly} onCheckedChange={(value) => setQuery({ mine: value ? '1' : '' })} />
+          <Label htmlFor="conflicts-mine" className="font-normal">
+            Only conflicts involving my hearings
+          </Label>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch id="conflicts-past" checked={includePast} onCheckedChange={(value) => setQuery({ past: value ? '1' : '' })} />
+          <Label htmlFor="conflicts-past" className="font-normal">
+            Include past hearings
+          </Label>
+        </div>
+      </section>
+
+      <section aria-labelledby="conflicts-busy-heading" className="space-y-3">
+        <div>
+          <h2 id="conflicts-busy-heading" className="flex items-center gap-2 text-xl font-semibold text-foreground">
+            <Star className="h-4 w-4 text-amber-500" fill="currentColor" aria-hidden />
+            Days my office is stretched ({busyDays.length})
+          </h2>
+          <p className="text-sm text-muted-foreground">
+            Days on which {BUSY_DAY_THRESHOLD} or more hearings on your watchlist run at the same time, with the
+            hearings at the busiest moment. Each one needs someone there.
+          </p>
+        </div>
+        {isWatchlistEmpty(watchlist) ? (
+          <p className="text-sm text-muted-foreground">
+            Your watchlist is empty. Star committees or add bills and keywords on the{' '}
+            <Link href="/meetings" className="font-medium text-foreground underline-offset-2 hover:underline">
+              Meetings
+            </Link>{' '}
+            page to see where your hearings overlap.
+          </p>
+        ) : busyDays.length === 0 ? (
+          <p className="text-sm text-muted-foreground">None of your watched hearings overlap.</p>
+        ) : (
+          <div className="overflow-hidden rounded-lg border border-border bg-card">
+            {busyDays.map(({ day, count, hearings }) => (
+              <div key={day}>
+                <DayHeading day={day}>
+                  <span className={cn('rounded-full border px-2 py-0.5 font-medium', conflictColors.badge)}>
+                    {count} at once
+                  </span>
+                </DayHeading>
+                <ul className="divide-y divide-border">
+                  {hearings.map((event) => (
+                    <li key={event.id} className="space-y-0.5 px-4 py-2">
+                      <HearingLine event={event} watched />
+                      {event.venue && <p className="pl-[7.5rem] text-xs text-muted-foreground">{event.venue}</p>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <PairSection
+        kind="room"
+        pairs={pairs.filter((pair) => pair.kind === 'room')}
+        isWatchedEvent={isWatchedEvent}
+      />
+      <PairSection
+        kind="committee"
+        pairs={pairs.filter((pair) => pair.kind === 'committee')}
+        isWatchedEvent={isWatchedEvent}
+      />
+    </div>
+  );
+}
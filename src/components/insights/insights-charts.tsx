@@ -0,0 +1,265 @@
+'use client';
+
+import type { ReactNode } from 'react';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+
+import type {
+  BusyCommittee,
+  CommitteeDisruption,
+  HourlyHearings,
+  PeriodActivity,
+  WeeklyHearings,
+} from '@/lib/insights';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  type ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from '@/components/ui/chart';
+
+const chamberConfig = {
+  house: { label: 'House', color: 'hsl(var(--chart-2))' },
+  senate: { label: 'Senate', color: 'hsl(var(--chart-3))' },
+} satisfies ChartConfig;
+
+const disruptionConfig = {
+  cancelled: { label: 'Cancelled', color: 'hsl(var(--chart-1))' },
+  rescheduled: { label: 'Rescheduled or postponed', color: 'hsl(var(--chart-4))' },
+} satisfies ChartConfig;
+
+// Committee names are long; the category axis gets this much room in the horizontal charts.
+const COMMITTEE_AXIS_WIDTH = 180;
+
+function truncateLabel(value: string, length = 28): string {
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function ChartCard({
+  title,
+  description,
+  footer,
+  children,
+}: {
+  title: string;
+  description: string;
+  footer?: ReactNode;
+  children: ReactNode;
+}) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">{title}</CardTitle>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {children}
+        {footer && <p className="mt-3 text-xs text-muted-foreground">{footer}</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+function EmptyChart() {
+  return <p className="py-12 text-center text-sm text-muted-foreground">Not enough hearings yet.</p>;
+}
+
+export function WeeklyHearingsChart({ data }: { data: WeeklyHearings[] }) {
+  return (
+    <ChartCard
+      title="Hearings per week"
+      description="Hearings held each week (starting Monday), excluding cancellations."
+    >
+      {data.length === 0 ? (
+        <EmptyChart />
+      ) : (
+        <ChartContainer config={chamberConfig} className="aspect-auto h-72 w-full">
+          <BarChart data={data} margin={{ left: -20 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={16} />
+            <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+            <ChartTooltip content={<ChartTooltipContent labelFormatter={(label) => `Week of ${label}`} />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar dataKey="house" stackId="chamber" fill="var(--color-house)" />
+            <Bar dataKey="senate" stackId="chamber" fill="var(--color-senate)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ChartContainer>
+      )}
+    </ChartCard>
+  );
+}
+
+export function BusiestCommitteesChart({ data }: { data: BusyCommittee[] }) {
+  return (
+    <ChartCard
+      title="Busiest committees"
+      description="Committees with the most hearings held. Joint hearings count for every committee taking part."
+    >
+      {data.length === 0 ? (
+        <EmptyChart />
+      ) : (
+        <ChartContainer config={chamberConfig} className="aspect-auto w-full" style={{ height: 48 + data.length * 32 }}>
+          <BarChart data={data} layout="vertical" margin={{ right: 16 }}>
+            <CartesianGrid horizontal={false} />
+            <XAxis type="number" allowDecimals={false} tickLine={false} axisLine={false} />
+            <YAxis
+              type="category"
+              dataKey="label"
+              width={COMMITTEE_AXIS_WIDTH}
+              tickLine={false}
+              axisLine={false}
+              tickFormatter={(value: string) => truncateLabel(value)}
+            />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar dataKey="house" stackId="chamber" fill="var(--color-house)" radius={4} />
+            <Bar dataKey="senate" stackId="chamber" fill="var(--color-senate)" radius={4} />
+          </BarChart>
+        </ChartContainer>
+      )}
+    </ChartCard>
+  );
+}
+
+export function DisruptionRatesChart({ data, minHearings }: { data: CommitteeDisruption[]; minHearings: number }) {
+  return (
+    <ChartCard
+      title="Cancellations and reschedules"
+      description="Share of each committee's hearings that were cancelled, or moved to another date."
+      footer={`Committees with at least ${minHearings} hearings, highest combined rate first.`}
+    >
+      {data.length === 0 ? (
+        <p className="py-12 text-center text-sm text-muted-foreground">
+          No committee with {minHearings} or more hearings has cancelled or moved one.
+        </p>
+      ) : (
+        <ChartContainer
+          config={disruptionConfig}
+          className="aspect-auto w-full"
+          style={{ height: 48 + data.length * 32 }}
+        >
+          <BarChart data={data} layout="vertical" margin={{ right: 16 }}>
+            <CartesianGrid horizontal={false} />
+            <XAxis
+              type="number"
+              unit="%"
+              domain={[0, (max: number) => Math.min(100, Math.ceil(max / 10) * 10)]}
+              tickLine={false}
+              axisLine={false}
+            />
+            <YAxis
+              type="category"
+              dataKey="label"
+              width={COMMITTEE_AXIS_WIDTH}
+              tickLine={false}
+              axisLine={false}
+              tickFormatter={(value: string) => truncateLabel(value)}
+            />
+            <ChartTooltip
+              content={
+                <ChartTooltipContent
+                  labelFormatter={(label, payload) => {
+                    const hearings = (payload[0]?.payload as CommitteeDisruption | undefined)?.hearings;
+                    return hearings ? `${label} · ${hearings} hearings` : label;
+                  }}
+                  formatter={(value, name) => (
+                    <div className="flex w-full justify-between gap-4">
+                      <span className="text-muted-foreground">
+                        {disruptionConfig[name as keyof typeof disruptionConfig]?.label ?? name}
+                      </span>
+                      <span className="font-mono font-medium tabular-nums text-foreground">{value}%</span>
+                    </div>
+                  )}
+                />
+              }
+            />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar dataKey="cancelled" stackId="rate" fill="var(--color-cancelled)" />
+            <Bar dataKey="rescheduled" stackId="rate" fill="var(--color-rescheduled)" radius={[0, 4, 4, 0]} />
+          </BarChart>
+        </ChartContainer>
+      )}
+    </ChartCard>
+  );
+}
+
+export function TimeOfDayChart({ data, untimed }: { data: HourlyHearings[]; untimed: number }) {
+  return (
+    <ChartCard
+      title="Time of day"
+      description="Hearings by starting hour, Manila time."
+      footer={untimed > 0 ? `${untimed} hearings without a published time are not shown.` : undefined}
+    >
+      {data.length === 0 ? (
+        <EmptyChart />
+      ) : (
+        <ChartContainer config={chamberConfig} className="aspect-auto h-72 w-full">
+          <BarChart data={data} margin={{ left: -20 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="label" tickLine={false} axisLine={false} />
+            <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar dataKey="house" fill="var(--color-house)" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="senate" fill="var(--color-senate)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ChartContainer>
+      )}
+    </ChartCard>
+  );
+}
+
+export function SessionActivityChart({ data, outside }: { data: PeriodActivity[]; outside: number }) {
+  const measured = data.some((period) => period.days.house > 0 || period.days.senate > 0);
+  return (
+    <ChartCard
+      title="Session versus adjournment"
+      description="Hearings per week while Congress is in session and during its adjournments, from the legislative calendar."
+      footer={
+        outside > 0
+          ? `${outside} hearings fall on days the published legislative calendar does not cover and are not counted.`
+          : undefined
+      }
+    >
+      {!measured ? (
+        <p className="py-12 text-center text-sm text-muted-foreground">
+          No hearings fall within the published legislative calendar yet.
+        </p>
+      ) : (
+        <ChartContainer config={chamberConfig} className="aspect-auto h-72 w-full">
+          <BarChart data={data} margin={{ left: -20 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="label" tickLine={false} axisLine={false} />
+            <YAxis tickLine={false} axisLine={false} />
+            <ChartTooltip
+              content={
+                <ChartTooltipContent
+                  formatter={(value, name, item) => {
+                    const chamber = name as keyof typeof chamberConfig;
+                    const period = item.payload as PeriodActivity;
+                    return (
+                      <div className="flex w-full justify-between gap-4">
+                        <span className="text-muted-foreground">{chamberConfig[chamber]?.label ?? name}</span>
+                        <span className="text-right text-foreground">
+                          <span className="font-mono font-medium tabular-nums">{value}</span> / week
+                          <span className="block text-muted-foreground">
+                            {period.hearings[chamber]} hearings in {period.days[chamber]} days
+                          </span>
+                        </span>
+                      </div>
+                    );
+                  }}
+                />
+              }
+            />
+            <ChartLegend content={<ChartLegendContent />} />
+            <Bar dataKey="house" fill="var(--color-house)" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="senate" fill="var(--color-senate)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ChartContainer>
+      )}
+    </ChartCard>
+  );
+}
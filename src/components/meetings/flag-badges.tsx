@@ -0,0 +1,26 @@
+import type { Event } from '@/lib/types';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+
+interface FlagBadgesProps {
+  event: Pick<Event, 'isExternalVenue' | 'isPublished'>;
+  className?: string;
+}
+
+/** Badges for the House API flags that change where or whether a hearing happens. */
+export function FlagBadges({ event, className }: FlagBadgesProps) {
+  return (
+    <>
+      {event.isExternalVenue && (
+        <Badge variant="outline" className={cn('w-fit', className)}>
+          Off-site
+        </Badge>
+      )}
+      {!event.isPublished && (
+        <Badge variant="outline" className={cn('w-fit border-dashed', className)}>
+          Not yet published
+        </Badge>
+      )}
+    </>
+  );
+}
@@ -1,48 +1,78 @@
 
+import Link from 'next/link';
 import type { Event } from '@/lib/types';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { format } from 'date-fns';
 import EventIcon from '@/components/icons/event-icon';
 import { getEventColors, getEventCategoryLabel } from '@/lib/event-colors';
 import { cn } from '@/lib/utils';
+import { BillChips } from '@/components/bills/bill-chips';
+import { AuthorLinks } from '@/components/authors/author-links';
+import { MeetingTypeBadge } from '@/components/committees/meeting-type-badge';
+import { FlagBadges } from './flag-badges';
+import { StatusBadge } from './status-badge';
+import { VenueFlags } from '@/components/venues/venue-flags';
+import { formatJointCommittees } from '@/lib/committees';
+import { getAgendaItems } from '@/lib/agenda';
+import { meetingPath } from '@/lib/site';
+import { describeStatus, isCancelledEvent } from '@/lib/event-status';
+import { hasClockTime } from '@/lib/hearing-time';
+import { HearingTimeLabel } from '@/components/time-zone/hearing-time-label';
+import { ZonedDateTime } from '@/components/time-zone/zoned-date-time';
+import { Highlight } from '@/components/search/highlight';
+import { StarCommitteeButton } from '@/components/watchlist/watch-buttons';
+import { WatchReasons } from '@/components/watchlist/watch-reasons';
 
 interface MeetingCardProps {
   meeting: Event;
+  /** Search terms to mark in the committee, venue, agenda and notes. */
+  highlight?: ReadonlySet<string>;
 }
 
-export function MeetingCard({ meeting }: MeetingCardProps) {
+export function MeetingCard({ meeting, highlight }: MeetingCardProps) {
   const colors = getEventColors(meeting);
   const label = getEventCategoryLabel(meeting);
-  const dateSource = meeting.isoDate ?? (meeting.date ? `${meeting.date}T00:00:00` : '');
-  const parsedDate = dateSource ? new Date(dateSource) : null;
-  const hasValidDate = parsedDate && !Number.isNaN(parsedDate.getTime());
-  const includeTime = Boolean(meeting.time);
-  const formattedDate = hasValidDate
-    ? format(parsedDate!, includeTime ? 'EEEE, MMMM d, yyyy • h:mm aaa' : 'EEEE, MMMM d, yyyy')
-    : meeting.date || 'Date to be determined';
+  const includeTime = hasClockTime(meeting);
 
-  const agendaItems = meeting.agenda
-    ? meeting.agenda
-        .split(/(?:•|;)/)
-        .map((item) => item.trim())
-        .filter(Boolean)
-    : [];
+  const jointCommittees = formatJointCommittees(meeting);
+  const cancelled = isCancelledEvent(meeting);
+
+  const agendaItems = getAgendaItems(meeting.agenda);
 
   return (
     <Card className="overflow-hidden shadow-md hover:shadow-lg transition-shadow duration-300">
       <CardHeader className="bg-muted/30 border-b border-border p-4">
         <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
           <div className="space-y-2">
-            <Badge
-              variant="secondary"
-              className={cn('w-fit', colors.badgeBg, colors.badgeText, colors.badgeBorder)}
-            >
-              {label}
-            </Badge>
-            <CardTitle className="text-xl font-bold text-foreground leading-tight">
-              {meeting.committee}
-            </CardTitle>
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge
+                variant="secondary"
+                className={cn('w-fit', colors.badgeBg, colors.badgeText, colors.badgeBorder)}
+              >
+                {label}
+              </Badge>
+              <MeetingTypeBadge meetingType={meeting.meetingType} />
+              <StatusBadge status={meeting.status} />
+              <FlagBadges event={meeting} />
+            </div>
+            <div className="flex items-start gap-1">
+              <CardTitle className={cn('text-xl font-bold text-foreground leading-tight', cancelled && 'line-through')}>
+                {meeting.committeeSlug ? (
+                  <Link href={`/committees/${meeting.committeeSlug}`} className="hover:underline">
+                    <Highlight text={meeting.committee} terms={highlight} />
+                  </Link>
+                ) : (
+                  <Highlight text={meeting.committee} terms={highlight} />
+                )}
+              </CardTitle>
+              {meeting.committeeSlug && <StarCommitteeButton slug={meeting.committeeSlug} name={meeting.committee} />}
+            </div>
+            {jointCommittees && (
+              <p className="text-sm text-muted-foreground">
+                Jointly with <Highlight text={jointCommittees} terms={highlight} />
+              </p>
+            )}
+            <WatchReasons event={meeting} />
           </div>
           <div className="flex items-center gap-2 text-sm text-muted-foreground">
             <EventIcon branch={meeting.branch} className={cn('h-5 w-5', colors.icon)} />
@@ -60,13 +90,34 @@ export function MeetingCard({ meeting }: MeetingCardProps) {
               <p className="font-semibold text-foreground">
                 {meeting.branch}
               </p>
-              <p className="text-muted-foreground">{formattedDate}</p>
               <p className="text-muted-foreground">
-                {meeting.time ? `Time: ${meeting.time}` : 'Time to be determined'}
+                <ZonedDateTime
+                  isoDate={meeting.isoDate}
+                  pattern={includeTime ? 'EEEE, MMMM d, yyyy • h:mm aaa' : 'EEEE, MMMM d, yyyy'}
+                  hasTime={includeTime}
+                  showZone
+                  fallback={meeting.date || 'Date to be determined'}
+                />
               </p>
               <p className="text-muted-foreground">
-                {meeting.venue ? `Venue: ${meeting.venue}` : 'Venue to be determined'}
+                {meeting.time ? (
+                  <>
+                    Time: <HearingTimeLabel event={meeting} />
+                  </>
+                ) : (
+                  'Time to be determined'
+                )}
               </p>
+              <p className="text-muted-foreground">
+                {meeting.venue ? (
+                  <>
+                    Venue: <Highlight text={meeting.venue} terms={highlight} />
+                  </>
+                ) : (
+                  'Venue to be determined'
+                )}
+              </p>
+              <VenueFlags details={meeting.venueDetails} className="mt-1" />
             </div>
           </div>
         </div>
@@ -78,17 +129,33 @@ export function MeetingCard({ meeting }: MeetingCardProps) {
           {agendaItems.length > 0 ? (
             <ul className="list-disc pl-5 space-y-1 text-sm text-muted-foreground">
               {agendaItems.map((item, index) => (
-                <li key={`${meeting.id}-agenda-${index}`}>{item}</li>
+                <li key={`${meeting.id}-agenda-${index}`}>
+                  <Highlight text={item} terms={highlight} />
+                </li>
               ))}
             </ul>
           ) : (
             <p className="text-sm text-muted-foreground">Agenda to follow.</p>
           )}
 
+          <BillChips bills={meeting.bills} className="mt-3" />
+          <AuthorLinks authors={meeting.authors} className="mt-2" />
+
           <div className="mt-4 space-y-1 text-xs text-muted-foreground">
-            <p>Status: {meeting.status || 'Scheduled'}</p>
-            {meeting.notes && <p>Notes: {meeting.notes}</p>}
+            <p>Status: {describeStatus(meeting)}</p>
+            {meeting.notes && (
+              <p>
+                Notes: <Highlight text={meeting.notes} terms={highlight} />
+              </p>
+            )}
           </div>
+
+          <Link
+            href={meetingPath(meeting.id)}
+            className="mt-4 inline-block text-sm font-medium text-primary underline-offset-2 hover:underline"
+          >
+            Open hearing page
+          </Link>
         </div>
       </CardContent>
     </Card>
@@ -1,12 +1,29 @@
 'use client';
 
-import { useMemo, useState } from 'react';
-import { format } from 'date-fns';
-import type { Event } from '@/lib/types';
+import { useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { ChevronDown, Star } from 'lucide-react';
+import type { Event, EventBranch } from '@/lib/types';
+import { formatCongress, getCongressOptions } from '@/lib/congress';
+import { compareBills, normalizeBillReference } from '@/lib/bills';
+import { MEETING_TYPE_LABELS, chamberForBranch, getCommitteeOptions, isTwgSession } from '@/lib/committees';
+import { HEARING_STATUSES, STATUS_LABELS } from '@/lib/hearing-status';
+import { getBuildingOptions } from '@/lib/venues';
+import { type SearchDocument, parseSearchQuery, searchIndex } from '@/lib/search';
+import { documentFields } from '@/lib/search-index';
+import { MANILA_OFFSET } from '@/lib/manila-time';
+import { isWatched, isWatchlistEmpty } from '@/lib/watchlist';
+import { useQueryState } from '@/hooks/use-query-state';
+import { useSearchIndex } from '@/hooks/use-search-index';
+import { useWatchlist } from '@/hooks/use-watchlist';
 import { MeetingCard } from './meeting-card';
+import { WatchlistManager } from '@/components/watchlist/watchlist-manager';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Switch } from '@/components/ui/switch';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
 import {
   Select,
   SelectContent,
@@ -20,6 +37,30 @@ interface MeetingsBrowserProps {
   now: number;
 }
 
+// Query parameters of /meetings/; a filtered list can be bookmarked or shared, e.g.
+// /meetings/?chamber=senate&status=cancelled&from=2025-08-01
+const FILTER_DEFAULTS = {
+  q: '',
+  mine: '',
+  committee: 'all',
+  chamber: 'all',
+  congress: 'all',
+  status: 'all',
+  type: 'all',
+  building: 'all',
+  livestreamed: '',
+  offsite: '',
+  bill: '',
+  author: '',
+  from: '',
+  to: '',
+};
+
+const CHAMBER_BRANCHES: Partial<Record<string, EventBranch>> = {
+  house: 'House of Representatives',
+  senate: 'Senate',
+};
+
 interface DateFilters {
   from?: number;
   to?: number;
@@ -29,21 +70,25 @@ function getUniqueValues(items: string[]): string[] {
   return Array.from(new Set(items.filter(Boolean))).sort((a, b) => a.localeCompare(b));
 }
 
+// Date filters select Manila calendar days, wherever the viewer is.
 function parseDateBoundary(value?: string, endOfDay = false): number | null {
   if (!value) return null;
-  const isoString = endOfDay ? `${value}T23:59:59.999` : `${value}T00:00:00.000`;
+  const isoString = `${value}${endOfDay ? 'T23:59:59.999' : 'T00:00:00.000'}${MANILA_OFFSET}`;
   const timestamp = Date.parse(isoString);
   return Number.isNaN(timestamp) ? null : timestamp;
 }
 
+// Plain substring match, used until the search index has loaded.
 function matchesSearch(meeting: Event, term: string): boolean {
   if (!term) return true;
   const haystack = [
-    meeting.committee,
+    meeting.rawCommittee,
+    ...meeting.committees.map((ref) => ref.name),
     meeting.branch,
     meeting.agenda,
     meeting.notes,
     meeting.venue,
+    meeting.rawVenue,
     meeting.status,
     meeting.source,
   ]
@@ -53,6 +98,19 @@ function matchesSearch(meeting: Event, term: string): boolean {
   return haystack.includes(term);
 }
 
+function matchesBill(meeting: Event, query: string): boolean {
+  if (!query) return true;
+  const normalized = normalizeBillReference(query);
+  if (normalized) return meeting.bills.includes(normalized);
+  const term = query.toLowerCase();
+  return meeting.bills.some((bill) => bill.toLowerCase().includes(term));
+}
+
+function matchesAuthor(meeting: Event, query: string): boolean {
+  if (!query) return true;
+  return meeting.authors.some((author) => author.toLowerCase().includes(query));
+}
+
 function isWithinRange(meeting: Event, { from, to }: DateFilters): boolean {
   if (from === undefined && to === undefined) return true;
   if (!meeting.isoDate) return false;
@@ -72,14 +130,43 @@ function isUpcoming(event: Event, now: number): boolean {
 }
 
 export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCommittee, setSelectedCommittee] = useState('all');
-  const [selectedBranch, setSelectedBranch] = useState('all');
-  const [fromDate, setFromDate] = useState('');
-  const [toDate, setToDate] = useState('');
+  const { query, setQuery, resetQuery } = useQueryState(FILTER_DEFAULTS);
+  const { watchlist } = useWatchlist();
+
+  const searchTerm = query.q;
+  const mineOnly = query.mine === '1';
+  const selectedCommittee = query.committee;
+  const selectedBranch: string = CHAMBER_BRANCHES[query.chamber] ?? 'all';
+  const selectedCongress = query.congress;
+  const selectedStatus = query.status;
+  const selectedMeetingType = query.type;
+  const offSiteOnly = query.offsite === '1';
+  const billQuery = query.bill;
+  const authorQuery = query.author;
+  const selectedBuilding = query.building;
+  const livestreamedOnly = query.livestreamed === '1';
+  const fromDate = query.from;
+  const toDate = query.to;
+
+  // Typing replaces the current history entry; picking a value adds one, so Back undoes it.
+  const setSearchTerm = (value: string) => setQuery({ q: value }, { replace: true });
+  const setMineOnly = (value: boolean) => setQuery({ mine: value ? '1' : '' });
+  const setSelectedCommittee = (value: string) => setQuery({ committee: value });
+  const setSelectedBranch = (value: string) =>
+    setQuery({ chamber: value === 'all' ? 'all' : chamberForBranch(value as EventBranch) });
+  const setSelectedCongress = (value: string) => setQuery({ congress: value });
+  const setSelectedStatus = (value: string) => setQuery({ status: value });
+  const setSelectedMeetingType = (value: string) => setQuery({ type: value });
+  const setOffSiteOnly = (value: boolean) => setQuery({ offsite: value ? '1' : '' });
+  const setBillQuery = (value: string) => setQuery({ bill: value }, { replace: true });
+  const setAuthorQuery = (value: string) => setQuery({ author: value }, { replace: true });
+  const setSelectedBuilding = (value: string) => setQuery({ building: value });
+  const setLivestreamedOnly = (value: boolean) => setQuery({ livestreamed: value ? '1' : '' });
+  const setFromDate = (value: string) => setQuery({ from: value });
+  const setToDate = (value: string) => setQuery({ to: value });
 
   const committees = useMemo(
-    () => getUniqueValues(meetings.map((meeting) => meeting.committee)),
+    () => getCommitteeOptions(meetings),
     [meetings]
   );
 
@@ -88,13 +175,49 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
     [meetings]
   );
 
+  const congresses = useMemo(() => getCongressOptions(meetings), [meetings]);
+
+  const buildings = useMemo(() => getBuildingOptions(meetings), [meetings]);
+
+  const bills = useMemo(
+    () => Array.from(new Set(meetings.flatMap((meeting) => meeting.bills))).sort(compareBills),
+    [meetings]
+  );
+
+  const authors = useMemo(
+    () =>
+      Array.from(new Set(meetings.flatMap((meeting) => meeting.authors))).sort((a, b) => a.localeCompare(b)),
+    [meetings]
+  );
+
   const normalizedSearch = searchTerm.trim().toLowerCase();
+  const normalizedBill = billQuery.trim();
+  const normalizedAuthor = authorQuery.trim().toLowerCase();
+  const preparedIndex = useSearchIndex(meetings);
+  const parsedQuery = useMemo(() => parseSearchQuery(searchTerm), [searchTerm]);
+
+  const searchResults = useMemo(() => {
+    if (!preparedIndex || !parsedQuery) return null;
+    const byId = new Map(meetings.map((meeting) => [meeting.id, meeting]));
+    const documents = new Map<string, SearchDocument>();
+    return searchIndex(preparedIndex, parsedQuery, (id) => {
+      const meeting = byId.get(id);
+      if (!meeting) return undefined;
+      if (!documents.has(id)) documents.set(id, documentFields(meeting));
+      return documents.get(id);
+    });
+  }, [preparedIndex, parsedQuery, meetings]);
+
   const fromTimestamp = parseDateBoundary(fromDate);
   const toTimestamp = parseDateBoundary(toDate, true);
 
   const filteredMeetings = useMemo(() => {
     return meetings.filter((meeting) => {
-      if (selectedCommittee !== 'all' && meeting.committee !== selectedCommittee) {
+      if (mineOnly && !isWatched(meeting, watchlist)) {
+        return false;
+      }
+
+      if (selectedCommittee !== 'all' && !meeting.committees.some((ref) => ref.slug === selectedCommittee)) {
         return false;
       }
 
@@ -102,17 +225,80 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
         return false;
       }
 
+      if (selectedCongress !== 'all' && String(meeting.congress) !== selectedCongress) {
+        return false;
+      }
+
+      if (selectedStatus !== 'all' && meeting.status !== selectedStatus) {
+        return false;
+      }
+
+      // Older records only mark a TWG session in the committee name, so "twg" goes by isTwgSession.
+      if (selectedMeetingType === 'twg') {
+        if (!isTwgSession(meeting)) return false;
+      } else if (selectedMeetingType !== 'all' && meeting.meetingType !== selectedMeetingType) {
+        return false;
+      }
+
+      if (offSiteOnly && !meeting.isExternalVenue) {
+        return false;
+      }
+
+      if (selectedBuilding !== 'all' && meeting.venueDetails.building !== selectedBuilding) {
+        return false;
+      }
+
+      if (livestreamedOnly && !meeting.venueDetails.livestreamed) {
+        return false;
+      }
+
       if (!isWithinRange(meeting, { from: fromTimestamp ?? undefined, to: toTimestamp ?? undefined })) {
         return false;
       }
 
-      if (!matchesSearch(meeting, normalizedSearch)) {
+      if (!matchesBill(meeting, normalizedBill)) {
+        return false;
+      }
+
+      if (!matchesAuthor(meeting, normalizedAuthor)) {
+        return false;
+      }
+
+      if (searchResults ? !searchResults.scores.has(meeting.id) : !matchesSearch(meeting, normalizedSearch)) {
         return false;
       }
 
       return true;
     });
-  }, [meetings, normalizedSearch, selectedBranch, selectedCommittee, fromTimestamp, toTimestamp]);
+  }, [
+    meetings,
+    mineOnly,
+    watchlist,
+    normalizedSearch,
+    searchResults,
+    normalizedBill,
+    normalizedAuthor,
+    selectedBranch,
+    selectedCommittee,
+    selectedCongress,
+    selectedStatus,
+    selectedMeetingType,
+    offSiteOnly,
+    selectedBuilding,
+    livestreamedOnly,
+    fromTimestamp,
+    toTimestamp,
+  ]);
+
+  // Best match first; equally good matches newest first.
+  const rankedMeetings = useMemo(() => {
+    if (!searchResults) return [];
+    const { scores } = searchResults;
+    return [...filteredMeetings].sort(
+      (a, b) =>
+        (scores.get(b.id) ?? 0) - (scores.get(a.id) ?? 0) || (b.isoDate || '').localeCompare(a.isoDate || '')
+    );
+  }, [filteredMeetings, searchResults]);
 
   const upcomingMeetings = useMemo(
     () => filteredMeetings.filter((meeting) => isUpcoming(meeting, now)),
@@ -128,39 +314,77 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
   );
 
   const hasActiveFilters =
+    mineOnly ||
     normalizedSearch.length > 0 ||
     selectedCommittee !== 'all' ||
     selectedBranch !== 'all' ||
+    selectedCongress !== 'all' ||
+    selectedStatus !== 'all' ||
+    selectedMeetingType !== 'all' ||
+    offSiteOnly ||
+    selectedBuilding !== 'all' ||
+    livestreamedOnly ||
+    normalizedBill.length > 0 ||
+    normalizedAuthor.length > 0 ||
     fromDate !== '' ||
     toDate !== '';
 
-  const resetFilters = () => {
-    setSearchTerm('');
-    setSelectedCommittee('all');
-    setSelectedBranch('all');
-    setFromDate('');
-    setToDate('');
-  };
+  const resetFilters = resetQuery;
 
   const renderEmptyState = (label: string) => (
     <p className="text-muted-foreground">
-      {hasActiveFilters
-        ? `No ${label} match the current filters. Try adjusting your search.`
-        : `No ${label} found in the latest scrape.`}
+      {mineOnly && isWatchlistEmpty(watchlist)
+        ? 'Your watchlist is empty. Star committees or add bills and keywords to see your hearings here.'
+        : hasActiveFilters
+          ? `No ${label} match the current filters. Try adjusting your search.`
+          : `No ${label} found in the latest scrape.`}
     </p>
   );
 
   return (
     <div className="space-y-10">
+      <section className="bg-card border border-border rounded-xl p-4 sm:p-6">
+        <Collapsible className="flex flex-col gap-4">
+          <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+            <div>
+              <h2 className="flex items-center gap-2 text-lg font-semibold text-foreground">
+                <Star className="h-4 w-4 text-amber-500" fill="currentColor" aria-hidden />
+                My hearings
+              </h2>
+              <p className="text-sm text-muted-foreground">
+                Star committees and watch bills or keywords to follow them here and on the calendar.
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <div className="flex items-center gap-2">
+                <Switch id="meeting-mine" checked={mineOnly} onCheckedChange={setMineOnly} />
+                <Label htmlFor="meeting-mine" className="font-normal">
+                  Show only my hearings
+                </Label>
+              </div>
+              <CollapsibleTrigger asChild>
+                <Button variant="outline" size="sm" className="group">
+                  Edit watchlist
+                  <ChevronDown className="h-4 w-4 transition-transform group-data-[state=open]:rotate-180" aria-hidden />
+                </Button>
+              </CollapsibleTrigger>
+            </div>
+          </div>
+          <CollapsibleContent>
+            <WatchlistManager committees={committees} />
+          </CollapsibleContent>
+        </Collapsible>
+      </section>
+
       <section className="bg-card border border-border rounded-xl p-4 sm:p-6">
         <div className="flex flex-col gap-4">
           <div>
             <h2 className="text-lg font-semibold text-foreground">Refine meetings</h2>
             <p className="text-sm text-muted-foreground">
-              Search by keyword or narrow results by date range, committee, or chamber.
+              Search by keyword or narrow results by date range, committee, meeting type, chamber, Congress, status, venue, bill, or author.
             </p>
           </div>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             <div className="space-y-2">
               <Label htmlFor="meeting-search">Keyword</Label>
               <Input
@@ -168,7 +392,12 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
                 placeholder="Search agendas, committees, notes..."
                 value={searchTerm}
                 onChange={(event) => setSearchTerm(event.target.value)}
+                aria-describedby="meeting-search-help"
               />
+              <p id="meeting-search-help" className="text-xs text-muted-foreground">
+                Use &quot;quotes&quot; for phrases, OR and -word, or a field such as committee:energy,
+                venue:&quot;RVM&quot; or bill:&quot;HB 375&quot;.
+              </p>
             </div>
             <div className="space-y-2">
               <Label htmlFor="meeting-committee">Committee</Label>
@@ -179,8 +408,24 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
                 <SelectContent>
                   <SelectItem value="all">All committees</SelectItem>
                   {committees.map((committee) => (
-                    <SelectItem key={committee} value={committee}>
-                      {committee}
+                    <SelectItem key={committee.slug} value={committee.slug}>
+                      {committee.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-type">Meeting type</Label>
+              <Select value={selectedMeetingType} onValueChange={setSelectedMeetingType}>
+                <SelectTrigger id="meeting-type">
+                  <SelectValue placeholder="All meeting types" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All meeting types</SelectItem>
+                  {Object.entries(MEETING_TYPE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
                     </SelectItem>
                   ))}
                 </SelectContent>
@@ -202,6 +447,104 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
                 </SelectContent>
               </Select>
             </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-congress">Congress</Label>
+              <Select value={selectedCongress} onValueChange={setSelectedCongress}>
+                <SelectTrigger id="meeting-congress">
+                  <SelectValue placeholder="All Congresses" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Congresses</SelectItem>
+                  {congresses.map((congress) => (
+                    <SelectItem key={congress} value={String(congress)}>
+                      {formatCongress(congress)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-status">Status</Label>
+              <Select value={selectedStatus} onValueChange={setSelectedStatus}>
+                <SelectTrigger id="meeting-status">
+                  <SelectValue placeholder="Any status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Any status</SelectItem>
+                  {HEARING_STATUSES.map((status) => (
+                    <SelectItem key={status} value={status}>
+                      {STATUS_LABELS[status]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-building">Building</Label>
+              <Select value={selectedBuilding} onValueChange={setSelectedBuilding}>
+                <SelectTrigger id="meeting-building">
+                  <SelectValue placeholder="All buildings" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All buildings</SelectItem>
+                  {buildings.map((building) => (
+                    <SelectItem key={building} value={building}>
+                      {building}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex items-center gap-2 pt-1">
+                <Checkbox
+                  id="meeting-livestreamed"
+                  checked={livestreamedOnly}
+                  onCheckedChange={(checked) => setLivestreamedOnly(checked === true)}
+                />
+                <Label htmlFor="meeting-livestreamed" className="font-normal">
+                  Livestreamed only
+                </Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="meeting-off-site"
+                  checked={offSiteOnly}
+                  onCheckedChange={(checked) => setOffSiteOnly(checked === true)}
+                />
+                <Label htmlFor="meeting-off-site" className="font-normal">
+                  Off-site hearings only
+                </Label>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-bill">Bill or law</Label>
+              <Input
+                id="meeting-bill"
+                list="meeting-bill-options"
+                placeholder="e.g. HB 855, SBN 1215, RA 9136"
+                value={billQuery}
+                onChange={(event) => setBillQuery(event.target.value)}
+              />
+              <datalist id="meeting-bill-options">
+                {bills.map((bill) => (
+                  <option key={bill} value={bill} />
+                ))}
+              </datalist>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="meeting-author">Author</Label>
+              <Input
+                id="meeting-author"
+                list="meeting-author-options"
+                placeholder="e.g. Miguel Luis Villafuerte"
+                value={authorQuery}
+                onChange={(event) => setAuthorQuery(event.target.value)}
+              />
+              <datalist id="meeting-author-options">
+                {authors.map((author) => (
+                  <option key={author} value={author} />
+                ))}
+              </datalist>
+            </div>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
               <div className="space-y-2">
                 <Label htmlFor="meeting-from">From date</Label>
@@ -230,10 +573,10 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
               <p>
                 Showing {filteredMeetings.length} meeting{filteredMeetings.length === 1 ? '' : 's'} from{' '}
                 {fromDate && fromTimestamp
-                  ? format(fromTimestamp, 'MMM d, yyyy')
+                  ? format(parseISO(fromDate), 'MMM d, yyyy')
                   : 'the earliest available date'}{' '}
                 to{' '}
-                {toDate && toTimestamp ? format(toTimestamp, 'MMM d, yyyy') : 'any future date'}.
+                {toDate && toTimestamp ? format(parseISO(toDate), 'MMM d, yyyy') : 'any future date'}.
               </p>
               <Button variant="ghost" size="sm" onClick={resetFilters}>
                 Reset filters
@@ -243,41 +586,64 @@ export function MeetingsBrowser({ meetings, now }: MeetingsBrowserProps) {
         </div>
       </section>
 
-      <section className="space-y-6">
-        <div>
-          <h2 className="text-2xl font-semibold text-foreground">Upcoming meetings</h2>
-          <p className="text-sm text-muted-foreground">
-            Meetings happening soon based on the latest schedule data.
-          </p>
-        </div>
-        {upcomingMeetings.length > 0 ? (
-          <div className="space-y-6">
-            {upcomingMeetings.map((meeting) => (
-              <MeetingCard key={meeting.id} meeting={meeting} />
-            ))}
+      {searchResults ? (
+        <section className="space-y-6">
+          <div>
+            <h2 className="text-2xl font-semibold text-foreground">Search results</h2>
+            <p className="text-sm text-muted-foreground">
+              {rankedMeetings.length} meeting{rankedMeetings.length === 1 ? '' : 's'} match &ldquo;{searchTerm.trim()}
+              &rdquo;, best matches first.
+            </p>
           </div>
-        ) : (
-          renderEmptyState('upcoming meetings')
-        )}
-      </section>
+          {rankedMeetings.length > 0 ? (
+            <div className="space-y-6">
+              {rankedMeetings.map((meeting) => (
+                <MeetingCard key={meeting.id} meeting={meeting} highlight={searchResults.terms} />
+              ))}
+            </div>
+          ) : (
+            renderEmptyState('meetings')
+          )}
+        </section>
+      ) : (
+        <>
+          <section className="space-y-6">
+            <div>
+              <h2 className="text-2xl font-semibold text-foreground">Upcoming meetings</h2>
+              <p className="text-sm text-muted-foreground">
+                Meetings happening soon based on the latest schedule data.
+              </p>
+            </div>
+            {upcomingMeetings.length > 0 ? (
+              <div className="space-y-6">
+                {upcomingMeetings.map((meeting) => (
+                  <MeetingCard key={meeting.id} meeting={meeting} />
+                ))}
+              </div>
+            ) : (
+              renderEmptyState('upcoming meetings')
+            )}
+          </section>
 
-      <section className="space-y-6">
-        <div>
-          <h2 className="text-2xl font-semibold text-foreground">Recent meetings</h2>
-          <p className="text-sm text-muted-foreground">
-            Meetings that have already taken place are listed here for reference.
-          </p>
-        </div>
-        {pastMeetings.length > 0 ? (
-          <div className="space-y-6">
-            {pastMeetings.map((meeting) => (
-              <MeetingCard key={meeting.id} meeting={meeting} />
-            ))}
-          </div>
-        ) : (
-          renderEmptyState('past meetings')
-        )}
-      </section>
+          <section className="space-y-6">
+            <div>
+              <h2 className="text-2xl font-semibold text-foreground">Recent meetings</h2>
+              <p className="text-sm text-muted-foreground">
+                Meetings that have already taken place are listed here for reference.
+              </p>
+            </div>
+            {pastMeetings.length > 0 ? (
+              <div className="space-y-6">
+                {pastMeetings.map((meeting) => (
+                  <MeetingCard key={meeting.id} meeting={meeting} />
+                ))}
+              </div>
+            ) : (
+              renderEmptyState('past meetings')
+            )}
+          </section>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,20 @@
+import type { Event } from '@/lib/types';
+import { STATUS_LABELS } from '@/lib/hearing-status';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+
+interface StatusBadgeProps {
+  status: Event['status'];
+  className?: string;
+}
+
+/** Renders nothing for scheduled hearings; only changes to the plan get a badge. */
+export function StatusBadge({ status, className }: StatusBadgeProps) {
+  if (status === 'scheduled') return null;
+
+  return (
+    <Badge variant={status === 'cancelled' ? 'destructive' : 'outline'} className={cn('w-fit', className)}>
+      {STATUS_LABELS[status]}
+    </Badge>
+  );
+}
@@ -0,0 +1,46 @@
+'use client';
+
+import { RefreshCw, WifiOff } from 'lucide-react';
+import { useOfflineStatus } from '@/hooks/use-offline-status';
+import { ZonedDateTime } from '@/components/time-zone/zoned-date-time';
+import { Button } from '@/components/ui/button';
+
+/** Says when the page is showing the cached schedule, and offers a reload once fresh data is in. */
+export function OfflineBanner() {
+  const { offline, generatedAt, updateReady } = useOfflineStatus();
+
+  if (offline) {
+    return (
+      <div role="status" className="border-b border-amber-200 bg-amber-50 text-amber-900">
+        <div className="container mx-auto flex items-center gap-2 px-4 py-2 text-sm sm:px-6 lg:px-8">
+          <WifiOff className="h-4 w-4 flex-shrink-0" aria-hidden />
+          <p>
+            You&apos;re offline. Showing the saved schedule
+            {generatedAt ? (
+              <>
+                , data as of <ZonedDateTime isoDate={generatedAt} pattern="MMM d, yyyy, h:mm aaa" showZone />
+              </>
+            ) : null}
+            .
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (updateReady) {
+    return (
+      <div role="status" className="border-b border-border bg-card">
+        <div className="container mx-auto flex flex-wrap items-center gap-2 px-4 py-2 text-sm sm:px-6 lg:px-8">
+          <p className="text-foreground">Back online. The latest schedule has been downloaded.</p>
+          <Button variant="outline" size="sm" onClick={() => window.location.reload()}>
+            <RefreshCw className="h-4 w-4" aria-hidden />
+            Reload
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,17 @@
+'use client';
+
+import { useEffect } from 'react';
+import { BASE_PATH } from '@/lib/site';
+
+/** Registers docs/sw.js (see scripts/build-service-worker.js) so the site keeps working offline. */
+export function ServiceWorkerRegistration() {
+  useEffect(() => {
+    // next dev serves no sw.js, and caching development builds would only get in the way.
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(`${BASE_PATH}/sw.js`, { scope: `${BASE_PATH}/` }).catch((error) => {
+      console.warn('[service-worker] Registration failed', error);
+    });
+  }, []);
+
+  return null;
+}
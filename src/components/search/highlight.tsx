@@ -0,0 +1,24 @@
+import { highlightSegments } from '@/lib/search';
+
+interface HighlightProps {
+  text: string;
+  /** Index terms to mark; see searchIndex(). */
+  terms?: ReadonlySet<string>;
+}
+
+export function Highlight({ text, terms }: HighlightProps) {
+  if (!terms || terms.size === 0) return <>{text}</>;
+  return (
+    <>
+      {highlightSegments(text, terms).map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="rounded-sm bg-yellow-200 px-0.5 text-foreground">
+            {segment.text}
+          </mark>
+        ) : (
+          segment.text
+        )
+      )}
+    </>
+  );
+}
@@ -0,0 +1,15 @@
+'use client';
+
+import type { Event } from '@/lib/types';
+import { useTimeZone } from '@/hooks/use-time-zone';
+import { formatHearingTime } from '@/lib/hearing-time';
+
+interface HearingTimeLabelProps {
+  event: Pick<Event, 'time' | 'isoDate' | 'continuesUntilFinished'>;
+}
+
+/** The published time, converted to the viewer's zone when they asked for local time. */
+export function HearingTimeLabel({ event }: HearingTimeLabelProps) {
+  const { mode } = useTimeZone();
+  return <>{formatHearingTime(event, mode)}</>;
+}
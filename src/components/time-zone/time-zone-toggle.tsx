@@ -0,0 +1,22 @@
+'use client';
+
+import { useTimeZone } from '@/hooks/use-time-zone';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+
+export function TimeZoneToggle() {
+  const { mode, setMode } = useTimeZone();
+
+  return (
+    <div className="flex items-center gap-2">
+      <Switch
+        id="time-zone-local"
+        checked={mode === 'local'}
+        onCheckedChange={(checked) => setMode(checked ? 'local' : 'manila')}
+      />
+      <Label htmlFor="time-zone-local" className="text-sm font-medium text-muted-foreground">
+        Show in my local time
+      </Label>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+import { format, isValid } from 'date-fns';
+
+import { useTimeZone } from '@/hooks/use-time-zone';
+import { effectiveMode, timeZoneLabel, toZonedDate } from '@/lib/timezone';
+
+interface ZonedDateTimeProps {
+  isoDate: string;
+  /** date-fns pattern, e.g. "EEEE, MMMM d, yyyy • h:mm aaa". */
+  pattern: string;
+  /** False for hearings without a published time; those always show their Manila date. */
+  hasTime?: boolean;
+  /** Appends "PHT" or the viewer's zone abbreviation. */
+  showZone?: boolean;
+  fallback?: string;
+  suffix?: string;
+}
+
+export function ZonedDateTime({
+  isoDate,
+  pattern,
+  hasTime = true,
+  showZone = false,
+  fallback = '',
+  suffix = '',
+}: ZonedDateTimeProps) {
+  const { mode } = useTimeZone();
+  const zone = effectiveMode(hasTime, mode);
+  const date = toZonedDate(isoDate, zone);
+  if (!isValid(date)) return <>{fallback}</>;
+
+  return (
+    <time dateTime={isoDate}>
+      {format(date, pattern)}
+      {suffix}
+      {showZone && hasTime ? ` ${timeZoneLabel(zone, new Date(isoDate))}` : ''}
+    </time>
+  );
+}
@@ -0,0 +1,36 @@
+import { MapPin, Radio, Video } from 'lucide-react';
+
+import type { VenueDetails } from '@/lib/types';
+import { cn } from '@/lib/utils';
+
+interface VenueFlagsProps {
+  details: VenueDetails;
+  className?: string;
+}
+
+export function VenueFlags({ details, className }: VenueFlagsProps) {
+  const flags = [
+    details.inPerson && { icon: MapPin, label: 'In person' },
+    details.virtual && {
+      icon: Video,
+      label: details.platform ? `Virtual via ${details.platform}` : 'Virtual',
+    },
+    details.livestreamed && {
+      icon: Radio,
+      label: details.livestreamChannel ? `Livestreamed on ${details.livestreamChannel}` : 'Livestreamed',
+    },
+  ].filter((flag): flag is { icon: typeof MapPin; label: string } => Boolean(flag));
+
+  if (flags.length === 0) return null;
+
+  return (
+    <ul className={cn('flex flex-wrap gap-x-3 gap-y-1 text-xs text-muted-foreground', className)}>
+      {flags.map(({ icon: Icon, label }) => (
+        <li key={label} className="flex items-center gap-1">
+          <Icon className="h-3.5 w-3.5" aria-hidden="true" />
+          <span>{label}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,59 @@
+'use client';
+
+import { Star } from 'lucide-react';
+import { useWatchlist } from '@/hooks/use-watchlist';
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+
+interface StarCommitteeButtonProps {
+  slug: string;
+  name: string;
+  className?: string;
+}
+
+/** Star icon that adds a committee to, or removes it from, the user's watchlist. */
+export function StarCommitteeButton({ slug, name, className }: StarCommitteeButtonProps) {
+  const { watchlist, toggleCommittee } = useWatchlist();
+  const starred = watchlist.committees.includes(slug);
+
+  return (
+    <button
+      type="button"
+      onClick={() => toggleCommittee(slug)}
+      aria-pressed={starred}
+      aria-label={starred ? `Unstar ${name}` : `Star ${name}`}
+      title={starred ? 'Starred: shown in My hearings' : 'Star to add to My hearings'}
+      className={cn(
+        'inline-flex h-7 w-7 flex-shrink-0 items-center justify-center rounded-full text-muted-foreground transition-colors hover:text-amber-500 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring',
+        starred && 'text-amber-500',
+        className
+      )}
+    >
+      <Star className="h-4 w-4" fill={starred ? 'currentColor' : 'none'} aria-hidden />
+    </button>
+  );
+}
+
+interface WatchBillButtonProps {
+  bill: string;
+  className?: string;
+}
+
+export function WatchBillButton({ bill, className }: WatchBillButtonProps) {
+  const { watchlist, toggleBill } = useWatchlist();
+  const watched = watchlist.bills.includes(bill);
+
+  return (
+    <Button
+      type="button"
+      variant={watched ? 'secondary' : 'outline'}
+      size="sm"
+      onClick={() => toggleBill(bill)}
+      aria-pressed={watched}
+      className={className}
+    >
+      <Star className={cn('h-4 w-4', watched && 'text-amber-500')} fill={watched ? 'currentColor' : 'none'} aria-hidden />
+      {watched ? 'Watching' : 'Watch this bill'}
+    </Button>
+  );
+}
@@ -0,0 +1,26 @@
+'use client';
+
+import { Star } from 'lucide-react';
+import type { Event } from '@/lib/types';
+import { watchReasons } from '@/lib/watchlist';
+import { useWatchlist } from '@/hooks/use-watchlist';
+import { cn } from '@/lib/utils';
+
+interface WatchReasonsProps {
+  event: Event;
+  className?: string;
+}
+
+/** "Watching: …" line naming the watchlist entries a hearing matches; renders nothing otherwise. */
+export function WatchReasons({ event, className }: WatchReasonsProps) {
+  const { watchlist } = useWatchlist();
+  const reasons = watchReasons(event, watchlist);
+  if (reasons.length === 0) return null;
+
+  return (
+    <p className={cn('flex items-center gap-1.5 text-xs font-medium text-amber-700', className)}>
+      <Star className="h-3.5 w-3.5 flex-shrink-0" fill="currentColor" aria-hidden />
+      <span>Watching: {reasons.join(', ')}</span>
+    </p>
+  );
+}
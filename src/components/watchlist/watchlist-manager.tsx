@@ -0,0 +1,192 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import type { CommitteeOption } from '@/lib/committees';
+import { normalizeBillReference } from '@/lib/bills';
+import { parseWatchlist, serializeWatchlist } from '@/lib/watchlist';
+import { useWatchlist } from '@/hooks/use-watchlist';
+import { useToast } from '@/hooks/use-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+interface WatchlistManagerProps {
+  committees: CommitteeOption[];
+}
+
+function RemovableChip({ label, onRemove }: { label: string; onRemove: () => void }) {
+  return (
+    <span className="inline-flex items-center gap-1 rounded-full border border-amber-200 bg-amber-50 py-0.5 pl-2.5 pr-1 text-xs font-medium text-amber-900">
+      {label}
+      <button
+        type="button"
+        onClick={onRemove}
+        className="rounded-full p-0.5 hover:bg-amber-100 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        aria-label={`Remove ${label}`}
+      >
+        <X className="h-3 w-3" aria-hidden />
+      </button>
+    </span>
+  );
+}
+
+/** Edits the watchlist behind "My hearings", and imports or exports it as JSON. */
+export function WatchlistManager({ committees }: WatchlistManagerProps) {
+  const { watchlist, toggleCommittee, toggleBill, addKeyword, removeKeyword, replaceWatchlist } = useWatchlist();
+  const { toast } = useToast();
+  const [billInput, setBillInput] = useState('');
+  const [keywordInput, setKeywordInput] = useState('');
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const labels = new Map(committees.map((committee) => [committee.slug, committee.label]));
+  const unstarred = committees.filter((committee) => !watchlist.committees.includes(committee.slug));
+
+  const addBill = () => {
+    const bill = normalizeBillReference(billInput);
+    if (!bill) {
+      toast({ title: 'Not a bill number', description: 'Try a reference such as "HB 855" or "SB 1215".' });
+      return;
+    }
+    if (!watchlist.bills.includes(bill)) toggleBill(bill);
+    setBillInput('');
+  };
+
+  const exportWatchlist = () => {
+    const blob = new Blob([serializeWatchlist(watchlist)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'watchlist.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importWatchlist = async (file: File) => {
+    try {
+      const imported = parseWatchlist(JSON.parse(await file.text()));
+      if (!imported) throw new Error('not a watchlist');
+      replaceWatchlist(imported);
+      toast({
+        title: 'Watchlist imported',
+        description: `${imported.committees.length} committees, ${imported.bills.length} bills and ${imported.keywords.length} keywords.`,
+      });
+    } catch {
+      toast({
+        variant: 'destructive',
+        title: 'Could not import the watchlist',
+        description: 'Choose a JSON file exported from this site.',
+      });
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+      <div className="space-y-2">
+        <Label htmlFor="watch-committee">Starred committees</Label>
+        <Select value="" onValueChange={toggleCommittee}>
+          <SelectTrigger id="watch-committee">
+            <SelectValue placeholder="Star a committee" />
+          </SelectTrigger>
+          <SelectContent>
+            {unstarred.map((committee) => (
+              <SelectItem key={committee.slug} value={committee.slug}>
+                {committee.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex flex-wrap gap-1.5">
+          {watchlist.committees.map((slug) => (
+            <RemovableChip key={slug} label={labels.get(slug) ?? slug} onRemove={() => toggleCommittee(slug)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="watch-bill">Watched bills</Label>
+        <form
+          className="flex gap-2"
+          onSubmit={(event) => {
+            event.preventDefault();
+            addBill();
+          }}
+        >
+          <Input
+            id="watch-bill"
+            placeholder="e.g. HB 855"
+            value={billInput}
+            onChange={(event) => setBillInput(event.target.value)}
+          />
+          <Button type="submit" variant="outline">
+            Add
+          </Button>
+        </form>
+        <div className="flex flex-wrap gap-1.5">
+          {watchlist.bills.map((bill) => (
+            <RemovableChip key={bill} label={bill} onRemove={() => toggleBill(bill)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="watch-keyword">Watched keywords</Label>
+        <form
+          className="flex gap-2"
+          onSubmit={(event) => {
+            event.preventDefault();
+            addKeyword(keywordInput);
+            setKeywordInput('');
+          }}
+        >
+          <Input
+            id="watch-keyword"
+            placeholder="e.g. nuclear energy"
+            value={keywordInput}
+            onChange={(event) => setKeywordInput(event.target.value)}
+          />
+          <Button type="submit" variant="outline">
+            Add
+          </Button>
+        </form>
+        <div className="flex flex-wrap gap-1.5">
+          {watchlist.keywords.map((keyword) => (
+            <RemovableChip key={keyword} label={keyword} onRemove={() => removeKeyword(keyword)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 md:col-span-3">
+        <Button type="button" variant="ghost" size="sm" onClick={exportWatchlist}>
+          <Download className="h-4 w-4" aria-hidden />
+          Export
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={() => fileInput.current?.click()}>
+          <Upload className="h-4 w-4" aria-hidden />
+          Import
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(event) => {
+            const file = event.target.files?.[0];
+            if (file) importWatchlist(file);
+            event.target.value = '';
+          }}
+        />
+        <p className="text-xs text-muted-foreground">
+          Saved in this browser only. Export the list to use it on another device or share it.
+        </p>
+      </div>
+    </div>
+  );
+}
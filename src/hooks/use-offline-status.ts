@@ -0,0 +1,77 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { dataPath } from '@/lib/site';
+
+// Set by the service worker (scripts/service-worker.js) on responses it answered from its cache.
+const OFFLINE_HEADER = 'X-Served-From-Cache';
+
+export interface OfflineStatus {
+  /** True when the browser is offline or the data had to come from the offline cache. */
+  offline: boolean;
+  /** metadata.generatedAt of the schedule data the browser has, once known. */
+  generatedAt: string | null;
+  /** True once the connection has come back and the service worker has fetched fresh data. */
+  updateReady: boolean;
+}
+
+/**
+ * Tracks whether the site is running on cached data. When the connection comes back, asks the
+ * service worker to refresh its copy of the schedule in the background.
+ */
+export function useOfflineStatus(): OfflineStatus {
+  const [offline, setOfflineState] = useState(false);
+  const [generatedAt, setGeneratedAt] = useState<string | null>(null);
+  const [updateReady, setUpdateReady] = useState(false);
+  // Whether this page has been showing cached data at any point; only then is a refresh news.
+  const wasOffline = useRef(false);
+
+  const setOffline = useCallback((value: boolean) => {
+    if (value) wasOffline.current = true;
+    setOfflineState(value);
+  }, []);
+
+  const checkData = useCallback(async () => {
+    try {
+      const response = await fetch(dataPath('metadata.json'), { cache: 'no-cache' });
+      if (!response.ok) return;
+      const metadata: { generatedAt?: unknown } = await response.json();
+      setOffline(!navigator.onLine || response.headers.get(OFFLINE_HEADER) === '1');
+      if (typeof metadata.generatedAt === 'string') setGeneratedAt(metadata.generatedAt);
+    } catch {
+      // Offline with nothing cached yet, or the data is not published (e.g. under `next dev`).
+      setOffline(!navigator.onLine);
+    }
+  }, [setOffline]);
+
+  useEffect(() => {
+    const serviceWorker = 'serviceWorker' in navigator ? navigator.serviceWorker : null;
+
+    const onOffline = () => setOffline(true);
+    const onOnline = () => {
+      if (serviceWorker?.controller) {
+        serviceWorker.controller.postMessage({ type: 'refresh' });
+      } else {
+        checkData();
+      }
+    };
+    const onMessage = (event: MessageEvent) => {
+      if (event.data?.type !== 'refreshed') return;
+      if (event.data.complete && wasOffline.current) setUpdateReady(true);
+      checkData();
+    };
+
+    setOffline(!navigator.onLine);
+    checkData();
+    window.addEventListener('offline', onOffline);
+    window.addEventListener('online', onOnline);
+    serviceWorker?.addEventListener('message', onMessage);
+    return () => {
+      window.removeEventListener('offline', onOffline);
+      window.removeEventListener('online', onOnline);
+      serviceWorker?.removeEventListener('message', onMessage);
+    };
+  }, [checkData, setOffline]);
+
+  return { offline, generatedAt, updateReady };
+}
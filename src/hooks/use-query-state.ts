@@ -0,0 +1,76 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+type QueryValues = Record<string, string>;
+
+interface SetQueryOptions {
+  /**
+   * Replace the current history entry instead of adding one. Use it for text typed into a field,
+   * so Back skips over each keystroke.
+   */
+  replace?: boolean;
+}
+
+function readQuery<T extends QueryValues>(defaults: T): T {
+  const search = new URLSearchParams(window.location.search);
+  const values: QueryValues = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    const value = search.get(key);
+    if (value !== null) values[key] = value;
+  }
+  return values as T;
+}
+
+function writeQuery<T extends QueryValues>(values: T, defaults: T, replace: boolean) {
+  const url = new URL(window.location.href);
+  for (const key of Object.keys(defaults)) {
+    if (values[key] === defaults[key]) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, values[key]);
+    }
+  }
+  if (url.href === window.location.href) return;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
+/**
+ * State kept in the page's query string, so a view can be bookmarked and shared. The site is a
+ * static export, so the URL is read in the browser after hydration; until then every key has
+ * its default. Keys left at their default are dropped from the URL, and Back/Forward restore
+ * the values of that history entry.
+ */
+export function useQueryState<T extends QueryValues>(initial: T) {
+  const defaults = useRef(initial).current;
+  const [values, setValues] = useState<T>(defaults);
+  const current = useRef<T>(defaults);
+
+  useEffect(() => {
+    const sync = () => {
+      current.current = readQuery(defaults);
+      setValues(current.current);
+    };
+    sync();
+    window.addEventListener('popstate', sync);
+    return () => window.removeEventListener('popstate', sync);
+  }, [defaults]);
+
+  const setQuery = useCallback(
+    (changes: Partial<T>, { replace = false }: SetQueryOptions = {}) => {
+      const next = { ...current.current, ...changes };
+      current.current = next;
+      setValues(next);
+      writeQuery(next, defaults, replace);
+    },
+    [defaults]
+  );
+
+  const resetQuery = useCallback(() => setQuery(defaults), [defaults, setQuery]);
+
+  return { query: values, setQuery, resetQuery };
+}
@@ -0,0 +1,47 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import type { Event } from '@/lib/types';
+import { type PreparedSearchIndex, isSearchIndex, prepareSearchIndex } from '@/lib/search';
+import { buildSearchIndex } from '@/lib/search-index';
+import { dataPath } from '@/lib/site';
+
+/**
+ * Loads docs/data/search-index.json. If it is missing (e.g. under `next dev`), from an older
+ * index version, or does not cover every hearing on the page, the index is built in the browser
+ * from `meetings` instead, by the same code that builds the published one. Null until one is
+ * ready.
+ */
+export function useSearchIndex(meetings: Event[]): PreparedSearchIndex | null {
+  const [prepared, setPrepared] = useState<PreparedSearchIndex | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(dataPath('search-index.json'));
+        if (response.ok) {
+          const index: unknown = await response.json();
+          if (isSearchIndex(index)) {
+            const indexed = new Set(index.documents);
+            if (meetings.every((meeting) => indexed.has(meeting.id))) return index;
+          }
+        }
+      } catch {
+        // Offline or not published; fall through to a local index.
+      }
+      return buildSearchIndex(meetings);
+    };
+
+    load().then((index) => {
+      if (!cancelled) setPrepared(prepareSearchIndex(index));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [meetings]);
+
+  return prepared;
+}
@@ -0,0 +1,39 @@
+'use client';
+
+import * as React from 'react';
+
+import type { TimeZoneMode } from '@/lib/timezone';
+
+const STORAGE_KEY = 'time-zone-mode';
+
+interface TimeZoneContextValue {
+  mode: TimeZoneMode;
+  setMode: (mode: TimeZoneMode) => void;
+}
+
+// Without a provider (or before the stored preference is read) everything renders in Manila
+// time, which is also what the static HTML contains.
+const TimeZoneContext = React.createContext<TimeZoneContextValue>({
+  mode: 'manila',
+  setMode: () => {},
+});
+
+export function TimeZoneProvider({ children }: { children: React.ReactNode }) {
+  const [mode, setModeState] = React.useState<TimeZoneMode>('manila');
+
+  React.useEffect(() => {
+    if (window.localStorage.getItem(STORAGE_KEY) === 'local') setModeState('local');
+  }, []);
+
+  const setMode = React.useCallback((next: TimeZoneMode) => {
+    setModeState(next);
+    window.localStorage.setItem(STORAGE_KEY, next);
+  }, []);
+
+  const value = React.useMemo(() => ({ mode, setMode }), [mode, setMode]);
+  return <TimeZoneContext.Provider value={value}>{children}</TimeZoneContext.Provider>;
+}
+
+export function useTimeZone() {
+  return React.useContext(TimeZoneContext);
+}
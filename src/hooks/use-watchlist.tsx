@@ -0,0 +1,87 @@
+'use client';
+
+import * as React from 'react';
+
+import { EMPTY_WATCHLIST, type Watchlist, parseWatchlist } from '@/lib/watchlist';
+
+const STORAGE_KEY = 'watchlist';
+
+interface WatchlistContextValue {
+  watchlist: Watchlist;
+  toggleCommittee: (slug: string) => void;
+  toggleBill: (bill: string) => void;
+  addKeyword: (keyword: string) => void;
+  removeKeyword: (keyword: string) => void;
+  /** Replaces the whole list, e.g. after an import. */
+  replaceWatchlist: (watchlist: Watchlist) => void;
+}
+
+function toggle(items: string[], item: string): string[] {
+  return items.includes(item) ? items.filter((existing) => existing !== item) : [...items, item];
+}
+
+function readStored(): Watchlist {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return (stored && parseWatchlist(JSON.parse(stored))) || EMPTY_WATCHLIST;
+  } catch {
+    return EMPTY_WATCHLIST;
+  }
+}
+
+// Without a provider (or before localStorage is read) the list is empty, which is also what the
+// static HTML contains.
+const WatchlistContext = React.createContext<WatchlistContextValue>({
+  watchlist: EMPTY_WATCHLIST,
+  toggleCommittee: () => {},
+  toggleBill: () => {},
+  addKeyword: () => {},
+  removeKeyword: () => {},
+  replaceWatchlist: () => {},
+});
+
+export function WatchlistProvider({ children }: { children: React.ReactNode }) {
+  const [watchlist, setWatchlist] = React.useState<Watchlist>(EMPTY_WATCHLIST);
+
+  React.useEffect(() => {
+    setWatchlist(readStored());
+    // Keep other open tabs in step.
+    const onStorage = (event: StorageEvent) => {
+      if (event.key === STORAGE_KEY) setWatchlist(readStored());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const update = React.useCallback((change: (current: Watchlist) => Watchlist) => {
+    setWatchlist((current) => {
+      const next = change(current);
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const value = React.useMemo<WatchlistContextValue>(
+    () => ({
+      watchlist,
+      toggleCommittee: (slug) => update((current) => ({ ...current, committees: toggle(current.committees, slug) })),
+      toggleBill: (bill) => update((current) => ({ ...current, bills: toggle(current.bills, bill) })),
+      addKeyword: (keyword) =>
+        update((current) =>
+          !keyword.trim() || current.keywords.includes(keyword.trim())
+            ? current
+            : { ...current, keywords: [...current.keywords, keyword.trim()] }
+        ),
+      removeKeyword: (keyword) =>
+        update((current) => ({ ...current, keywords: current.keywords.filter((existing) => existing !== keyword) })),
+      replaceWatchlist: (next) => update(() => next),
+    }),
+    [watchlist, update]
+  );
+
+  return <WatchlistContext.Provider value={value}>{children}</WatchlistContext.Provider>;
+}
+
+export function useWatchlist() {
+  return React.useContext(WatchlistContext);
+}
@@ -0,0 +1,7 @@
+/** Splits a published agenda into its items; both chambers separate them with bullets or semicolons. */
+export function getAgendaItems(agenda: string): string[] {
+  return agenda
+    .split(/(?:•|;)/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,43 @@
+// Legislator names credited in agenda attributions, as scripts/lib/authors.js extracts them at
+// build time.
+
+import type { Event } from './types';
+import { slugify } from './slugify';
+
+export interface AuthorSummary {
+  name: string;
+  slug: string;
+  hearings: number;
+  committees: string[];
+}
+
+export function authorSlug(name: string): string {
+  return slugify(name);
+}
+
+export function summarizeAuthors(events: Event[]): AuthorSummary[] {
+  const byAuthor = new Map<string, { name: string; events: Event[] }>();
+  for (const event of events) {
+    for (const name of event.authors) {
+      const slug = authorSlug(name);
+      const entry = byAuthor.get(slug) ?? { name, events: [] };
+      entry.events.push(event);
+      byAuthor.set(slug, entry);
+    }
+  }
+
+  return Array.from(byAuthor.entries())
+    .map(([slug, { name, events: hearings }]) => ({
+      name,
+      slug,
+      hearings: hearings.length,
+      committees: Array.from(new Set(hearings.map((event) => event.committee))),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getAuthorHearings(events: Event[], slug: string): Event[] {
+  return events
+    .filter((event) => event.authors.some((name) => authorSlug(name) === slug))
+    .sort((a, b) => a.isoDate.localeCompare(b.isoDate));
+}
@@ -0,0 +1,71 @@
+import type { Event } from './types';
+import { compareBills } from './bills';
+import { isTwgSession } from './committees';
+import { isCancelledEvent } from './event-status';
+
+export interface BillSummary {
+  bill: string;
+  hearings: number;
+  committees: string[];
+  branches: Event['branch'][];
+  firstDate: string;
+  lastDate: string;
+}
+
+export interface BillTimeline {
+  bill: string;
+  hearings: Event[];
+  committees: { committee: string; branch: Event['branch']; count: number }[];
+  twgCount: number;
+  cancelledCount: number;
+}
+
+function compareChronologically(a: Event, b: Event): number {
+  if (a.isoDate !== b.isoDate) return a.isoDate.localeCompare(b.isoDate);
+  return a.committee.localeCompare(b.committee);
+}
+
+export function summarizeBills(events: Event[]): BillSummary[] {
+  const byBill = new Map<string, Event[]>();
+  for (const event of events) {
+    for (const bill of event.bills) {
+      const list = byBill.get(bill) ?? [];
+      list.push(event);
+      byBill.set(bill, list);
+    }
+  }
+
+  return Array.from(byBill.entries())
+    .map(([bill, hearings]) => {
+      const sorted = [...hearings].sort(compareChronologically);
+      return {
+        bill,
+        hearings: sorted.length,
+        committees: Array.from(new Set(sorted.map((event) => event.committee))),
+        branches: Array.from(new Set(sorted.map((event) => event.branch))),
+        firstDate: sorted[0].date,
+        lastDate: sorted[sorted.length - 1].date,
+      };
+    })
+    .sort((a, b) => compareBills(a.bill, b.bill));
+}
+
+export function getBillTimeline(events: Event[], bill: string): BillTimeline {
+  const hearings = events.filter((event) => event.bills.includes(bill)).sort(compareChronologically);
+
+  const committees = new Map<string, { committee: string; branch: Event['branch']; count: number }>();
+  for (const event of hearings) {
+    const key = `${event.branch}|${event.committee}`;
+    const entry = committees.get(key) ?? { committee: event.committee, branch: event.branch, count: 0 };
+    entry.count += 1;
+    committees.set(key, entry);
+  }
+
+  return {
+    bill,
+    hearings,
+    committees: Array.from(committees.values()).sort((a, b) => b.count - a.count || a.committee.localeCompare(b.committee)),
+    twgCount: hearings.filter(isTwgSession).length,
+    cancelledCount: hearings.filter(isCancelledEvent).length,
+  };
+}
@@ -0,0 +1,66 @@
+// Helpers for the canonical bill references ("HB 855", "SB 1215", "RA 9136") that
+// scripts/lib/bills.js extracts from agendas at build time.
+
+export const BILL_TYPE_LABELS: Record<string, string> = {
+  HB: 'House Bill',
+  HR: 'House Resolution',
+  HJR: 'House Joint Resolution',
+  SB: 'Senate Bill',
+  PSR: 'Senate Resolution',
+  RA: 'Republic Act',
+};
+
+const BILL_TYPE_ORDER = Object.keys(BILL_TYPE_LABELS);
+
+const BILL_TYPE_ALIASES: Record<string, string> = {
+  hb: 'HB',
+  housebill: 'HB',
+  hr: 'HR',
+  houseresolution: 'HR',
+  hjr: 'HJR',
+  sb: 'SB',
+  sbn: 'SB',
+  s: 'SB',
+  senatebill: 'SB',
+  psr: 'PSR',
+  psrn: 'PSR',
+  psres: 'PSR',
+  ra: 'RA',
+  republicact: 'RA',
+};
+
+/** Turns loose input such as "hb855", "H.B. No. 855" or "sbn 1215" into "HB 855" / "SB 1215". */
+export function normalizeBillReference(value: string): string | null {
+  const compact = value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const match = compact.match(/^([a-z]+?)(?:nos?)?(\d+)$/);
+  if (!match) return null;
+  const prefix = match[1].replace(/s$/, '');
+  const type = BILL_TYPE_ALIASES[match[1]] ?? BILL_TYPE_ALIASES[prefix];
+  const number = parseInt(match[2], 10);
+  if (!type || !number) return null;
+  return `${type} ${number}`;
+}
+
+export function describeBill(bill: string): string {
+  const [type, number] = bill.split(' ');
+  const label = BILL_TYPE_LABELS[type];
+  return label ? `${label} No. ${number}` : bill;
+}
+
+export function compareBills(a: string, b: string): number {
+  const [typeA, numberA] = a.split(' ');
+  const [typeB, numberB] = b.split(' ');
+  const orderA = BILL_TYPE_ORDER.indexOf(typeA);
+  const orderB = BILL_TYPE_ORDER.indexOf(typeB);
+  if (orderA !== orderB) return orderA - orderB;
+  return Number(numberA) - Number(numberB);
+}
+
+/** URL segment for a bill page: "HB 855" becomes "hb-855". */
+export function billSlug(bill: string): string {
+  return bill.toLowerCase().replace(/\s+/g, '-');
+}
+
+export function billFromSlug(slug: string): string | null {
+  return normalizeBillReference(decodeURIComponent(slug));
+}
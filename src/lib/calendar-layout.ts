@@ -0,0 +1,63 @@
+import type { Event } from './types';
+import { hasClockTime } from './hearing-time';
+import { type TimeZoneMode, effectiveMode, toZonedDate } from './timezone';
+
+export interface TimedItem {
+  id: string;
+  /** Minutes since midnight. */
+  start: number;
+  end: number;
+}
+
+export interface TimedLayout {
+  /** Zero-based column within the item's group of overlapping items. */
+  column: number;
+  /** Number of columns that group is split into. */
+  columns: number;
+}
+
+/** Minutes since midnight of the hearing's start in the chosen zone, or null without a time. */
+export function startMinutes(event: Event, mode: TimeZoneMode): number | null {
+  if (!hasClockTime(event)) return null;
+  const zoned = toZonedDate(event.isoDate, effectiveMode(true, mode));
+  if (Number.isNaN(zoned.getTime())) return null;
+  return zoned.getHours() * 60 + zoned.getMinutes();
+}
+
+/**
+ * Lays out items on a time grid so that overlapping ones sit side by side. Items that overlap,
+ * directly or through a chain of others, form a group; each takes the first free column and the
+ * whole group shares the same column count so widths line up.
+ */
+export function layoutOverlaps(items: TimedItem[]): Map<string, TimedLayout> {
+  const sorted = [...items].sort((a, b) => a.start - b.start || b.end - a.end);
+  const layout = new Map<string, TimedLayout>();
+  let group: { id: string; column: number }[] = [];
+  let columnEnds: number[] = [];
+  let groupEnd = -Infinity;
+
+  const closeGroup = () => {
+    for (const { id, column } of group) layout.set(id, { column, columns: columnEnds.length });
+    group = [];
+    columnEnds = [];
+  };
+
+  for (const item of sorted) {
+    if (item.start >= groupEnd) {
+      closeGroup();
+      groupEnd = -Infinity;
+    }
+    let column = columnEnds.findIndex((end) => end <= item.start);
+    if (column === -1) {
+      column = columnEnds.length;
+      columnEnds.push(item.end);
+    } else {
+      columnEnds[column] = item.end;
+    }
+    group.push({ id: item.id, column });
+    groupEnd = Math.max(groupEnd, item.end);
+  }
+  closeGroup();
+
+  return layout;
+}
@@ -0,0 +1,91 @@
+import type { CommitteeRef, Event } from './types';
+import { compareBills } from './bills';
+import { isCancelledEvent } from './event-status';
+import { isUpcomingEvent } from './load-events';
+
+export interface CommitteeSummary extends CommitteeRef {
+  hearings: number;
+  upcoming: number;
+  lastDate: string;
+}
+
+export interface CommitteeProfile extends CommitteeSummary {
+  upcomingHearings: Event[];
+  pastHearings: Event[];
+  cancelled: number;
+  cancellationRate: number;
+  /** Hearings held (not cancelled) per month between the first and the latest hearing. */
+  perMonth: number;
+  jointHearings: number;
+  venues: { venue: string; count: number }[];
+  bills: { bill: string; count: number }[];
+}
+
+const MAX_VENUES = 5;
+
+/** Hearings per committee slug; joint hearings count for every committee taking part. */
+export function groupByCommittee(events: Event[]): Map<string, { ref: CommitteeRef; events: Event[] }> {
+  const groups = new Map<string, { ref: CommitteeRef; events: Event[] }>();
+  for (const event of events) {
+    for (const ref of event.committees) {
+      const group = groups.get(ref.slug) ?? { ref, events: [] };
+      group.events.push(event);
+      groups.set(ref.slug, group);
+    }
+  }
+  return groups;
+}
+
+function monthsSpanned(first: string, last: string): number {
+  const [firstYear, firstMonth] = first.split('-').map(Number);
+  const [lastYear, lastMonth] = last.split('-').map(Number);
+  if (!firstYear || !lastYear) return 1;
+  return Math.max(1, (lastYear - firstYear) * 12 + (lastMonth - firstMonth) + 1);
+}
+
+function countBy<T extends string>(values: T[]): { value: T; count: number }[] {
+  const counts = new Map<T, number>();
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+  return Array.from(counts.entries()).map(([value, count]) => ({ value, count }));
+}
+
+function summarize(ref: CommitteeRef, hearings: Event[], now: number): CommitteeSummary {
+  return {
+    ...ref,
+    hearings: hearings.length,
+    upcoming: hearings.filter((event) => isUpcomingEvent(event, now)).length,
+    lastDate: hearings.reduce((latest, event) => (event.date > latest ? event.date : latest), ''),
+  };
+}
+
+export function summarizeCommittees(events: Event[], now: number = Date.now()): CommitteeSummary[] {
+  return Array.from(groupByCommittee(events).values())
+    .map(({ ref, events: hearings }) => summarize(ref, hearings, now))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.chamber.localeCompare(b.chamber));
+}
+
+export function getCommitteeProfile(events: Event[], slug: string, now: number = Date.now()): CommitteeProfile | null {
+  const group = groupByCommittee(events).get(slug);
+  if (!group) return null;
+
+  const hearings = [...group.events].sort((a, b) => a.isoDate.localeCompare(b.isoDate));
+  const cancelled = hearings.filter(isCancelledEvent).length;
+  const held = hearings.length - cancelled;
+
+  return {
+    ...summarize(group.ref, hearings, now),
+    upcomingHearings: hearings.filter((event) => isUpcomingEvent(event, now)),
+    pastHearings: hearings.filter((event) => !isUpcomingEvent(event, now)).reverse(),
+    cancelled,
+    cancellationRate: hearings.length ? cancelled / hearings.length : 0,
+    perMonth: held / monthsSpanned(hearings[0].date, hearings[hearings.length - 1].date),
+    jointHearings: hearings.filter((event) => event.committees.length > 1).length,
+    venues: countBy(hearings.map((event) => event.venue).filter(Boolean))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, MAX_VENUES)
+      .map(({ value, count }) => ({ venue: value, count })),
+    bills: countBy(hearings.flatMap((event) => event.bills))
+      .sort((a, b) => b.count - a.count || compareBills(a.value, b.value))
+      .map(({ value, count }) => ({ bill: value, count })),
+  };
+}
@@ -0,0 +1,71 @@
+import type { CommitteeRef, Event, EventBranch, MeetingType } from './types';
+import { slugify } from './slugify';
+
+export const MEETING_TYPE_LABELS: Record<MeetingType, string> = {
+  hearing: 'Hearing',
+  twg: 'Technical working group',
+  subcommittee: 'Subcommittee',
+  organizational: 'Organizational meeting',
+  joint: 'Joint meeting',
+};
+
+// Records published before meetingType existed still carry the "(TWG)" marker in the raw name.
+export function isTwgSession(event: Event): boolean {
+  return (
+    event.meetingType === 'twg' ||
+    event.isTechnicalWorkingGroup ||
+    /\((?:technical working group|twg)\)/i.test(event.rawCommittee)
+  );
+}
+
+export function isMeetingType(value: unknown): value is MeetingType {
+  return typeof value === 'string' && value in MEETING_TYPE_LABELS;
+}
+
+export function chamberForBranch(branch: EventBranch): CommitteeRef['chamber'] {
+  return branch === 'Senate' ? 'senate' : 'house';
+}
+
+/** Used for records published before scripts/lib/committees.js normalized committee names. */
+export function committeeRefFor(branch: EventBranch, name: string): CommitteeRef {
+  const chamber = chamberForBranch(branch);
+  return { name, slug: `${chamber}-${slugify(name)}`, chamber };
+}
+
+export function formatChamber(chamber: CommitteeRef['chamber']): string {
+  return chamber === 'senate' ? 'Senate' : 'House';
+}
+
+export interface CommitteeOption extends CommitteeRef {
+  label: string;
+}
+
+/** One option per participating committee; names both chambers use get a chamber suffix. */
+export function getCommitteeOptions(events: Event[]): CommitteeOption[] {
+  const bySlug = new Map<string, CommitteeRef>();
+  for (const event of events) {
+    for (const ref of event.committees) {
+      if (!bySlug.has(ref.slug)) bySlug.set(ref.slug, ref);
+    }
+  }
+
+  const refs = Array.from(bySlug.values());
+  const nameCounts = new Map<string, number>();
+  for (const ref of refs) nameCounts.set(ref.name, (nameCounts.get(ref.name) ?? 0) + 1);
+
+  return refs
+    .map((ref) => ({
+      ...ref,
+      label: (nameCounts.get(ref.name) ?? 0) > 1 ? `${ref.name} (${formatChamber(ref.chamber)})` : ref.name,
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/** The other committees in a joint meeting, e.g. "Ways and Means, Senate Health and Demography". */
+export function formatJointCommittees(event: Event): string {
+  const ownChamber = chamberForBranch(event.branch);
+  return event.committees
+    .slice(1)
+    .map((ref) => (ref.chamber === ownChamber ? ref.name : `${formatChamber(ref.chamber)} ${ref.name}`))
+    .join(', ');
+}
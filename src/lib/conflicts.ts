@@ -0,0 +1,175 @@
+import type { CommitteeRef, Event } from './types';
+import { HEARING_DURATION_MINUTES } from './manila-time';
+import { hasClockTime } from './hearing-time';
+
+export type ConflictKind = 'room' | 'committee';
+
+export const CONFLICT_LABELS: Record<ConflictKind, string> = {
+  room: 'Room double-booked',
+  committee: 'Joint hearing overlap',
+};
+
+/** One side of a clash, as seen from the hearing it is attached to. */
+export interface HearingConflict {
+  kind: ConflictKind;
+  /** The other hearing. */
+  other: Event;
+  /** The shared room, or the names of the committees expected at both hearings. */
+  detail: string;
+}
+
+export interface ConflictPair {
+  kind: ConflictKind;
+  /** The two hearings, earlier start first. */
+  hearings: [Event, Event];
+  detail: string;
+  /** Manila calendar day of the earlier hearing, yyyy-MM-dd. */
+  day: string;
+}
+
+export interface PeakOverlap {
+  /** Most hearings running at the same moment. */
+  count: number;
+  /** The hearings running at that moment, in start order. */
+  hearings: Event[];
+}
+
+export interface BusyDay extends PeakOverlap {
+  /** Manila calendar day, yyyy-MM-dd. */
+  day: string;
+}
+
+/** A day is busy once this many of an office's hearings run at the same time: two people. */
+export const BUSY_DAY_THRESHOLD = 2;
+
+const DURATION_MS = HEARING_DURATION_MINUTES * 60 * 1000;
+
+interface Slot {
+  event: Event;
+  start: number;
+  end: number;
+  rooms: string[];
+}
+
+/** Hearings that will actually sit at their published time. */
+function isSitting(event: Event): boolean {
+  return event.status !== 'cancelled' && event.status !== 'postponed';
+}
+
+// "Conference Rooms 7 & 8" is booked whenever "Conference Room 8" is, so combined rooms are
+// split into their parts before they are compared.
+function roomKeys(event: Event): string[] {
+  const { room, building, inPerson } = event.venueDetails;
+  if (!inPerson || !room) return [];
+  const combined = room.match(/^(.*\bRoom)s\s+(.+)$/i);
+  const rooms = combined
+    ? combined[2].split(/\s*(?:&|,|\band\b)\s*/i).filter(Boolean).map((part) => `${combined[1]} ${part}`)
+    : [room];
+  return rooms.map((entry) => `${building}|${entry}`.toLowerCase());
+}
+
+function toSlot(event: Event): Slot | null {
+  if (!hasClockTime(event) || !isSitting(event)) return null;
+  const start = Date.parse(event.isoDate);
+  if (Number.isNaN(start)) return null;
+  return { event, start, end: start + DURATION_MS, rooms: roomKeys(event) };
+}
+
+function toSlots(events: Event[]): Slot[] {
+  return events
+    .map(toSlot)
+    .filter((slot): slot is Slot => slot !== null)
+    .sort((a, b) => a.start - b.start || a.event.id.localeCompare(b.event.id));
+}
+
+function sharedCommittees(a: Event, b: Event): CommitteeRef[] {
+  const slugs = new Set(b.committees.map((ref) => ref.slug));
+  return a.committees.filter((ref) => slugs.has(ref.slug));
+}
+
+// Both chambers sometimes list a joint hearing once per committee; two entries with the same
+// start, venue and a committee in common are one meeting rather than a clash.
+function isSameMeeting(a: Event, b: Event): boolean {
+  return a.isoDate === b.isoDate && a.venue === b.venue && sharedCommittees(a, b).length > 0;
+}
+
+/**
+ * Pairs of hearings that cannot both go ahead as published: different committees in the same
+ * room at overlapping times, or a joint hearing overlapping another hearing of one of its
+ * committees. A committee's own back-to-back sessions (budget hearings, say) are left alone:
+ * those run in sequence or through subcommittees. Neither chamber publishes end times, so every
+ * hearing is taken to last HEARING_DURATION_MINUTES; hearings without a time, cancelled or
+ * postponed are left out.
+ */
+export function findConflictPairs(events: Event[]): ConflictPair[] {
+  const slots = toSlots(events);
+  const pairs: ConflictPair[] = [];
+
+  slots.forEach((slot, index) => {
+    for (const other of slots.slice(index + 1)) {
+      // Sorted by start, so nothing further along can overlap either.
+      if (other.start >= slot.end) break;
+      if (isSameMeeting(slot.event, other.event)) continue;
+      const hearings: [Event, Event] = [slot.event, other.event];
+      const day = slot.event.isoDate.slice(0, 10);
+
+      const committees = sharedCommittees(slot.event, other.event);
+      if (committees.length === 0) {
+        if (slot.rooms.some((key) => other.rooms.includes(key))) {
+          pairs.push({ kind: 'room', hearings, day, detail: slot.event.venue });
+        }
+      } else if (slot.event.committees.length > 1 || other.event.committees.length > 1) {
+        pairs.push({ kind: 'committee', hearings, day, detail: committees.map((ref) => ref.name).join(', ') });
+      }
+    }
+  });
+
+  return pairs;
+}
+
+/** The conflicts of every hearing involved in one, keyed by hearing id. */
+export function conflictsByEvent(pairs: ConflictPair[]): Map<string, HearingConflict[]> {
+  const byEvent = new Map<string, HearingConflict[]>();
+  const add = (id: string, conflict: HearingConflict) => byEvent.set(id, [...(byEvent.get(id) ?? []), conflict]);
+  for (const { kind, hearings, detail } of pairs) {
+    add(hearings[0].id, { kind, other: hearings[1], detail });
+    add(hearings[1].id, { kind, other: hearings[0], detail });
+  }
+  return byEvent;
+}
+
+/** The largest number of the given hearings running at once, and which they are. */
+export function peakOverlap(events: Event[]): PeakOverlap {
+  const slots = toSlots(events);
+  const active: Slot[] = [];
+  let peak: PeakOverlap = { count: 0, hearings: [] };
+
+  for (const slot of slots) {
+    // Hearings that have ended by this start no longer count; a 12:00 end and a 12:00 start do
+    // not overlap.
+    for (let index = active.length - 1; index >= 0; index -= 1) {
+      if (active[index].end <= slot.start) active.splice(index, 1);
+    }
+    active.push(slot);
+    if (active.length > peak.count) {
+      peak = { count: active.length, hearings: active.map((entry) => entry.event) };
+    }
+  }
+  return peak;
+}
+
+/**
+ * Manila days on which at least `threshold` of the given hearings run at the same moment, so an
+ * office following all of them needs that many people in the building.
+ */
+export function findBusyDays(events: Event[], threshold: number = BUSY_DAY_THRESHOLD): BusyDay[] {
+  const byDay = new Map<string, Event[]>();
+  for (const event of events) {
+    const day = event.isoDate.slice(0, 10);
+    byDay.set(day, [...(byDay.get(day) ?? []), event]);
+  }
+  return Array.from(byDay.entries())
+    .map(([day, dayEvents]) => ({ day, ...peakOverlap(dayEvents) }))
+    .filter((entry) => entry.count >= threshold)
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
@@ -0,0 +1,81 @@
+// Shared by the site and scripts/build-static-data.js, so it stays plain JavaScript.
+
+/**
+ * The Congress sitting on a yyyy-MM-dd date (or an ISO timestamp starting with one). A new
+ * Congress opens every three years on June 30; the 9th opened in 1992.
+ * @param {string} value
+ * @returns {number | null}
+ */
+export function congressForDate(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const termYear = month < 6 || (month === 6 && day < 30) ? year - 1 : year;
+  if (termYear < 1992) return null;
+  return 9 + Math.floor((termYear - 1992) / 3);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+export function coerceCongress(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * The Congress a hearing belongs to. The House API's congress filter is loose, so the hearing
+ * date is the reliable source; the recorded number is only used when the date cannot be read.
+ * @param {string} date
+ * @param {unknown} recorded
+ * @returns {number | null}
+ */
+export function resolveCongress(date, recorded) {
+  return congressForDate(date) ?? coerceCongress(recorded);
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function ordinal(value) {
+  const mod100 = value % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${value}th`;
+  switch (value % 10) {
+    case 1:
+      return `${value}st`;
+    case 2:
+      return `${value}nd`;
+    case 3:
+      return `${value}rd`;
+    default:
+      return `${value}th`;
+  }
+}
+
+/**
+ * @param {import('./types').Event[]} events
+ * @returns {number[]}
+ */
+export function getCongressOptions(events) {
+  const values = events
+    .map((event) => event.congress)
+    .filter((congress) => typeof congress === 'number');
+  return Array.from(new Set(values)).sort((a, b) => b - a);
+}
+
+/**
+ * @param {number} congress
+ * @returns {string}
+ */
+export function formatCongress(congress) {
+  return `${ordinal(congress)} Congress`;
+}
@@ -67,6 +67,9 @@ function getEventCategory(event: Event): EventCategory {
   return 'house';
 }
 
+/** Colours of the session and adjournment bands on the calendar. */
+export const legislativeCalendarColors: EventColorTokens = COLOR_MAP.calendar;
+
 export function getEventColors(event: Event): EventColorTokens {
   const category = getEventCategory(event);
   return COLOR_MAP[category];
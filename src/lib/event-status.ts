@@ -0,0 +1,25 @@
+// Display helpers for hearing statuses; the vocabulary itself is in hearing-status.js.
+
+import { format, isValid, parseISO } from 'date-fns';
+
+import type { Event } from './types';
+import { STATUS_LABELS } from './hearing-status';
+
+export function isCancelledEvent(event: Event): boolean {
+  return event.status === 'cancelled';
+}
+
+/** "Rescheduled from Wednesday, September 3 • 9:30 AM", or just the label. */
+export function describeStatus(event: Pick<Event, 'status' | 'previousDate' | 'previousTime'>): string {
+  const label = STATUS_LABELS[event.status];
+  if (event.status !== 'rescheduled' || !(event.previousDate || event.previousTime)) return label;
+
+  const parsed = event.previousDate ? parseISO(event.previousDate) : null;
+  const previous = [
+    parsed && isValid(parsed) ? format(parsed, 'EEEE, MMMM d') : event.previousDate,
+    event.previousTime,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+  return `${label} from ${previous}`;
+}
@@ -0,0 +1,23 @@
+// The hearing status vocabulary and its labels. Shared by the site and the build scripts, which
+// assign the status (scripts/lib/status.js) and print it in the feeds, so it stays plain
+// JavaScript.
+
+/** @type {Record<import('./types').HearingStatus, string>} */
+export const STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  cancelled: 'Cancelled',
+  rescheduled: 'Rescheduled',
+  postponed: 'Postponed',
+  tentative: 'Tentative',
+};
+
+/** @type {import('./types').HearingStatus[]} */
+export const HEARING_STATUSES = ['scheduled', 'cancelled', 'rescheduled', 'postponed', 'tentative'];
+
+/**
+ * @param {unknown} value
+ * @returns {value is import('./types').HearingStatus}
+ */
+export function isHearingStatus(value) {
+  return HEARING_STATUSES.includes(/** @type {import('./types').HearingStatus} */ (value));
+}
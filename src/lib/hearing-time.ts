@@ -0,0 +1,26 @@
+import { format, isValid } from 'date-fns';
+
+import type { Event } from './types';
+import { type TimeZoneMode, timeZoneLabel, toZonedDate } from './timezone';
+
+/** False for hearings without a published time, e.g. "TBA". */
+export function hasClockTime(event: Pick<Event, 'time'>): boolean {
+  return /\d/.test(event.time);
+}
+
+/**
+ * The published time, e.g. "10:00 AM onwards" for hearings the House lists as running until
+ * the agenda is done. In `local` mode the time is converted and labelled with the zone.
+ */
+export function formatHearingTime(
+  event: Pick<Event, 'time' | 'isoDate' | 'continuesUntilFinished'>,
+  mode: TimeZoneMode = 'manila'
+): string {
+  if (!event.time) return '';
+  let time = event.time;
+  if (mode === 'local' && hasClockTime(event)) {
+    const local = toZonedDate(event.isoDate, 'local');
+    if (isValid(local)) time = `${format(local, 'h:mm a')} ${timeZoneLabel('local', local)}`;
+  }
+  return event.continuesUntilFinished ? `${time} onwards` : time;
+}
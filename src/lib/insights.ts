@@ -0,0 +1,256 @@
+import { addDays, addWeeks, format, parseISO, startOfWeek } from 'date-fns';
+
+import type { CommitteeRef, Event, EventBranch, LegislativePeriod, LegislativePeriodKind } from './types';
+import { groupByCommittee } from './committee-stats';
+import { chamberForBranch, formatChamber } from './committees';
+import { isCancelledEvent } from './event-status';
+import { hasClockTime } from './hearing-time';
+import { periodsOnDay } from './legislative-calendar';
+
+type Chamber = CommitteeRef['chamber'];
+
+/** Per-chamber counts; the keys double as the chart series. */
+type ChamberCounts = Record<Chamber, number>;
+
+export interface WeeklyHearings extends ChamberCounts {
+  /** Monday of the week, yyyy-MM-dd. */
+  week: string;
+  label: string;
+}
+
+export interface BusyCommittee extends ChamberCounts {
+  slug: string;
+  name: string;
+  chamber: Chamber;
+  label: string;
+}
+
+export interface CommitteeDisruption {
+  slug: string;
+  name: string;
+  chamber: Chamber;
+  label: string;
+  hearings: number;
+  /** Percentages of the committee's hearings, rounded to one decimal. */
+  cancelled: number;
+  rescheduled: number;
+}
+
+export interface HourlyHearings extends ChamberCounts {
+  hour: number;
+  label: string;
+}
+
+export interface PeriodActivity {
+  kind: LegislativePeriodKind;
+  label: string;
+  /** Hearings per week of the period, by chamber. */
+  house: number;
+  senate: number;
+  hearings: ChamberCounts;
+  days: ChamberCounts;
+}
+
+export interface ScheduleInsights {
+  /** Hearings held: every published hearing except the cancelled ones. */
+  held: number;
+  cancelled: number;
+  committees: number;
+  firstDay: string;
+  lastDay: string;
+  weekly: WeeklyHearings[];
+  busiest: BusyCommittee[];
+  disruptions: CommitteeDisruption[];
+  hourly: HourlyHearings[];
+  /** Held hearings without a clock time ("TBA"), left out of `hourly`. */
+  untimed: number;
+  periods: PeriodActivity[];
+  /** Held hearings on days no published session or adjournment period covers. */
+  outsidePeriods: number;
+}
+
+const MAX_COMMITTEES = 10;
+/** Committees with fewer hearings are left out of the rate chart, where one cancellation is 50%. */
+export const MIN_HEARINGS_FOR_RATES = 5;
+
+const PERIOD_LABELS: Record<LegislativePeriodKind, string> = {
+  session: 'In session',
+  adjournment: 'Adjournment',
+};
+
+function emptyCounts(): ChamberCounts {
+  return { house: 0, senate: 0 };
+}
+
+/** The Manila calendar day of a hearing, yyyy-MM-dd. */
+function manilaDay(event: Event): string {
+  return event.isoDate.slice(0, 10);
+}
+
+function committeeLabel(ref: CommitteeRef): string {
+  return `${ref.name} (${formatChamber(ref.chamber)})`;
+}
+
+function roundPercent(part: number, whole: number): number {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function weekOf(day: string): Date {
+  return startOfWeek(parseISO(day), { weekStartsOn: 1 });
+}
+
+function hourLabel(hour: number): string {
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function countWeekly(held: Event[], firstDay: string, lastDay: string): WeeklyHearings[] {
+  const weeks = new Map<string, WeeklyHearings>();
+  const last = weekOf(lastDay);
+  // Every week in range gets a bar, so quiet weeks show as gaps rather than disappearing.
+  for (let week = weekOf(firstDay); week <= last; week = addWeeks(week, 1)) {
+    const key = format(week, 'yyyy-MM-dd');
+    weeks.set(key, { week: key, label: format(week, 'MMM d'), ...emptyCounts() });
+  }
+  for (const event of held) {
+    const entry = weeks.get(format(weekOf(manilaDay(event)), 'yyyy-MM-dd'));
+    if (entry) entry[chamberForBranch(event.branch)] += 1;
+  }
+  return Array.from(weeks.values());
+}
+
+function findBusiest(held: Event[]): BusyCommittee[] {
+  return Array.from(groupByCommittee(held).values())
+    .sort((a, b) => b.events.length - a.events.length || a.ref.name.localeCompare(b.ref.name))
+    .slice(0, MAX_COMMITTEES)
+    .map(({ ref, events }) => ({
+      slug: ref.slug,
+      name: ref.name,
+      chamber: ref.chamber,
+      label: committeeLabel(ref),
+      ...emptyCounts(),
+      [ref.chamber]: events.length,
+    }));
+}
+
+function findDisruptions(events: Event[]): CommitteeDisruption[] {
+  return Array.from(groupByCommittee(events).values())
+    .filter(({ events: hearings }) => hearings.length >= MIN_HEARINGS_FOR_RATES)
+    .map(({ ref, events: hearings }) => {
+      const cancelled = hearings.filter(isCancelledEvent).length;
+      const rescheduled = hearings.filter(
+        (event) => event.status === 'rescheduled' || event.status === 'postponed'
+      ).length;
+      return {
+        slug: ref.slug,
+        name: ref.name,
+        chamber: ref.chamber,
+        label: committeeLabel(ref),
+        hearings: hearings.length,
+        cancelled: roundPercent(cancelled, hearings.length),
+        rescheduled: roundPercent(rescheduled, hearings.length),
+      };
+    })
+    .filter((entry) => entry.cancelled + entry.rescheduled > 0)
+    .sort(
+      (a, b) =>
+        b.cancelled + b.rescheduled - (a.cancelled + a.rescheduled) ||
+        b.hearings - a.hearings ||
+        a.name.localeCompare(b.name)
+    )
+    .slice(0, MAX_COMMITTEES);
+}
+
+function countHourly(timed: Event[]): HourlyHearings[] {
+  if (timed.length === 0) return [];
+  const hours = timed.map((event) => parseInt(event.isoDate.slice(11, 13), 10));
+  const buckets: HourlyHearings[] = [];
+  for (let hour = Math.min(...hours); hour <= Math.max(...hours); hour += 1) {
+    buckets.push({ hour, label: hourLabel(hour), ...emptyCounts() });
+  }
+  const first = buckets[0].hour;
+  timed.forEach((event, index) => {
+    buckets[hours[index] - first][chamberForBranch(event.branch)] += 1;
+  });
+  return buckets;
+}
+
+// Adjournment wins when periods overlap, matching the calendar view's shading.
+function periodKind(periods: LegislativePeriod[], branch: EventBranch, day: string): LegislativePeriodKind | null {
+  const covering = periodsOnDay(periods, day).filter((period) => period.branches.includes(branch));
+  if (covering.some((period) => period.kind === 'adjournment')) return 'adjournment';
+  if (covering.length > 0) return 'session';
+  return null;
+}
+
+/**
+ * Hearings per week in session and in adjournment, per chamber. Only days between the first and
+ * the last hearing in the data count towards each period's length, so a recess that has barely
+ * started is not measured against weeks the scraper has not reached yet.
+ */
+function comparePeriods(
+  held: Event[],
+  periods: LegislativePeriod[],
+  firstDay: string,
+  lastDay: string
+): { periods: PeriodActivity[]; outsidePeriods: number } {
+  const hearings: Record<LegislativePeriodKind, ChamberCounts> = {
+    session: emptyCounts(),
+    adjournment: emptyCounts(),
+  };
+  const days: Record<LegislativePeriodKind, ChamberCounts> = {
+    session: emptyCounts(),
+    adjournment: emptyCounts(),
+  };
+  const branches: EventBranch[] = ['House of Representatives', 'Senate'];
+
+  const last = parseISO(lastDay);
+  for (let date = parseISO(firstDay); date <= last; date = addDays(date, 1)) {
+    const day = format(date, 'yyyy-MM-dd');
+    for (const branch of branches) {
+      const kind = periodKind(periods, branch, day);
+      if (kind) days[kind][chamberForBranch(branch)] += 1;
+    }
+  }
+
+  let outsidePeriods = 0;
+  for (const event of held) {
+    const kind = periodKind(periods, event.branch, manilaDay(event));
+    if (kind) hearings[kind][chamberForBranch(event.branch)] += 1;
+    else outsidePeriods += 1;
+  }
+
+  const perWeek = (count: number, dayCount: number) => (dayCount ? Math.round((count / dayCount) * 70) / 10 : 0);
+  return {
+    periods: (['session', 'adjournment'] as const).map((kind) => ({
+      kind,
+      label: PERIOD_LABELS[kind],
+      house: perWeek(hearings[kind].house, days[kind].house),
+      senate: perWeek(hearings[kind].senate, days[kind].senate),
+      hearings: hearings[kind],
+      days: days[kind],
+    })),
+    outsidePeriods,
+  };
+}
+
+export function buildInsights(events: Event[], periods: LegislativePeriod[]): ScheduleInsights {
+  const held = events.filter((event) => !isCancelledEvent(event));
+  const days = events.map(manilaDay).sort();
+  const firstDay = days[0] ?? '';
+  const lastDay = days[days.length - 1] ?? '';
+  const timed = held.filter(hasClockTime);
+
+  return {
+    held: held.length,
+    cancelled: events.length - held.length,
+    committees: groupByCommittee(events).size,
+    firstDay,
+    lastDay,
+    weekly: firstDay ? countWeekly(held, firstDay, lastDay) : [],
+    busiest: findBusiest(held),
+    disruptions: findDisruptions(events),
+    hourly: countHourly(timed),
+    untimed: held.length - timed.length,
+    ...(firstDay ? comparePeriods(held, periods, firstDay, lastDay) : { periods: [], outsidePeriods: 0 }),
+  };
+}
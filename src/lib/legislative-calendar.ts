@@ -0,0 +1,32 @@
+import type { LegislativePeriod } from './types';
+import legislativeCalendar from './legislative-calendar.json';
+import { buildPeriods } from './legislative-periods';
+
+// Kept in JSON so scripts/build-calendars.js can publish the same periods in the .ics feeds.
+
+export const legislativePeriods: LegislativePeriod[] = buildPeriods(legislativeCalendar.calendars);
+
+/** Periods covering a Manila calendar day, given as yyyy-MM-dd. */
+export function periodsOnDay(periods: LegislativePeriod[], day: string): LegislativePeriod[] {
+  return periods.filter((period) => period.start <= day && day <= period.end);
+}
+
+export function formatPeriodBranches(period: LegislativePeriod): string {
+  return period.branches.length > 1 ? 'House and Senate' : period.branches[0];
+}
+
+export function formatPeriodRange(period: LegislativePeriod): string {
+  const monthDay = new Intl.DateTimeFormat('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+  const full = new Intl.DateTimeFormat('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+  const start = new Date(`${period.start}T00:00:00Z`);
+  const end = new Date(`${period.end}T00:00:00Z`);
+  if (period.start.slice(0, 4) === period.end.slice(0, 4)) {
+    return `${monthDay.format(start)} – ${monthDay.format(end)}, ${period.end.slice(0, 4)}`;
+  }
+  return `${full.format(start)} – ${full.format(end)}`;
+}
@@ -0,0 +1,75 @@
+// Turns src/lib/legislative-calendar.json, the versioned session and adjournment calendar of
+// each chamber and Congress, into periods. Shared by the site and scripts/build-calendars.js,
+// so it stays plain JavaScript.
+
+/** @type {Record<string, import('./types').EventBranch>} */
+const CHAMBER_BRANCHES = {
+  house: 'House of Representatives',
+  senate: 'Senate',
+};
+
+const PERIOD_KINDS = new Set(['session', 'adjournment']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {any} period
+ * @returns {boolean}
+ */
+function isValidPeriod(period) {
+  return (
+    Boolean(period) &&
+    typeof period.id === 'string' &&
+    PERIOD_KINDS.has(period.kind) &&
+    DATE_PATTERN.test(period.start) &&
+    DATE_PATTERN.test(period.end) &&
+    period.start <= period.end
+  );
+}
+
+/**
+ * Every period of every chamber and Congress, oldest first. The chambers usually adopt the same
+ * calendar by concurrent resolution, so a period both publish with the same dates is listed once
+ * with both branches.
+ * @param {unknown} calendars The `calendars` array of legislative-calendar.json.
+ * @returns {import('./types').LegislativePeriod[]}
+ */
+export function buildPeriods(calendars) {
+  const merged = new Map();
+  for (const calendar of Array.isArray(calendars) ? calendars : []) {
+    const branch = CHAMBER_BRANCHES[calendar?.chamber];
+    if (!branch || !Number.isInteger(calendar.congress)) continue;
+    for (const period of Array.isArray(calendar.periods) ? calendar.periods : []) {
+      if (!isValidPeriod(period)) continue;
+      const key = [calendar.congress, period.id, period.kind, period.start, period.end].join('|');
+      const existing = merged.get(key);
+      if (existing) {
+        if (!existing.branches.includes(branch)) existing.branches.push(branch);
+        if (period.note && !existing.note.includes(period.note)) {
+          existing.note = [existing.note, period.note].filter(Boolean).join(' ');
+        }
+        continue;
+      }
+      merged.set(key, {
+        chamber: calendar.chamber,
+        periodId: period.id,
+        congress: calendar.congress,
+        branches: [branch],
+        kind: period.kind,
+        label: period.label || (period.kind === 'adjournment' ? 'Adjournment of Session' : 'Session'),
+        start: period.start,
+        end: period.end,
+        note: period.note || '',
+      });
+    }
+  }
+
+  return Array.from(merged.values())
+    .map(({ chamber, periodId, ...period }) => ({
+      ...period,
+      id:
+        period.branches.length > 1
+          ? `legislative-calendar-${period.congress}-${periodId}`
+          : `legislative-calendar-${period.congress}-${chamber}-${periodId}`,
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+}
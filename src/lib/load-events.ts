@@ -2,19 +2,40 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { cache } from 'react';
 
-import type { Event, EventBranch } from './types';
-import { fixedEvents } from './fixed-events';
+import type { CommitteeRef, Event, EventBranch, VenueDetails } from './types';
+import { resolveCongress } from './congress';
+import { committeeRefFor, isMeetingType } from './committees';
+import { isHearingStatus } from './hearing-status';
+import { normalizeManilaIso } from './manila-time';
+import { isVenueDetails, UNKNOWN_VENUE } from './venues';
 
 interface RawRecord {
   id?: string;
   branch?: string;
+  congress?: number | string | null;
   committee?: string;
+  rawCommittee?: string;
+  committeeSlug?: string;
+  committees?: CommitteeRef[];
+  meetingType?: string;
   date?: string;
   time?: string;
   venue?: string;
+  rawVenue?: string;
+  venueDetails?: VenueDetails;
   agenda?: string;
+  bills?: string[];
+  authors?: string[];
   status?: string;
+  previousDate?: string;
+  previousTime?: string;
   notes?: string;
+  isTechnicalWorkingGroup?: boolean;
+  isExternalVenue?: boolean;
+  continuesUntilFinished?: boolean;
+  isPublished?: boolean;
+  venueId?: number | null;
+  houseCommitteeId?: number | null;
   isoDate?: string;
   source?: string;
 }
@@ -45,10 +66,14 @@ function normalizeBranch(branch?: string): EventBranch | null {
   return null;
 }
 
+// Older data files have offset-less Manila times; the fixed events used UTC.
 function coerceIsoDate(record: RawRecord): string | null {
-  if (record.isoDate && record.isoDate.trim()) return record.isoDate.trim();
+  if (record.isoDate && record.isoDate.trim()) {
+    const normalized = normalizeManilaIso(record.isoDate);
+    if (normalized) return normalized;
+  }
   if (record.date && /^\d{4}-\d{2}-\d{2}$/.test(record.date.trim())) {
-    return `${record.date.trim()}T00:00:00`;
+    return normalizeManilaIso(record.date);
   }
   return null;
 }
@@ -88,7 +113,7 @@ function mergeRecord(primary: RawRecord, fallback: RawRecord): RawRecord {
     }
     const fallbackValue = fallback[key];
     if (hasMeaningfulValue(fallbackValue)) {
-      merged[key] = fallbackValue;
+      (merged as Record<string, unknown>)[key] = fallbackValue;
     }
   }
   return merged;
@@ -125,6 +150,27 @@ function mergeRecords(baseRecords: RawRecord[], fallbackRecords: RawRecord[]): R
   return Array.from(merged.values());
 }
 
+function positiveId(value: unknown): number | null {
+  return typeof value === 'number' && Number.isInteger(value) && value > 0 ? value : null;
+}
+
+// Records published before the House API flags were kept only have "Onwards" in their notes.
+function splitOnwardsNote(notes: string): { notes: string; onwards: boolean } {
+  const parts = notes.split(' · ');
+  const remaining = parts.filter((part) => part !== 'Onwards');
+  return { notes: remaining.join(' · '), onwards: remaining.length < parts.length };
+}
+
+function isCommitteeRef(value: unknown): value is CommitteeRef {
+  if (!value || typeof value !== 'object') return false;
+  const ref = value as Partial<CommitteeRef>;
+  return (
+    typeof ref.name === 'string' &&
+    typeof ref.slug === 'string' &&
+    (ref.chamber === 'house' || ref.chamber === 'senate')
+  );
+}
+
 function mapRecord(record: RawRecord): Event | null {
   const branch = normalizeBranch(record.branch);
   const committee = normalizeText(record.committee);
@@ -135,16 +181,47 @@ function mapRecord(record: RawRecord): Event | null {
     return null;
   }
 
+  const committees = Array.isArray(record.committees) ? record.committees.filter(isCommitteeRef) : [];
+  if (committees.length === 0) {
+    committees.push(committeeRefFor(branch, committee));
+  }
+
+  const venueDetails = isVenueDetails(record.venueDetails) ? record.venueDetails : UNKNOWN_VENUE;
+
+  const status = isHearingStatus(record.status) ? record.status : 'scheduled';
+
+  const { notes, onwards } = splitOnwardsNote(normalizeText(record.notes));
+  const isTechnicalWorkingGroup = record.isTechnicalWorkingGroup === true;
+  const meetingType = isMeetingType(record.meetingType) ? record.meetingType : 'hearing';
+
   return {
     id: record.id ?? `${branch.toLowerCase().replace(/\s+/g, '-')}-${committee}`,
     branch,
+    congress: resolveCongress(isoDate, record.congress),
     committee,
+    rawCommittee: normalizeText(record.rawCommittee) || committee,
+    committeeSlug: normalizeText(record.committeeSlug) || committees[0].slug,
+    committees,
+    meetingType: isTechnicalWorkingGroup && meetingType === 'hearing' ? 'twg' : meetingType,
     date,
     time: normalizeText(record.time),
     venue: normalizeText(record.venue),
+    rawVenue: normalizeText(record.rawVenue) || normalizeText(record.venue),
+    venueDetails,
     agenda: normalizeText(record.agenda),
-    status: normalizeText(record.status) || 'Scheduled',
-    notes: normalizeText(record.notes),
+    bills: Array.isArray(record.bills) ? record.bills.filter((bill) => typeof bill === 'string') : [],
+    authors: Array.isArray(record.authors) ? record.authors.filter((author) => typeof author === 'string') : [],
+    status,
+    previousDate: normalizeText(record.previousDate),
+    previousTime: normalizeText(record.previousTime),
+    notes,
+    isTechnicalWorkingGroup,
+    isExternalVenue: record.isExternalVenue === true,
+    continuesUntilFinished:
+      typeof record.continuesUntilFinished === 'boolean' ? record.continuesUntilFinished : onwards,
+    isPublished: record.isPublished !== false,
+    venueId: positiveId(record.venueId),
+    houseCommitteeId: positiveId(record.houseCommitteeId),
     isoDate,
     source: normalizeText(record.source) || 'Philippine Congress',
   };
@@ -217,7 +294,7 @@ export const loadEvents = cache(async (): Promise<Event[]> => {
   const mapped = raw
     .map(mapRecord)
     .filter((event): event is Event => event !== null);
-  return sortEvents([...mapped, ...fixedEvents]);
+  return sortEvents(mapped);
 });
 
 export function isUpcomingEvent(event: Event, now: number = Date.now()): boolean {
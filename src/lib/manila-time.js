@@ -0,0 +1,118 @@
+// Hearing times are Philippine wall-clock times. Records store them as offset-aware ISO
+// strings ("2025-10-09T08:00:00+08:00") so nothing downstream depends on the timezone of the
+// machine that builds or displays them. The Philippines has not observed DST since 1978.
+// Shared by the site and the build scripts, so it stays plain JavaScript.
+
+export const MANILA_TIMEZONE = 'Asia/Manila';
+export const MANILA_OFFSET = '+08:00';
+export const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+// Neither chamber publishes end times, so timed hearings get a nominal two-hour block, both in
+// the .ics feeds and on the site's time grid and conflicts report.
+export const HEARING_DURATION_MINUTES = 120;
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function collapse(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Today's calendar date in the Philippines, regardless of the machine's timezone.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function manilaToday(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: MANILA_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
+
+/**
+ * `YYYY-MM-DD` plus a published clock time ("9:30 AM", "13:00") -> Manila ISO string.
+ * @param {string} date
+ * @param {string} [time]
+ * @returns {string}
+ */
+export function toManilaIso(date, time = '') {
+  const day = typeof date === 'string' ? date.trim() : '';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return '';
+
+  const match = String(time || '').match(/(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  if (!match) return `${day}T00:00:00${MANILA_OFFSET}`;
+
+  let hour = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+  if (meridiem === 'PM' && hour < 12) hour += 12;
+  if (meridiem === 'AM' && hour === 12) hour = 0;
+
+  return `${day}T${pad(hour)}:${pad(minutes)}:00${MANILA_OFFSET}`;
+}
+
+/**
+ * Normalizes an ISO-like timestamp to Manila time with an explicit offset. Strings without an
+ * offset ("2025-10-09T08:00", as the House API and older docs/data files have them) are taken
+ * to be Manila wall-clock time; strings in another offset are converted.
+ * @param {unknown} value
+ * @returns {string} The Manila ISO string, or '' when the value is not a timestamp.
+ */
+export function normalizeManilaIso(value) {
+  const match = String(value || '')
+    .trim()
+    .match(/^(\d{4}-\d{2}-\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) return '';
+
+  const [, day, hour = '00', minute = '00', second = '00', offset] = match;
+  if (!offset) return `${day}T${hour}:${minute}:${second}${MANILA_OFFSET}`;
+
+  const instant = Date.parse(`${day}T${hour}:${minute}:${second}${offset.toUpperCase() === 'Z' ? 'Z' : offset}`);
+  if (Number.isNaN(instant)) return '';
+  const wall = new Date(instant + MANILA_OFFSET_MS);
+  return (
+    `${wall.getUTCFullYear()}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())}` +
+    `T${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}:${pad(wall.getUTCSeconds())}${MANILA_OFFSET}`
+  );
+}
+
+/**
+ * Epoch milliseconds for a record's isoDate (or bare `YYYY-MM-DD` date), or NaN.
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function manilaTimestamp(value) {
+  const iso = normalizeManilaIso(value);
+  return iso ? Date.parse(iso) : NaN;
+}
+
+/**
+ * "Wednesday, September 3, 2025, 10:00 AM" in Manila time, as the feeds and notifications show it.
+ * @param {{ isoDate?: string, date?: string, time?: string, continuesUntilFinished?: boolean }} record
+ * @returns {string}
+ */
+export function formatWhen(record) {
+  const timestamp = manilaTimestamp(record.isoDate || record.date);
+  if (Number.isNaN(timestamp)) return collapse(record.date);
+  const day = new Intl.DateTimeFormat('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: MANILA_TIMEZONE,
+  }).format(timestamp);
+  if (!record.time) return day;
+  return `${day}, ${collapse(record.time)}${record.continuesUntilFinished ? ' onwards' : ''}`;
+}
@@ -0,0 +1,212 @@
+// Text analysis and the inverted index behind search. scripts/build-search-index.js publishes
+// the index and the site analyses queries with the same functions (src/lib/search.ts), so it
+// stays plain JavaScript. Bump SEARCH_INDEX_VERSION whenever the terms it produces change.
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Order matters: postings refer to fields by position.
+export const SEARCH_FIELDS = /** @type {const} */ ([
+  'committee',
+  'agenda',
+  'bill',
+  'author',
+  'venue',
+  'notes',
+  'chamber',
+  'status',
+]);
+
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with',
+]);
+
+/**
+ * Lowercase words and numbers with accents removed, e.g. "Año 2025" -> ["ano", "2025"].
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function tokenize(value) {
+  if (!value) return [];
+  return String(value)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// ---------------- Porter stemmer ----------------
+// M. F. Porter, "An algorithm for suffix stripping", 1980.
+
+/** @type {Record<string, string>} */
+const STEP2_SUFFIXES = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log',
+};
+
+/** @type {Record<string, string>} */
+const STEP3_SUFFIXES = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: '',
+};
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = `Y${w.slice(1)}`;
+
+  // Step 1a
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+
+  // Step 1b
+  let match = /^(.+?)eed$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c
+  match = /^(.+?)y$/.exec(w);
+  if (match && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Step 2
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+
+  // Step 3
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+
+  // Step 4
+  match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5
+  match = /^(.+?)e$/.exec(w);
+  if (match) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Index terms of a text: tokens without stop words, stemmed.
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function analyze(value) {
+  return tokenize(value)
+    .filter((token) => !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * @param {(string | undefined)[]} values
+ * @returns {string}
+ */
+function joinUnique(values) {
+  return [...new Set(values.filter(Boolean))].join(' \n ');
+}
+
+/**
+ * The searchable text of a hearing, by field. Takes published records as well as loaded events.
+ * @param {import('./types').Event} record
+ * @returns {import('./search').SearchDocument}
+ */
+export function documentFields(record) {
+  const committees = Array.isArray(record.committees) ? record.committees.map((entry) => entry?.name) : [];
+  return {
+    committee: joinUnique([record.committee, record.rawCommittee, ...committees]),
+    agenda: record.agenda || '',
+    bill: joinUnique(Array.isArray(record.bills) ? record.bills : []),
+    author: joinUnique(Array.isArray(record.authors) ? record.authors : []),
+    venue: joinUnique([record.venue, record.rawVenue]),
+    notes: record.notes || '',
+    chamber: record.branch || '',
+    status: joinUnique([record.status, record.meetingType]),
+  };
+}
+
+/**
+ * An inverted index over the records. `terms` maps each term to a flat list of
+ * [document, field, term frequency] triples; `lengths[document][field]` counts the field's
+ * terms for length normalisation.
+ * @param {import('./types').Event[]} records
+ * @returns {import('./search').SearchIndex}
+ */
+export function buildSearchIndex(records) {
+  const postings = new Map();
+  const lengths = records.map((record, document) => {
+    const fields = documentFields(record);
+    return SEARCH_FIELDS.map((field, fieldIndex) => {
+      const terms = analyze(fields[field]);
+      const counts = new Map();
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(document, fieldIndex, count);
+      }
+      return terms.length;
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fields: [...SEARCH_FIELDS],
+    documents: records.map((record) => record.id),
+    lengths,
+    terms: Object.fromEntries([...postings].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))),
+  };
+}
@@ -0,0 +1,461 @@
+import { SEARCH_FIELDS, SEARCH_INDEX_VERSION, STOP_WORDS, analyze, stem, tokenize } from './search-index';
+
+// Queries and ranking over the index built by search-index.js, which analyses text for both the
+// published index and the queries here.
+
+export type SearchField = (typeof SEARCH_FIELDS)[number];
+
+export type SearchDocument = Record<SearchField, string>;
+
+export interface SearchIndex {
+  version: number;
+  generatedAt?: string;
+  fields: string[];
+  /** Record ids; postings refer to documents by position. */
+  documents: string[];
+  /** Term count of every field of every document. */
+  lengths: number[][];
+  /** Flat [document, field, term frequency] triples per term. */
+  terms: Record<string, number[]>;
+}
+
+// Matches in the committee name, bills and authors say more about a hearing than the agenda.
+const FIELD_WEIGHTS: Record<SearchField, number> = {
+  committee: 3,
+  agenda: 1,
+  bill: 3,
+  author: 2,
+  venue: 1,
+  notes: 0.5,
+  chamber: 0.5,
+  status: 0.5,
+};
+
+const FIELD_ALIASES: Record<string, SearchField> = {
+  committee: 'committee',
+  committees: 'committee',
+  agenda: 'agenda',
+  bill: 'bill',
+  bills: 'bill',
+  author: 'author',
+  authors: 'author',
+  venue: 'venue',
+  notes: 'notes',
+  note: 'notes',
+  chamber: 'chamber',
+  branch: 'chamber',
+  status: 'status',
+  type: 'status',
+};
+
+export function isSearchIndex(value: unknown): value is SearchIndex {
+  if (!value || typeof value !== 'object') return false;
+  const index = value as Partial<SearchIndex>;
+  return (
+    index.version === SEARCH_INDEX_VERSION &&
+    Array.isArray(index.fields) &&
+    index.fields.join() === SEARCH_FIELDS.join() &&
+    Array.isArray(index.documents) &&
+    Array.isArray(index.lengths) &&
+    typeof index.terms === 'object' &&
+    index.terms !== null
+  );
+}
+
+// ---------------- Queries ----------------
+
+export type SearchQuery =
+  | { kind: 'term'; field: SearchField | null; text: string }
+  | { kind: 'phrase'; field: SearchField | null; text: string }
+  | { kind: 'and'; children: SearchQuery[] }
+  | { kind: 'or'; children: SearchQuery[] }
+  | { kind: 'not'; child: SearchQuery };
+
+type Token =
+  | { type: 'open' | 'close' | 'and' | 'or' | 'not' }
+  | { type: 'word' | 'phrase'; field: SearchField | null; text: string };
+
+function lex(input: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+  while (position < input.length) {
+    const rest = input.slice(position);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+    if (rest[0] === '(' || rest[0] === ')') {
+      tokens.push({ type: rest[0] === '(' ? 'open' : 'close' });
+      position += 1;
+      continue;
+    }
+    if (rest[0] === '-' && rest.length > 1 && !/\s/.test(rest[1])) {
+      tokens.push({ type: 'not' });
+      position += 1;
+      continue;
+    }
+
+    let field: SearchField | null = null;
+    const prefix = /^([a-z]+):(?=\S)/i.exec(rest);
+    if (prefix && FIELD_ALIASES[prefix[1].toLowerCase()]) {
+      field = FIELD_ALIASES[prefix[1].toLowerCase()];
+      position += prefix[0].length;
+    }
+
+    if (input[position] === '"') {
+      const end = input.indexOf('"', position + 1);
+      const text = input.slice(position + 1, end === -1 ? undefined : end);
+      position = end === -1 ? input.length : end + 1;
+      if (text.trim()) tokens.push({ type: 'phrase', field, text });
+      continue;
+    }
+
+    const word = /^[^\s()"]+/.exec(input.slice(position));
+    if (!word) {
+      // A stray quote or a prefix with nothing after it.
+      position += 1;
+      continue;
+    }
+    position += word[0].length;
+    if (!field && /^(AND|OR|NOT)$/.test(word[0])) {
+      tokens.push({ type: word[0].toLowerCase() as 'and' | 'or' | 'not' });
+    } else {
+      tokens.push({ type: 'word', field, text: word[0] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a search box query. Words are ANDed; `OR`, `NOT` (or a leading `-`), `AND`, parentheses
+ * and "quoted phrases" are supported, and `field:` prefixes such as `committee:energy` or
+ * `venue:"RVM"` restrict a word or phrase to one field. Returns null for an empty query.
+ */
+export function parseSearchQuery(input: string): SearchQuery | null {
+  const tokens = lex(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parsePrimary = (): SearchQuery | null => {
+    const token = tokens[position++];
+    if (!token) return null;
+    if (token.type === 'open') {
+      const inner = parseOr();
+      if (peek()?.type === 'close') position += 1;
+      return inner;
+    }
+    if (token.type === 'word' || token.type === 'phrase') {
+      // "HB-855" is one word to the reader but two terms; match it as a phrase.
+      const kind = token.type === 'phrase' || tokenize(token.text).length > 1 ? 'phrase' : 'term';
+      return { kind, field: token.field, text: token.text };
+    }
+    return null;
+  };
+
+  const parseNot = (): SearchQuery | null => {
+    if (peek()?.type === 'not') {
+      position += 1;
+      const child = parseNot();
+      return child ? { kind: 'not', child } : null;
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = (): SearchQuery | null => {
+    const children: SearchQuery[] = [];
+    while (position < tokens.length) {
+      const token = peek();
+      if (token.type === 'or' || token.type === 'close') break;
+      if (token.type === 'and') {
+        position += 1;
+        continue;
+      }
+      const child = parseNot();
+      if (child) children.push(child);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { kind: 'and', children };
+  };
+
+  function parseOr(): SearchQuery | null {
+    const children: SearchQuery[] = [];
+    for (;;) {
+      const child = parseAnd();
+      if (child) children.push(child);
+      if (peek()?.type !== 'or') break;
+      position += 1;
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { kind: 'or', children };
+  }
+
+  const queries: SearchQuery[] = [];
+  while (position < tokens.length) {
+    const query = parseOr();
+    if (query) queries.push(query);
+    // Skip an unbalanced ")" and keep going.
+    if (peek()?.type === 'close') position += 1;
+  }
+  if (queries.length === 0) return null;
+  return queries.length === 1 ? queries[0] : { kind: 'and', children: queries };
+}
+
+// ---------------- Ranking ----------------
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_FACTOR = 0.5;
+const PHRASE_BONUS = 1.5;
+const MIN_PREFIX_LENGTH = 4;
+
+export interface PreparedSearchIndex {
+  index: SearchIndex;
+  vocabulary: string[];
+  averageLengths: number[];
+  documentFrequency: Map<string, number>;
+}
+
+export function prepareSearchIndex(index: SearchIndex): PreparedSearchIndex {
+  const averageLengths = index.fields.map((_, field) => {
+    const total = index.lengths.reduce((sum, lengths) => sum + (lengths[field] ?? 0), 0);
+    return index.lengths.length ? total / index.lengths.length : 0;
+  });
+  return {
+    index,
+    vocabulary: Object.keys(index.terms),
+    averageLengths,
+    documentFrequency: new Map(),
+  };
+}
+
+/** Damerau-Levenshtein distance (optimal string alignment), giving up above `limit`. */
+function editDistance(a: string, b: string, limit: number): number {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  const rows: number[][] = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// Typos allowed grow with the word: none for short words, where a slip changes the meaning.
+function allowedTypos(term: string): number {
+  if (term.length < 4) return 0;
+  return term.length < 7 ? 1 : 2;
+}
+
+/**
+ * Index terms a query word stands for, with a weight: the word's own stem, longer terms it is
+ * the start of, and, when the stem is not in the index at all, terms within a typo or two
+ * ("nuclaer" finds "nuclear").
+ */
+function expandTerm(prepared: PreparedSearchIndex, word: string): Map<string, number> {
+  const expansions = new Map<string, number>();
+  const token = tokenize(word).join('');
+  if (!token) return expansions;
+  const term = stem(token);
+  if (postingsFor(prepared.index, term)) expansions.set(term, 1);
+
+  if (token.length >= MIN_PREFIX_LENGTH) {
+    for (const candidate of prepared.vocabulary) {
+      if (candidate !== term && candidate.startsWith(token)) expansions.set(candidate, PREFIX_FACTOR);
+    }
+  }
+
+  if (!postingsFor(prepared.index, term)) {
+    const limit = allowedTypos(term);
+    if (limit > 0) {
+      for (const candidate of prepared.vocabulary) {
+        if (expansions.has(candidate)) continue;
+        const distance = editDistance(term, candidate, limit);
+        if (distance <= limit) expansions.set(candidate, 1 / (distance + 1));
+      }
+    }
+  }
+  return expansions;
+}
+
+// The index is parsed JSON, so guard against inherited keys such as "constructor".
+function postingsFor(index: SearchIndex, term: string): number[] | undefined {
+  return Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : undefined;
+}
+
+function documentFrequency(prepared: PreparedSearchIndex, term: string): number {
+  const cached = prepared.documentFrequency.get(term);
+  if (cached !== undefined) return cached;
+  const postings = postingsFor(prepared.index, term) ?? [];
+  const documents = new Set<number>();
+  for (let i = 0; i < postings.length; i += 3) documents.add(postings[i]);
+  prepared.documentFrequency.set(term, documents.size);
+  return documents.size;
+}
+
+/** BM25 score of every document containing `term`, summed over fields with their weights. */
+function scoreTerm(prepared: PreparedSearchIndex, term: string, field: SearchField | null): Map<number, number> {
+  const scores = new Map<number, number>();
+  const { index, averageLengths } = prepared;
+  const postings = postingsFor(index, term);
+  if (!postings) return scores;
+  const total = index.documents.length;
+  const frequency = documentFrequency(prepared, term);
+  const idf = Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+  const onlyField = field ? SEARCH_FIELDS.indexOf(field) : -1;
+
+  for (let i = 0; i < postings.length; i += 3) {
+    const [document, fieldIndex, count] = [postings[i], postings[i + 1], postings[i + 2]];
+    if (onlyField !== -1 && fieldIndex !== onlyField) continue;
+    const length = index.lengths[document]?.[fieldIndex] ?? 0;
+    const average = averageLengths[fieldIndex] || 1;
+    const saturation = (count * (BM25_K1 + 1)) / (count + BM25_K1 * (1 - BM25_B + (BM25_B * length) / average));
+    const weight = FIELD_WEIGHTS[SEARCH_FIELDS[fieldIndex]];
+    scores.set(document, (scores.get(document) ?? 0) + idf * weight * saturation);
+  }
+  return scores;
+}
+
+function phraseText(value: string): string {
+  return ` ${tokenize(value).join(' ')} `;
+}
+
+/** True when the words of `phrase` appear in `text` in order, ignoring case, accents and punctuation. */
+export function containsPhrase(text: string, phrase: string): boolean {
+  const wanted = phraseText(phrase);
+  return wanted.trim().length > 0 && phraseText(text).includes(wanted);
+}
+
+export interface SearchResults {
+  /** Relevance by record id; only matching records are present. */
+  scores: Map<string, number>;
+  /** Index terms that matched, for highlighting. */
+  terms: Set<string>;
+}
+
+/**
+ * Runs a parsed query. `getDocument` returns the searchable text of a record, used to confirm
+ * that phrase words are adjacent and in order.
+ */
+export function searchIndex(
+  prepared: PreparedSearchIndex,
+  query: SearchQuery,
+  getDocument: (id: string) => SearchDocument | undefined
+): SearchResults {
+  const { index } = prepared;
+  const matchedTerms = new Set<string>();
+  const everything = () => new Map(index.documents.map((_, document) => [document, 0]));
+
+  const evaluate = (node: SearchQuery, collectTerms: boolean): Map<number, number> => {
+    switch (node.kind) {
+      case 'term': {
+        const scores = new Map<number, number>();
+        expandTerm(prepared, node.text).forEach((factor, term) => {
+          const termScores = scoreTerm(prepared, term, node.field);
+          if (termScores.size > 0 && collectTerms) matchedTerms.add(term);
+          termScores.forEach((score, document) => {
+            scores.set(document, Math.max(scores.get(document) ?? 0, score * factor));
+          });
+        });
+        return scores;
+      }
+      case 'phrase': {
+        const words = analyze(node.text);
+        const wanted = phraseText(node.text);
+        let candidates: Map<number, number> | null = null;
+        for (const word of words) {
+          const termScores = scoreTerm(prepared, word, node.field);
+          const next = new Map<number, number>();
+          termScores.forEach((score, document) => {
+            if (!candidates || candidates.has(document)) {
+              next.set(document, (candidates?.get(document) ?? 0) + score * PHRASE_BONUS);
+            }
+          });
+          candidates = next;
+        }
+        const scores = new Map<number, number>();
+        (candidates ?? everything()).forEach((score, document) => {
+          const fields = getDocument(index.documents[document]);
+          if (!fields) return;
+          const texts = node.field ? [fields[node.field]] : SEARCH_FIELDS.map((field) => fields[field]);
+          if (texts.some((text) => phraseText(text).includes(wanted))) scores.set(document, score);
+        });
+        if (scores.size > 0 && collectTerms) words.forEach((word) => matchedTerms.add(word));
+        return scores;
+      }
+      case 'or': {
+        const scores = new Map<number, number>();
+        for (const child of node.children) {
+          evaluate(child, collectTerms).forEach((score, document) => {
+            scores.set(document, (scores.get(document) ?? 0) + score);
+          });
+        }
+        return scores;
+      }
+      case 'and': {
+        const required = node.children.filter((child) => child.kind !== 'not');
+        const excluded = node.children.filter(
+          (child): child is Extract<SearchQuery, { kind: 'not' }> => child.kind === 'not'
+        );
+        let scores: Map<number, number> | null = null;
+        for (const child of required) {
+          const childScores = evaluate(child, collectTerms);
+          const next = new Map<number, number>();
+          childScores.forEach((score, document) => {
+            if (!scores || scores.has(document)) next.set(document, (scores?.get(document) ?? 0) + score);
+          });
+          scores = next;
+        }
+        const result: Map<number, number> = scores ?? everything();
+        for (const child of excluded) {
+          evaluate(child.child, false).forEach((_, document) => result.delete(document));
+        }
+        return result;
+      }
+      case 'not': {
+        const result = everything();
+        evaluate(node.child, false).forEach((_, document) => result.delete(document));
+        return result;
+      }
+    }
+  };
+
+  const scores = new Map<string, number>();
+  evaluate(query, true).forEach((score, document) => scores.set(index.documents[document], score));
+  return { scores, terms: matchedTerms };
+}
+
+// ---------------- Highlighting ----------------
+
+export interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+/** Splits text into runs, marking the words whose index term matched the query. */
+export function highlightSegments(text: string, terms: ReadonlySet<string>): HighlightSegment[] {
+  if (!text || terms.size === 0) return [{ text, match: false }];
+  const segments: HighlightSegment[] = [];
+  for (const part of text.split(/([A-Za-z0-9\u00C0-\u024F]+)/)) {
+    if (!part) continue;
+    const token = tokenize(part).join('');
+    const match = token.length > 0 && !STOP_WORDS.has(token) && terms.has(stem(token));
+    const last = segments[segments.length - 1];
+    if (last && last.match === match && !match) {
+      last.text += part;
+    } else {
+      segments.push({ text: part, match });
+    }
+  }
+  return segments;
+}
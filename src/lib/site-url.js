@@ -0,0 +1,17 @@
+// The published site's address. Shared by page metadata and the build scripts' feeds and
+// notifications so they all agree on it, which is why it stays plain JavaScript.
+
+const [repoOwner, repoName] = (process.env.GITHUB_REPOSITORY || 'Dino03/ph-congress-committee-schedules').split('/');
+
+export const SITE_URL = (
+  process.env.SITE_URL || `https://${repoOwner.toLowerCase()}.github.io/${repoName}/`
+).replace(/\/?$/, '/');
+
+/**
+ * Permalink of a hearing's page (src/app/meetings/[id]).
+ * @param {string} id
+ * @returns {string}
+ */
+export function meetingUrl(id) {
+  return `${SITE_URL}meetings/${encodeURIComponent(id)}/`;
+}
@@ -0,0 +1,18 @@
+export const SITE_NAME = 'PH Congress Committee Schedules';
+
+// next/link adds the base path itself; plain URLs such as fetches of docs/data files do not.
+export const BASE_PATH = process.env.NEXT_PUBLIC_BASE_PATH ?? '';
+
+/** URL of a file published in docs/data, e.g. dataPath('search-index.json'). */
+export function dataPath(file: string): string {
+  return `${BASE_PATH}/data/${file}`;
+}
+
+export function meetingPath(id: string): string {
+  return `/meetings/${encodeURIComponent(id)}`;
+}
+
+/** Calendar page opened on the given day (yyyy-MM-dd). */
+export function calendarDayPath(day: string): string {
+  return `/?date=${day}`;
+}
@@ -0,0 +1,21 @@
+// Shared by the site and the build scripts, so committee slugs in the data files and page URLs
+// line up. Plain JavaScript for that reason.
+
+/**
+ * "Ways & Means" -> "ways-and-means": lowercase ASCII words joined by hyphens, at most 80
+ * characters.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function slugify(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
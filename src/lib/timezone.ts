@@ -0,0 +1,50 @@
+// Pages render hearing times in Manila time by default so the build machine's timezone (UTC in
+// CI) and the viewer's never move a hearing to another day. The Manila ISO helpers themselves
+// are in manila-time.js, which the build scripts share.
+
+import { MANILA_OFFSET_MS, normalizeManilaIso } from './manila-time';
+
+/** `manila` shows Philippine time; `local` converts to the viewer's own timezone. */
+export type TimeZoneMode = 'manila' | 'local';
+
+/**
+ * A Date whose local fields are the wall-clock time in the chosen zone, so date-fns can format
+ * and bucket it without knowing about timezones. In `local` mode that is simply the instant.
+ */
+export function toZonedDate(isoDate: string, mode: TimeZoneMode = 'manila'): Date {
+  const instant = Date.parse(normalizeManilaIso(isoDate) || isoDate);
+  if (Number.isNaN(instant)) return new Date(NaN);
+  if (mode === 'local') return new Date(instant);
+
+  const wall = new Date(instant + MANILA_OFFSET_MS);
+  return new Date(
+    wall.getUTCFullYear(),
+    wall.getUTCMonth(),
+    wall.getUTCDate(),
+    wall.getUTCHours(),
+    wall.getUTCMinutes(),
+    wall.getUTCSeconds()
+  );
+}
+
+/** The current time as toZonedDate() would present it, e.g. for highlighting "today". */
+export function zonedNow(mode: TimeZoneMode = 'manila'): Date {
+  return toZonedDate(new Date().toISOString(), mode);
+}
+
+/**
+ * Hearings without a published time are all-day entries on a Manila date; converting their
+ * midnight to another zone would move them to the previous day, so they always stay in Manila.
+ */
+export function effectiveMode(hasTime: boolean, mode: TimeZoneMode): TimeZoneMode {
+  return hasTime ? mode : 'manila';
+}
+
+/** "PHT", or the viewer's own abbreviation such as "EDT" in local mode. */
+export function timeZoneLabel(mode: TimeZoneMode, at: Date = new Date()): string {
+  if (mode === 'manila') return 'PHT';
+  const part = new Intl.DateTimeFormat('en-US', { timeZoneName: 'short' })
+    .formatToParts(at)
+    .find(({ type }) => type === 'timeZoneName');
+  return part?.value ?? 'local time';
+}
@@ -1,15 +1,84 @@
 export type EventBranch = 'House of Representatives' | 'Senate';
 
+export type HearingStatus = 'scheduled' | 'cancelled' | 'rescheduled' | 'postponed' | 'tentative';
+
+export type MeetingType = 'hearing' | 'twg' | 'subcommittee' | 'organizational' | 'joint';
+
+export interface CommitteeRef {
+  name: string;
+  /** Chamber-prefixed, e.g. "house-ways-and-means" or "senate-ways-and-means". */
+  slug: string;
+  chamber: 'house' | 'senate';
+}
+
+export interface VenueDetails {
+  /** Room within the building, e.g. "Conference Rooms 1 & 2"; empty for online-only meetings. */
+  room: string;
+  floor: string;
+  /** Canonical building name, e.g. "Ramon V. Mitra Building". */
+  building: string;
+  inPerson: boolean;
+  virtual: boolean;
+  /** Video conferencing platform for virtual attendance, when named. */
+  platform: string | null;
+  livestreamed: boolean;
+  livestreamChannel: string | null;
+}
+
+export type LegislativePeriodKind = 'session' | 'adjournment';
+
+/** A session or adjournment period from src/lib/legislative-calendar.json. */
+export interface LegislativePeriod {
+  id: string;
+  congress: number;
+  /** Chambers following this period; both when they adopted the same calendar. */
+  branches: EventBranch[];
+  kind: LegislativePeriodKind;
+  label: string;
+  /** First and last day, inclusive, as yyyy-MM-dd in Manila. */
+  start: string;
+  end: string;
+  note: string;
+}
+
 export interface Event {
   id: string;
   branch: EventBranch;
+  congress: number | null;
+  /** Canonical name of the lead committee. */
   committee: string;
+  /** The committee string as the chamber published it. */
+  rawCommittee: string;
+  committeeSlug: string;
+  /** Every committee taking part, lead first; more than one for joint meetings. */
+  committees: CommitteeRef[];
+  meetingType: MeetingType;
   date: string;
   time: string;
+  /** Canonical "room, floor, building" label. */
   venue: string;
+  /** The venue string as the chamber published it. */
+  rawVenue: string;
+  venueDetails: VenueDetails;
   agenda: string;
-  status: string;
+  /** Canonical bill and law references found in the agenda, e.g. "HB 855" or "RA 9136". */
+  bills: string[];
+  /** Legislators credited in the agenda's attributions, e.g. "Miguel Luis Villafuerte". */
+  authors: string[];
+  status: HearingStatus;
+  /** Where a rescheduled hearing was originally slotted; empty when unknown or unchanged. */
+  previousDate: string;
+  previousTime: string;
   notes: string;
+  /** Flags carried over from the House API; Senate hearings get the defaults. */
+  isTechnicalWorkingGroup: boolean;
+  /** Held outside the Batasan complex, e.g. a field hearing. */
+  isExternalVenue: boolean;
+  /** Published as "<time> onwards": the hearing runs until the agenda is finished. */
+  continuesUntilFinished: boolean;
+  isPublished: boolean;
+  venueId: number | null;
+  houseCommitteeId: number | null;
   isoDate: string;
   source: string;
 }
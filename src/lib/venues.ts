@@ -0,0 +1,34 @@
+// Room, building and attendance flags that scripts/lib/venues.js parses from the published venue
+// strings at build time.
+
+import type { Event, VenueDetails } from './types';
+
+/** For records without usable venue details: nothing known about where the hearing is. */
+export const UNKNOWN_VENUE: VenueDetails = {
+  room: '',
+  floor: '',
+  building: '',
+  inPerson: false,
+  virtual: false,
+  platform: null,
+  livestreamed: false,
+  livestreamChannel: null,
+};
+
+export function isVenueDetails(value: unknown): value is VenueDetails {
+  if (!value || typeof value !== 'object') return false;
+  const details = value as Partial<VenueDetails>;
+  return (
+    typeof details.room === 'string' &&
+    typeof details.building === 'string' &&
+    typeof details.inPerson === 'boolean' &&
+    typeof details.virtual === 'boolean' &&
+    typeof details.livestreamed === 'boolean'
+  );
+}
+
+/** Buildings hearings are held in, sorted by name. */
+export function getBuildingOptions(events: Event[]): string[] {
+  const buildings = new Set(events.map((event) => event.venueDetails.building).filter(Boolean));
+  return Array.from(buildings).sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,75 @@
+import type { Event } from './types';
+import { normalizeBillReference } from './bills';
+import { containsPhrase } from './search';
+import { SEARCH_FIELDS, documentFields } from './search-index';
+
+/** What a user follows: committee slugs, canonical bill references and free-text keywords. */
+export interface Watchlist {
+  committees: string[];
+  bills: string[];
+  keywords: string[];
+}
+
+export const WATCHLIST_VERSION = 1;
+
+export const EMPTY_WATCHLIST: Watchlist = { committees: [], bills: [], keywords: [] };
+
+function uniqueStrings(value: unknown, normalize: (item: string) => string | null): string[] {
+  if (!Array.isArray(value)) return [];
+  const items = value
+    .filter((item): item is string => typeof item === 'string')
+    .map((item) => normalize(item.trim()))
+    .filter((item): item is string => Boolean(item));
+  return Array.from(new Set(items));
+}
+
+/**
+ * Reads a stored or imported watchlist, dropping anything unusable. Returns null when the value
+ * is not a watchlist at all.
+ */
+export function parseWatchlist(value: unknown): Watchlist | null {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const record = value as Record<string, unknown>;
+  if (!['committees', 'bills', 'keywords'].some((key) => Array.isArray(record[key]))) return null;
+  return {
+    committees: uniqueStrings(record.committees, (slug) => slug || null),
+    bills: uniqueStrings(record.bills, normalizeBillReference),
+    keywords: uniqueStrings(record.keywords, (keyword) => keyword || null),
+  };
+}
+
+export function isWatchlistEmpty(watchlist: Watchlist): boolean {
+  return watchlist.committees.length === 0 && watchlist.bills.length === 0 && watchlist.keywords.length === 0;
+}
+
+/** The JSON file offered by "Export". */
+export function serializeWatchlist(watchlist: Watchlist): string {
+  return `${JSON.stringify({ version: WATCHLIST_VERSION, ...watchlist }, null, 2)}\n`;
+}
+
+/**
+ * Why a hearing is on the user's list: the followed committees taking part, the followed bills
+ * on its agenda and the keywords found in its text. Empty when it matches nothing.
+ */
+export function watchReasons(event: Event, watchlist: Watchlist): string[] {
+  if (isWatchlistEmpty(watchlist)) return [];
+  const reasons: string[] = [];
+  for (const ref of event.committees) {
+    if (watchlist.committees.includes(ref.slug)) reasons.push(ref.name);
+  }
+  for (const bill of event.bills) {
+    if (watchlist.bills.includes(bill)) reasons.push(bill);
+  }
+  if (watchlist.keywords.length > 0) {
+    const fields = documentFields(event);
+    const text = SEARCH_FIELDS.map((field) => fields[field]).join(' \n ');
+    for (const keyword of watchlist.keywords) {
+      if (containsPhrase(text, keyword)) reasons.push(`“${keyword}”`);
+    }
+  }
+  return reasons;
+}
+
+export function isWatched(event: Event, watchlist: Watchlist): boolean {
+  return watchReasons(event, watchlist).length > 0;
+}